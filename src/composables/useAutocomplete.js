@@ -0,0 +1,83 @@
+import { ref } from 'vue'
+import { autocomplete, isAbortError } from '../services/nominatim.js'
+
+// Shorter queries produce too many useless suggestions
+export const MIN_QUERY_LENGTH = 3
+
+/**
+ * Composable for search-as-you-type place suggestions
+ */
+export function useAutocomplete() {
+  const suggestions = ref([])
+  const isSuggesting = ref(false)
+
+  // Only the latest suggestion request matters, older ones are aborted
+  let activeRequest = null
+
+  /**
+   * Cancel the pending suggestion request, if any
+   */
+  function cancelSuggestions() {
+    activeRequest?.abort()
+    activeRequest = null
+    isSuggesting.value = false
+  }
+
+  /**
+   * Fetch suggestions for a partial query
+   * @param {string} query - Text typed so far
+   * @param {Object} viewbox - Map bounds {south, west, north, east} to prefer nearby places
+   */
+  async function fetchSuggestions(query, viewbox) {
+    cancelSuggestions()
+
+    if (!query || query.trim().length < MIN_QUERY_LENGTH) {
+      suggestions.value = []
+      return
+    }
+
+    const request = new AbortController()
+    activeRequest = request
+    isSuggesting.value = true
+
+    try {
+      const data = await autocomplete(query.trim(), {
+        viewbox,
+        signal: request.signal
+      })
+
+      if (request === activeRequest) {
+        suggestions.value = data
+      }
+    } catch (err) {
+      if (isAbortError(err) || request !== activeRequest) return
+
+      // Suggestions are a convenience - fail quietly
+      console.warn('Autocomplete error:', err)
+      suggestions.value = []
+    } finally {
+      if (request === activeRequest) {
+        activeRequest = null
+        isSuggesting.value = false
+      }
+    }
+  }
+
+  /**
+   * Cancel pending requests and drop current suggestions
+   */
+  function clearSuggestions() {
+    cancelSuggestions()
+    suggestions.value = []
+  }
+
+  return {
+    // State
+    suggestions,
+    isSuggesting,
+
+    // Actions
+    fetchSuggestions,
+    clearSuggestions
+  }
+}
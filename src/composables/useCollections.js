@@ -0,0 +1,248 @@
+import { ref } from 'vue'
+import { isIndexedDBAvailable, idbGetAll, idbPut, idbDelete } from '../services/idb.js'
+import { EXPORT_FORMATS, LIST_FORMATS, detectFormat, exportPOIs } from '../utils/formats.js'
+
+const STORE = 'collections'
+
+/**
+ * Create a unique collection id
+ */
+function createId() {
+  return globalThis.crypto?.randomUUID?.() ?? `${Date.now()}-${Math.random().toString(36).slice(2)}`
+}
+
+/**
+ * Plain copy of a value - reactive proxies cannot be stored in IndexedDB
+ */
+function plainCopy(value) {
+  return JSON.parse(JSON.stringify(value))
+}
+
+/**
+ * Composable for named, ordered lists of POIs, persisted in IndexedDB
+ * A collection is {id, name, pois, visible, createdAt, updatedAt}; each POI
+ * in a collection is a normalized POI with an extra `note`.
+ */
+export function useCollections() {
+  const collections = ref([])
+  const isLoaded = ref(false)
+  const error = ref(null)
+
+  /**
+   * Load saved collections (oldest first)
+   */
+  async function loadCollections() {
+    if (!isIndexedDBAvailable()) {
+      isLoaded.value = true
+      return
+    }
+
+    try {
+      const stored = await idbGetAll(STORE)
+      collections.value = stored.sort((a, b) => a.createdAt - b.createdAt)
+    } catch (err) {
+      console.warn('Loading collections failed:', err)
+    } finally {
+      isLoaded.value = true
+    }
+  }
+
+  function findCollection(id) {
+    return collections.value.find(collection => collection.id === id)
+  }
+
+  /**
+   * Replace a collection and write it to IndexedDB
+   */
+  async function saveCollection(collection) {
+    const updated = { ...collection, updatedAt: Date.now() }
+    const exists = collections.value.some(item => item.id === updated.id)
+
+    collections.value = exists
+      ? collections.value.map(item => (item.id === updated.id ? updated : item))
+      : [...collections.value, updated]
+
+    if (isIndexedDBAvailable()) {
+      try {
+        await idbPut(STORE, updated.id, plainCopy(updated))
+      } catch (err) {
+        console.warn('Saving collection failed:', err)
+      }
+    }
+
+    return updated
+  }
+
+  /**
+   * Apply a change to the POIs of a collection
+   */
+  function updatePOIs(id, update) {
+    const collection = findCollection(id)
+    if (!collection) return Promise.resolve(null)
+
+    return saveCollection({ ...collection, pois: update(collection.pois) })
+  }
+
+  /**
+   * Create a new collection
+   * @param {string} name - Collection name
+   * @param {Array} pois - Initial POIs
+   * @returns {Promise<Object>} The collection
+   */
+  function createCollection(name, pois = []) {
+    const now = Date.now()
+
+    // Drop duplicates, e.g. a place listed twice in an imported file
+    const seen = new Set()
+    const unique = pois.filter(poi => {
+      const key = String(poi.id)
+      if (seen.has(key)) return false
+      seen.add(key)
+      return true
+    })
+
+    return saveCollection({
+      id: createId(),
+      name: name.trim() || 'Untitled list',
+      pois: unique.map(poi => ({ ...plainCopy(poi), note: poi.note || '' })),
+      visible: true,
+      createdAt: now,
+      updatedAt: now
+    })
+  }
+
+  /**
+   * Delete a collection
+   */
+  async function deleteCollection(id) {
+    collections.value = collections.value.filter(collection => collection.id !== id)
+
+    if (isIndexedDBAvailable()) {
+      try {
+        await idbDelete(STORE, id)
+      } catch (err) {
+        console.warn('Deleting collection failed:', err)
+      }
+    }
+  }
+
+  /**
+   * Show or hide a collection on the map
+   */
+  function toggleCollectionVisibility(id) {
+    const collection = findCollection(id)
+    if (!collection) return Promise.resolve(null)
+
+    return saveCollection({ ...collection, visible: !collection.visible })
+  }
+
+  /**
+   * Check if a collection contains a POI
+   */
+  function hasPOI(id, poi) {
+    return !!findCollection(id)?.pois.some(item => String(item.id) === String(poi.id))
+  }
+
+  /**
+   * Append a POI to a collection (ignored if already included)
+   */
+  function addToCollection(id, poi, note = '') {
+    if (hasPOI(id, poi)) return Promise.resolve(findCollection(id))
+
+    return updatePOIs(id, pois => [...pois, { ...plainCopy(poi), note }])
+  }
+
+  /**
+   * Remove a POI from a collection
+   */
+  function removeFromCollection(id, poiId) {
+    return updatePOIs(id, pois => pois.filter(poi => String(poi.id) !== String(poiId)))
+  }
+
+  /**
+   * Set the note of a POI in a collection
+   */
+  function updateNote(id, poiId, note) {
+    return updatePOIs(id, pois => pois.map(poi => (
+      String(poi.id) === String(poiId) ? { ...poi, note } : poi
+    )))
+  }
+
+  /**
+   * Move a POI to another position in a collection
+   * @param {string} id - Collection id
+   * @param {number} fromIndex - Current position
+   * @param {number} toIndex - New position
+   */
+  function movePOI(id, fromIndex, toIndex) {
+    return updatePOIs(id, pois => {
+      if (toIndex < 0 || toIndex >= pois.length || fromIndex === toIndex) return pois
+
+      const reordered = [...pois]
+      const [poi] = reordered.splice(fromIndex, 1)
+      reordered.splice(toIndex, 0, poi)
+      return reordered
+    })
+  }
+
+  /**
+   * Create a collection from a GeoJSON or GPX file
+   * @param {string} text - File content
+   * @param {string} filename - File name, used for format detection and as fallback name
+   * @returns {Promise<Object|null>} The new collection, or null if the file could not be read
+   */
+  async function importCollection(text, filename = '') {
+    error.value = null
+
+    try {
+      const format = detectFormat(filename, text)
+      if (!format) {
+        throw new Error('Unsupported file format, use GeoJSON or GPX')
+      }
+
+      const { name, pois } = LIST_FORMATS[format].parse(text)
+      if (!pois.length) {
+        throw new Error('No places found in file')
+      }
+
+      return await createCollection(name || filename.replace(/\.[^.]+$/, ''), pois)
+    } catch (err) {
+      error.value = err.message
+      return null
+    }
+  }
+
+  /**
+   * Serialize a collection for download
+   * @param {string} id - Collection id
+   * @param {string} format - Key of EXPORT_FORMATS, e.g. 'geojson' or 'gpx'
+   * @param {Object} options - Export options for exportPOIs, e.g. {includeTags: true}
+   * @returns {Object|null} {filename, content, mimeType}
+   */
+  function exportCollection(id, format, options = {}) {
+    const collection = findCollection(id)
+    if (!collection || !EXPORT_FORMATS[format]) return null
+
+    return exportPOIs(collection.pois, format, { ...options, name: collection.name })
+  }
+
+  return {
+    // State
+    collections,
+    isLoaded,
+    error,
+
+    // Actions
+    loadCollections,
+    createCollection,
+    deleteCollection,
+    toggleCollectionVisibility,
+    hasPOI,
+    addToCollection,
+    removeFromCollection,
+    updateNote,
+    movePOI,
+    importCollection,
+    exportCollection
+  }
+}
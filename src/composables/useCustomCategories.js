@@ -0,0 +1,79 @@
+import { ref } from 'vue'
+import {
+  createCustomCategory,
+  loadCustomCategories,
+  saveCustomCategories
+} from '../services/customCategories.js'
+
+/**
+ * Composable for user-defined categories, persisted in localStorage
+ * Saved categories are merged into CATEGORIES as soon as this is called,
+ * so call it before restoring a search that may use them.
+ */
+export function useCustomCategories() {
+  const customCategories = ref(loadCustomCategories())
+  const error = ref(null)
+
+  function save(categories) {
+    customCategories.value = categories
+    saveCustomCategories(categories)
+  }
+
+  /**
+   * Add a category
+   * @param {Object} input - {label, icon, osmKey, osmValue, phrase, color}
+   * @returns {Object|null} The category, or null if the input was invalid (see error)
+   */
+  function addCategory(input) {
+    try {
+      const category = createCustomCategory(input, customCategories.value)
+      save([...customCategories.value, category])
+      error.value = null
+      return category
+    } catch (err) {
+      error.value = err.message
+      return null
+    }
+  }
+
+  /**
+   * Change a category, keeping its key
+   * @param {string} key - Category key
+   * @param {Object} input - See addCategory
+   * @returns {Object|null} The category, or null if the input was invalid (see error)
+   */
+  function updateCategory(key, input) {
+    if (!customCategories.value.some(cat => cat.key === key)) return null
+
+    try {
+      const category = createCustomCategory({ ...input, key }, customCategories.value)
+      save(customCategories.value.map(cat => (cat.key === key ? category : cat)))
+      error.value = null
+      return category
+    } catch (err) {
+      error.value = err.message
+      return null
+    }
+  }
+
+  /**
+   * Delete a category
+   */
+  function removeCategory(key) {
+    save(customCategories.value.filter(cat => cat.key !== key))
+    error.value = null
+  }
+
+  function clearError() {
+    error.value = null
+  }
+
+  return {
+    customCategories,
+    error,
+    addCategory,
+    updateCategory,
+    removeCategory,
+    clearError
+  }
+}
@@ -0,0 +1,104 @@
+import { ref, computed } from 'vue'
+import { isIndexedDBAvailable, idbGetAll, idbPut, idbDelete } from '../services/idb.js'
+
+const STORE = 'favorites'
+
+/**
+ * Store key for a POI - ids are numbers for Nominatim and strings for other sources
+ */
+function favoriteKey(poi) {
+  return String(poi.id)
+}
+
+/**
+ * Composable for saved places, persisted in IndexedDB
+ * Favorites keep a full copy of the POI so they survive new searches.
+ */
+export function useFavorites() {
+  const favorites = ref([])
+  const isLoaded = ref(false)
+
+  const favoriteIds = computed(() => new Set(favorites.value.map(favoriteKey)))
+
+  /**
+   * Load saved favorites (oldest first)
+   */
+  async function loadFavorites() {
+    if (!isIndexedDBAvailable()) {
+      isLoaded.value = true
+      return
+    }
+
+    try {
+      const stored = await idbGetAll(STORE)
+      favorites.value = stored.sort((a, b) => a.savedAt - b.savedAt)
+    } catch (err) {
+      console.warn('Loading favorites failed:', err)
+    } finally {
+      isLoaded.value = true
+    }
+  }
+
+  /**
+   * Check if a POI is saved
+   */
+  function isFavorite(poi) {
+    return !!poi && favoriteIds.value.has(favoriteKey(poi))
+  }
+
+  /**
+   * Save a POI
+   */
+  async function addFavorite(poi) {
+    if (isFavorite(poi)) return
+
+    // Plain copy - reactive proxies cannot be stored in IndexedDB
+    const favorite = { ...JSON.parse(JSON.stringify(poi)), savedAt: Date.now() }
+    favorites.value = [...favorites.value, favorite]
+
+    if (isIndexedDBAvailable()) {
+      try {
+        await idbPut(STORE, favoriteKey(poi), favorite)
+      } catch (err) {
+        console.warn('Saving favorite failed:', err)
+      }
+    }
+  }
+
+  /**
+   * Remove a saved POI
+   */
+  async function removeFavorite(poi) {
+    const key = favoriteKey(poi)
+    favorites.value = favorites.value.filter(favorite => favoriteKey(favorite) !== key)
+
+    if (isIndexedDBAvailable()) {
+      try {
+        await idbDelete(STORE, key)
+      } catch (err) {
+        console.warn('Removing favorite failed:', err)
+      }
+    }
+  }
+
+  /**
+   * Save or remove a POI
+   */
+  function toggleFavorite(poi) {
+    return isFavorite(poi) ? removeFavorite(poi) : addFavorite(poi)
+  }
+
+  return {
+    // State
+    favorites,
+    favoriteIds,
+    isLoaded,
+
+    // Actions
+    loadFavorites,
+    isFavorite,
+    addFavorite,
+    removeFavorite,
+    toggleFavorite
+  }
+}
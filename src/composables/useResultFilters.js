@@ -0,0 +1,104 @@
+import { ref, computed, watch, onMounted, onUnmounted } from 'vue'
+import { getOpeningHours, getCountryCode } from '../services/details.js'
+import { buildFacets, filterByFacets, createFacetSelection } from '../services/facets.js'
+import { isOpenAt } from '../utils/openingHours.js'
+import { getHolidayCalendar } from '../utils/holidays.js'
+
+// Re-evaluate opening hours once a minute
+const CLOCK_INTERVAL = 60 * 1000
+
+/**
+ * Whether two lists hold the same items in the same order
+ */
+function isSameList(a, b) {
+  return a.length === b.length && a.every((item, index) => item === b[index])
+}
+
+/**
+ * Composable for client-side filters on search results
+ * @param {Ref<Array>} results - Normalized POIs from the search
+ */
+export function useResultFilters(results) {
+  // Only keep places that are open now (places without hours are hidden)
+  const openNow = ref(false)
+  const now = ref(new Date())
+
+  // Selected facet values {category: [], city: [], tag: []}
+  const facetSelection = ref(createFacetSelection())
+
+  let clockTimer = null
+
+  // A clock tick that opens or closes nothing keeps the same array, so
+  // nothing downstream (such as the map markers) is rebuilt
+  const openResults = computed((previous) => {
+    if (!openNow.value) return results.value
+
+    const open = results.value.filter(poi => isOpenAt(getOpeningHours(poi), now.value, {
+      isHoliday: getHolidayCalendar(getCountryCode(poi))
+    }))
+    return previous && isSameList(previous, open) ? previous : open
+  })
+
+  // Facet counts reflect the "Open now" filter
+  const facets = computed(() => buildFacets(openResults.value, facetSelection.value))
+
+  const filteredResults = computed(() => filterByFacets(openResults.value, facetSelection.value))
+
+  const hiddenCount = computed(() => results.value.length - filteredResults.value.length)
+
+  const hasActiveFacets = computed(() => (
+    Object.values(facetSelection.value).some(values => values.length > 0)
+  ))
+
+  /**
+   * Select or deselect a facet value
+   * @param {string} group - Key of FACET_GROUPS
+   * @param {string} value - Facet value
+   */
+  function toggleFacet(group, value) {
+    const selected = facetSelection.value[group] || []
+
+    facetSelection.value = {
+      ...facetSelection.value,
+      [group]: selected.includes(value)
+        ? selected.filter(item => item !== value)
+        : [...selected, value]
+    }
+  }
+
+  function clearFacets() {
+    facetSelection.value = createFacetSelection()
+  }
+
+  // Facet values belong to the results they were picked from; a loaded page
+  // only adds to them, though a radius search re-sorts the whole list
+  watch(results, (next, previous) => {
+    const kept = new Set(next)
+    const isAppended = previous.length > 0 &&
+      next.length > previous.length &&
+      previous.every(poi => kept.has(poi))
+    if (!isAppended) clearFacets()
+  })
+
+  onMounted(() => {
+    clockTimer = setInterval(() => {
+      now.value = new Date()
+    }, CLOCK_INTERVAL)
+  })
+
+  onUnmounted(() => {
+    clearInterval(clockTimer)
+  })
+
+  return {
+    openNow,
+    now,
+    facets,
+    facetSelection,
+    hasActiveFacets,
+    filteredResults,
+    hiddenCount,
+    toggleFacet,
+    clearFacets
+  }
+}
@@ -0,0 +1,65 @@
+import { ref } from 'vue'
+import { reverseGeocode, normalizePOI, isAbortError } from '../services/nominatim.js'
+
+/**
+ * Composable for "What's here?" lookups of a point picked on the map
+ * The pin is {lat, lng, place, isLoading, error}; place is a normalized POI
+ * for the address found there, or null.
+ */
+export function useReverseGeocode() {
+  const pin = ref(null)
+
+  // Only the latest lookup matters, older ones are aborted
+  let activeRequest = null
+
+  /**
+   * Drop a pin and look up the address at a point
+   * @param {Object} point - {lat, lng}
+   */
+  async function lookupPoint({ lat, lng }) {
+    activeRequest?.abort()
+
+    const request = new AbortController()
+    activeRequest = request
+    pin.value = { lat, lng, place: null, isLoading: true, error: null }
+
+    try {
+      const data = await reverseGeocode(lat, lng, { signal: request.signal })
+      if (request !== activeRequest) return
+
+      pin.value = {
+        ...pin.value,
+        place: data ? normalizePOI(data) : null,
+        error: data ? null : 'No address found here'
+      }
+    } catch (err) {
+      if (isAbortError(err) || request !== activeRequest) return
+
+      console.warn('Reverse geocoding failed:', err)
+      pin.value = { ...pin.value, error: 'Looking up the address failed' }
+    } finally {
+      if (request === activeRequest) {
+        activeRequest = null
+        pin.value = { ...pin.value, isLoading: false }
+      }
+    }
+  }
+
+  /**
+   * Remove the pin, cancelling a pending lookup
+   */
+  function clearPin() {
+    activeRequest?.abort()
+    activeRequest = null
+    pin.value = null
+  }
+
+  return {
+    // State
+    pin,
+
+    // Actions
+    lookupPoint,
+    clearPin
+  }
+}
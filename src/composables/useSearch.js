@@ -1,5 +1,112 @@
 import { ref, computed } from 'vue'
-import { searchPOI, searchByCategory, getInitialCategories, CATEGORIES } from '../services/nominatim.js'
+import {
+  searchPOI,
+  searchByCategory,
+  searchByCategories,
+  geocodeArea,
+  getInitialCategories,
+  isAbortError,
+  isCategorySearchComplete,
+  CATEGORIES,
+  PAGE_SIZE
+} from '../services/nominatim.js'
+import {
+  recordUse,
+  rankCategories,
+  loadCategoryUsage,
+  saveCategoryUsage
+} from '../services/categoryUsage.js'
+import {
+  uncoveredFraction,
+  haversineDistance,
+  centerBounds,
+  boundsAroundPoint,
+  filterByRadius,
+  formatDistance,
+  polygonBounds,
+  pointInPolygon,
+  pointInGeometry,
+  boundsCenter
+} from '../utils/geo.js'
+import { parseQuery, isInterpreted } from '../services/queryParser.js'
+
+// Share of the viewport outside the last searched area, or of the radius a
+// circle around the map center has moved, that offers a new search
+const AREA_CHANGE_THRESHOLD = 0.3
+
+// Radius of "near me" searches until the user picks another, in meters
+export const DEFAULT_RADIUS = 1000
+
+/**
+ * Turn a category argument into a list of keys
+ * @param {string|Array} category - Key, list of keys, or '' for none
+ * @returns {Array}
+ */
+function toCategoryList(category) {
+  if (Array.isArray(category)) return category.filter(Boolean)
+  return category ? [category] : []
+}
+
+/**
+ * Category option for searchPOI: a single key, or the list to fan out over
+ */
+function toCategoryOption(categories) {
+  return categories.length > 1 ? categories : (categories[0] || '')
+}
+
+/**
+ * Join category labels for messages, e.g. "cafes, banks or atms"
+ */
+function formatCategoryLabels(categories) {
+  const labels = categories.map(key => CATEGORIES[key].label.toLowerCase())
+  return labels.length > 1
+    ? `${labels.slice(0, -1).join(', ')} or ${labels[labels.length - 1]}`
+    : labels[0]
+}
+
+/**
+ * Search one category, or fan out over several
+ */
+function fetchCategories(categories, viewbox, center, options) {
+  return categories.length === 1
+    ? searchByCategory(categories[0], viewbox, center, options)
+    : searchByCategories(categories, viewbox, center, options)
+}
+
+/**
+ * Search text, or the categories when there is none
+ * @param {string} term - Text to search, '' for a category search
+ * @param {Object} options - Request options; bounded keeps text searches to the viewbox
+ */
+function fetchResults(term, categories, viewbox, center, { bounded, ...options }) {
+  return term
+    ? searchPOI(term, { ...options, category: toCategoryOption(categories), viewbox, bounded })
+    : fetchCategories(categories, viewbox, center, options)
+}
+
+/**
+ * Drop results outside the searched shape
+ * Results in a circle are sorted nearest-first, other searches keep the
+ * provider's order.
+ * @param {Array} data - Normalized POIs
+ * @param {Object} scope - {center, radius, polygon, boundary}, see searchScope
+ */
+function withinScope(data, { center, radius, polygon, boundary }) {
+  if (boundary) return data.filter(poi => pointInGeometry(poi, boundary.geometry))
+  if (polygon) return data.filter(poi => pointInPolygon(poi, polygon))
+  return radius ? filterByRadius(data, center, radius) : data
+}
+
+/**
+ * Hint for empty results, depending on the searched shape
+ */
+function emptyScopeHint({ radius, polygon, boundary, anchor }) {
+  if (boundary) return `in ${boundary.name}.`
+  if (polygon) return 'in the drawn area. Try drawing a larger area.'
+  if (radius) return `within ${formatDistance(radius)}. Try a larger radius.`
+  if (anchor) return anchor.name ? `near ${anchor.name}.` : 'nearby.'
+  return null
+}
 
 /**
  * Composable for managing POI search state
@@ -9,97 +116,479 @@ export function useSearch() {
   const isLoading = ref(false)
   const error = ref(null)
   const searchQuery = ref('')
-  const selectedCategory = ref('')
+  const selectedCategories = ref([])
   const selectedPOI = ref(null)
 
   // Current map viewport
   const mapBounds = ref(null)
   const mapCenter = ref(null)
+  const mapZoom = ref(null)
+
+  // Geolocated position of the user, if permitted
+  const userLocation = ref(null)
+
+  // Point distances are measured from: the user, or else the map center
+  const distanceOrigin = computed(() => {
+    if (userLocation.value) return { ...userLocation.value, source: 'user' }
+    if (mapCenter.value) return { ...mapCenter.value, source: 'map' }
+    return null
+  })
+
+  // "Near me" mode: search a circle of `radius` meters instead of the map view
+  const radiusMode = ref(false)
+  const radius = ref(DEFAULT_RADIUS)
+
+  // Point picked on the map as the circle's center
+  const radiusPoint = ref(null)
+
+  // Circles are centered on: the picked point, the user, or else the map center
+  const radiusCenter = computed(() => {
+    if (radiusPoint.value) return { ...radiusPoint.value, source: 'point' }
+    return distanceOrigin.value
+  })
+
+  // Area drawn on the map, vertices {lat, lng}; replaces the map view as the
+  // search area until cleared
+  const searchPolygon = ref(null)
+
+  // How the last text search was read, {text, categories, location} from
+  // parseQuery; null when it was searched as plain text
+  const interpretation = ref(null)
+
+  // Last area search {query, categories, bounds, center, radius?, polygon?},
+  // repeated by "Search this area" and paged by "Load more". Interpreted
+  // searches add what was searched as plan {term, categories}, and the
+  // boundary of an "in <area>" or the anchor {lat, lng, name, source} of a "near <place>".
+  const lastSearch = ref(null)
+
+  // Outline {name, displayName, geometry, bounds} of the area named in the last search
+  const searchBoundary = computed(() => lastSearch.value?.boundary || null)
+
+  // Place a "near <place>" search was centered on, distances are measured from it
+  const searchAnchor = computed(() => lastSearch.value?.anchor || null)
 
-  // Computed categories sorted alphabetically by label
-  const categories = computed(() => {
-    const allCategories = getInitialCategories()
-    return allCategories.sort((a, b) => a.label.localeCompare(b.label))
+  // Whether the last search may have further pages
+  const hasMore = ref(false)
+  const isLoadingMore = ref(false)
+  const loadMoreError = ref(null)
+
+  // Whether the map has moved far enough from the last searched area
+  const isAreaChanged = computed(() => {
+    const searchedBounds = lastSearch.value?.bounds
+    if (!searchedBounds || !mapBounds.value) return false
+
+    // Drawn areas, named areas and searched places stay put wherever the map goes
+    const { polygon, boundary, anchor, radius, followsMap, center } = lastSearch.value
+    if (polygon || boundary || anchor) return false
+
+    // So do circles around the user or a picked point; one around the map
+    // center moves with it
+    if (radius) {
+      return followsMap && !!mapCenter.value &&
+        haversineDistance(center, mapCenter.value) >= radius * AREA_CHANGE_THRESHOLD
+    }
+
+    return uncoveredFraction(mapBounds.value, searchedBounds) >= AREA_CHANGE_THRESHOLD
   })
 
+  // Whether the map should zoom to fit the current results
+  const fitToResults = ref(true)
+
+  // Search in progress - aborted when a newer search supersedes it
+  let activeRequest = null
+
+  // How often and how recently each category was searched, see categoryUsage.js
+  const categoryUsage = ref(loadCategoryUsage())
+  const allCategories = ref(getInitialCategories())
+
+  // Most used categories first, then the rest alphabetically by label
+  const categories = computed(() => rankCategories(allCategories.value, categoryUsage.value, Date.now()))
+
+  /**
+   * Re-read the categories, e.g. after custom categories changed
+   */
+  function refreshCategories() {
+    allCategories.value = getInitialCategories()
+  }
+
+  /**
+   * Count a search for the category order
+   */
+  function trackCategoryUse(keys, options) {
+    if (!keys.length || options.recordUse === false) return
+
+    categoryUsage.value = recordUse(categoryUsage.value, keys, Date.now())
+    saveCategoryUsage(categoryUsage.value)
+  }
+
+  /**
+   * Count a use of categories searched outside search() and searchCategory(),
+   * e.g. once a selection in the category picker is done
+   * @param {Array} keys - Category keys used together
+   */
+  function recordCategoryUse(keys) {
+    trackCategoryUse(keys, {})
+  }
+
+  /**
+   * Forget category usage, restoring the alphabetical order
+   */
+  function clearCategoryHistory() {
+    categoryUsage.value = {}
+    saveCategoryUsage({})
+  }
+
+  /**
+   * Start a new search request, cancelling the one in progress
+   * @returns {AbortController}
+   */
+  function startRequest() {
+    activeRequest?.abort()
+    isLoadingMore.value = false
+    activeRequest = new AbortController()
+    return activeRequest
+  }
+
+  /**
+   * Check if a request is still the latest one (results of older ones are dropped)
+   */
+  function isCurrent(request) {
+    return request === activeRequest
+  }
+
+  /**
+   * Mark a request as done, if no newer one replaced it
+   */
+  function finishRequest(request) {
+    if (isCurrent(request)) {
+      activeRequest = null
+      isLoading.value = false
+    }
+  }
+
   /**
    * Update map viewport info
    */
-  function updateMapViewport(bounds, center) {
+  function updateMapViewport(bounds, center, zoom = null) {
     mapBounds.value = bounds
     mapCenter.value = center
+    mapZoom.value = zoom
+  }
+
+  /**
+   * Set the user's geolocated position
+   * @param {Object} location - {lat, lng}, or null when unknown
+   */
+  function setUserLocation(location) {
+    userLocation.value = location
+  }
+
+  /**
+   * Set the point picked as the center of radius searches
+   * @param {Object} point - {lat, lng}, or null to center on the user or the map
+   */
+  function setRadiusPoint(point) {
+    radiusPoint.value = point ? { lat: point.lat, lng: point.lng } : null
+  }
+
+  /**
+   * Set the area drawn on the map as the search area
+   * @param {Array} polygon - Vertices {lat, lng}, or null to search the map view again
+   */
+  function setSearchPolygon(polygon) {
+    searchPolygon.value = polygon?.length >= 3
+      ? polygon.map(({ lat, lng }) => ({ lat, lng }))
+      : null
+  }
+
+  /**
+   * Area to search: the drawn area, the circle around the radius center in
+   * radius mode, else the map view, moved to center on a point if one is given
+   * Shapes are searched through their bounding box, see withinScope.
+   * @param {Object} point - Optional {lat, lng} to search around, instead of a drawn area
+   * @returns {Object} {bounds, center}, with radius in radius mode (and followsMap when
+   *   the circle is centered on the map) or polygon for a drawn area
+   */
+  function searchScope(point = null) {
+    if (searchPolygon.value && !point) {
+      const bounds = polygonBounds(searchPolygon.value)
+      return { bounds, center: boundsCenter(bounds), polygon: searchPolygon.value }
+    }
+
+    const origin = point || radiusCenter.value
+    if (radiusMode.value && origin) {
+      const center = { lat: origin.lat, lng: origin.lng }
+      const followsMap = !point && origin.source === 'map'
+      return { bounds: boundsAroundPoint(center, radius.value), center, radius: radius.value, followsMap }
+    }
+
+    if (point && mapBounds.value) {
+      return { bounds: centerBounds(mapBounds.value, point), center: point }
+    }
+    return { bounds: mapBounds.value, center: mapCenter.value }
+  }
+
+  /**
+   * Find the area to search for the location of an interpreted query
+   * "in <area>" searches inside the outline of the area; "near <place>" around
+   * the place, and "near me" around the user (or the map center).
+   * @param {Object} location - {relation, name} from parseQuery
+   * @returns {Promise<Object|null>} Scope, see searchScope; null when nothing is found
+   */
+  async function locateQuery(location, signal) {
+    try {
+      if (location.relation === 'in') {
+        const area = await geocodeArea(location.name, { viewbox: mapBounds.value, signal })
+        return area && { bounds: area.bounds, center: boundsCenter(area.bounds), boundary: area }
+      }
+
+      if (!location.name) {
+        const anchor = distanceOrigin.value && { ...distanceOrigin.value, name: null }
+        return anchor && { ...searchScope(anchor), anchor }
+      }
+
+      const [place] = await searchPOI(location.name, { limit: 1, viewbox: mapBounds.value, signal })
+      if (!place) return null
+
+      // Normalized POIs have lon, map points lng
+      const anchor = { lat: place.lat, lng: place.lon, name: location.name, source: 'place' }
+      return { ...searchScope(anchor), anchor }
+    } catch (err) {
+      if (isAbortError(err)) throw err
+
+      // The whole query is searched as text instead
+      console.warn('Location lookup failed:', err)
+      return null
+    }
   }
 
   /**
    * Perform POI search with location bias
+   * Queries are read by parseQuery: "cheap cafes" searches the cafe category,
+   * "pharmacies in Kreuzberg" inside the outline of Kreuzberg and
+   * "sushi near Alexanderplatz" around Alexanderplatz. When the location is
+   * not found, the whole query is searched as text.
+   * @param {string} query - Search query
+   * @param {string|Array} category - Optional category key, or several keys
+   * @param {Object} options - Search options
+   * @param {boolean} options.fitBounds - Zoom the map to the results (default true)
+   * @param {boolean} options.recordUse - Count the categories for their order (default true)
    */
-  async function search(query, category = '') {
+  async function search(query, category = [], options = {}) {
     if (!query.trim()) {
       error.value = 'Please enter a search term'
       return
     }
 
+    const categories = toCategoryList(category).filter(key => CATEGORIES[key])
+    const parsed = parseQuery(query, CATEGORIES)
+    const searchedCategories = [...new Set([...parsed.categories, ...categories])]
+    const request = startRequest()
+    trackCategoryUse(searchedCategories, options)
+
+    const scope = searchScope()
+
+    fitToResults.value = options.fitBounds !== false
+    lastSearch.value = { query, categories, ...scope }
+    interpretation.value = isInterpreted(parsed) ? parsed : null
     searchQuery.value = query
-    selectedCategory.value = category
+    selectedCategories.value = categories
     isLoading.value = true
     error.value = null
     results.value = []
+    hasMore.value = false
+    loadMoreError.value = null
     selectedPOI.value = null
 
     try {
-      const data = await searchPOI(query, {
-        category,
-        viewbox: mapBounds.value
+      let plan = { term: query, categories, scope }
+
+      if (interpretation.value) {
+        // Searches without a location start right away, without waiting for a lookup
+        const located = parsed.location ? await locateQuery(parsed.location, request.signal) : scope
+        if (!isCurrent(request)) return
+
+        if (located) {
+          plan = { term: parsed.text, categories: searchedCategories, scope: located }
+          lastSearch.value = {
+            query,
+            categories,
+            ...located,
+            plan: { term: plan.term, categories: plan.categories }
+          }
+        } else {
+          interpretation.value = null
+        }
+      }
+
+      const { term, categories: searched, scope: searchedScope } = plan
+      const data = await fetchResults(term, searched, searchedScope.bounds, searchedScope.center, {
+        signal: request.signal
       })
-      results.value = data
 
-      if (data.length === 0) {
-        error.value = 'No results found. Try a different search term.'
+      // Superseded by a newer search
+      if (!isCurrent(request)) return
+
+      results.value = withinScope(data, searchedScope)
+      hasMore.value = (!!term || !isCategorySearchComplete(searchedScope.bounds)) && data.length >= PAGE_SIZE
+
+      if (results.value.length === 0) {
+        const hint = emptyScopeHint(searchedScope)
+        const found = term ? 'results' : formatCategoryLabels(searched)
+        if (hint) {
+          error.value = `No ${found} found ${hint}`
+        } else {
+          error.value = term
+            ? 'No results found. Try a different search term.'
+            : `No ${found} found in this area. Try panning the map.`
+        }
       }
     } catch (err) {
+      if (!isCurrent(request) || isAbortError(err)) return
+
       console.error('Search error:', err)
       error.value = 'Search failed. Please try again.'
     } finally {
-      isLoading.value = false
+      finishRequest(request)
     }
   }
 
   /**
    * Search for POIs by category only (in current map view)
+   * Several categories are searched with one request each and merged.
+   * @param {string|Array} category - Category key, or several keys
+   * @param {Object} options - Search options
+   * @param {boolean} options.fitBounds - Zoom the map to the results (default true)
+   * @param {boolean} options.recordUse - Count the categories for their order (default true)
+   * @param {Object} options.center - Search around this point {lat, lng} instead of the
+   *   map center or drawn area, in an area the size of the map view (or the radius
+   *   in radius mode)
    */
-  async function searchCategory(category) {
-    if (!category || !CATEGORIES[category]) {
+  async function searchCategory(category, options = {}) {
+    const categories = toCategoryList(category)
+    if (!categories.length || !categories.every(key => CATEGORIES[key])) {
       error.value = 'Please select a category'
       return
     }
 
-    selectedCategory.value = category
+    const request = startRequest()
+    trackCategoryUse(categories, options)
+
+    const scope = searchScope(options.center)
+    const { bounds, center } = scope
+
+    fitToResults.value = options.fitBounds !== false
+    lastSearch.value = { query: '', categories, ...scope }
+    interpretation.value = null
+    selectedCategories.value = categories
     searchQuery.value = ''
     isLoading.value = true
     error.value = null
     results.value = []
+    hasMore.value = false
+    loadMoreError.value = null
     selectedPOI.value = null
 
     try {
-      const data = await searchByCategory(
-        category,
-        mapBounds.value,
-        mapCenter.value
-      )
-      results.value = data
-
-      if (data.length === 0) {
-        const catLabel = CATEGORIES[category].label
-        error.value = `No ${catLabel.toLowerCase()} found in this area. Try panning the map.`
+      const data = await fetchCategories(categories, bounds, center, { signal: request.signal })
+
+      // Superseded by a newer search
+      if (!isCurrent(request)) return
+
+      results.value = withinScope(data, scope)
+      hasMore.value = !isCategorySearchComplete(bounds) && data.length >= PAGE_SIZE
+
+      if (results.value.length === 0) {
+        const labels = formatCategoryLabels(categories)
+        const hint = emptyScopeHint(scope)
+        error.value = hint ? `No ${labels} found ${hint}` : `No ${labels} found in this area. Try panning the map.`
       }
     } catch (err) {
+      if (!isCurrent(request) || isAbortError(err)) return
+
       console.error('Category search error:', err)
       error.value = 'Search failed. Please try again.'
     } finally {
-      isLoading.value = false
+      finishRequest(request)
+    }
+  }
+
+  /**
+   * Repeat the last search in the current map area, keeping the map in place
+   */
+  async function searchArea() {
+    if (!lastSearch.value) return
+
+    const { query, categories } = lastSearch.value
+    if (query) {
+      await search(query, categories, { fitBounds: false, recordUse: false })
+    } else {
+      await searchCategory(categories, { fitBounds: false, recordUse: false })
+    }
+  }
+
+  /**
+   * Load the next page of the last search and append it to the results
+   * The page covers the same area as the first one and the map is not refitted.
+   */
+  async function loadMore() {
+    if (!lastSearch.value || !hasMore.value || isLoading.value || isLoadingMore.value) return
+
+    const request = startRequest()
+    const { query, categories, bounds, center, plan } = lastSearch.value
+    const term = plan ? plan.term : query
+    const searched = plan ? plan.categories : categories
+    const excludePlaceIds = results.value.map(poi => poi.id)
+
+    fitToResults.value = false
+    isLoadingMore.value = true
+    loadMoreError.value = null
+
+    try {
+      // Once the area is used up, text searches must not fall back to places elsewhere
+      const page = await fetchResults(term, searched, bounds, center, {
+        bounded: true,
+        excludePlaceIds,
+        signal: request.signal
+      })
+
+      // Superseded by a newer search
+      if (!isCurrent(request)) return
+
+      // Providers without paging support return the same places again
+      const knownIds = new Set(excludePlaceIds.map(String))
+      const added = page.filter(poi => !knownIds.has(String(poi.id)))
+
+      results.value = withinScope([...results.value, ...added], lastSearch.value)
+      hasMore.value = added.length > 0 && page.length >= PAGE_SIZE
+    } catch (err) {
+      if (!isCurrent(request) || isAbortError(err)) return
+
+      console.error('Load more error:', err)
+      loadMoreError.value = 'Loading more results failed. Please try again.'
+    } finally {
+      if (isCurrent(request)) {
+        isLoadingMore.value = false
+      }
+      finishRequest(request)
     }
   }
 
+  /**
+   * Show a single POI as the result, e.g. a chosen autocomplete suggestion
+   */
+  function showPOI(poi) {
+    cancelSearch()
+    lastSearch.value = null
+    interpretation.value = null
+    hasMore.value = false
+    fitToResults.value = true
+    searchQuery.value = poi.name
+    error.value = null
+    results.value = [poi]
+    selectedPOI.value = poi
+  }
+
   /**
    * Select a POI to highlight
    */
@@ -114,14 +603,31 @@ export function useSearch() {
     selectedPOI.value = null
   }
 
+  /**
+   * Cancel the search in progress, if any
+   */
+  function cancelSearch() {
+    if (activeRequest) {
+      activeRequest.abort()
+      activeRequest = null
+      isLoading.value = false
+      isLoadingMore.value = false
+    }
+  }
+
   /**
    * Clear all search state
    */
   function clearSearch() {
+    cancelSearch()
+    lastSearch.value = null
+    interpretation.value = null
+    hasMore.value = false
+    loadMoreError.value = null
     results.value = []
     error.value = null
     searchQuery.value = ''
-    selectedCategory.value = ''
+    selectedCategories.value = []
     selectedPOI.value = null
   }
 
@@ -131,18 +637,44 @@ export function useSearch() {
     isLoading,
     error,
     searchQuery,
-    selectedCategory,
+    selectedCategories,
     selectedPOI,
     categories,
     mapBounds,
     mapCenter,
+    mapZoom,
+    userLocation,
+    distanceOrigin,
+    radiusMode,
+    radius,
+    radiusCenter,
+    searchPolygon,
+    searchBoundary,
+    searchAnchor,
+    interpretation,
+    lastSearch,
+    isAreaChanged,
+    hasMore,
+    isLoadingMore,
+    loadMoreError,
+    fitToResults,
 
     // Actions
     search,
     searchCategory,
+    searchArea,
+    loadMore,
+    cancelSearch,
+    showPOI,
     selectPOI,
     clearSelection,
     clearSearch,
-    updateMapViewport
+    updateMapViewport,
+    setUserLocation,
+    setRadiusPoint,
+    setSearchPolygon,
+    refreshCategories,
+    recordCategoryUse,
+    clearCategoryHistory
   }
 }
@@ -0,0 +1,151 @@
+import { onMounted, onUnmounted } from 'vue'
+
+/**
+ * URL query parameters holding the shareable search state, e.g.
+ * ?q=coffee&cat=cafe,bakery&map=14/52.52000/13.40500&layer=satellite&poi=12345
+ * A drawn search area is listed as lat,lng vertices: &area=52.5,13.4;52.6,13.4;52.6,13.5
+ */
+const PARAMS = {
+  query: 'q',
+  categories: 'cat',
+  map: 'map',
+  layer: 'layer',
+  poi: 'poi',
+  area: 'area'
+}
+
+// ~1m precision is plenty for a map view
+const COORDINATE_DECIMALS = 5
+
+/**
+ * Parse a drawn area from "lat,lng;lat,lng;..."
+ * @returns {Array|null} Vertices {lat, lng}, or null unless it is a valid polygon
+ */
+function parseArea(value) {
+  if (!value) return null
+
+  const vertices = value.split(';').map(vertex => vertex.split(',').map(Number))
+  const isValid = vertices.length >= 3 && vertices.every(vertex => (
+    vertex.length === 2 && vertex.every(Number.isFinite) &&
+    Math.abs(vertex[0]) <= 90 && Math.abs(vertex[1]) <= 180
+  ))
+
+  return isValid ? vertices.map(([lat, lng]) => ({ lat, lng })) : null
+}
+
+/**
+ * Parse search state from a URL query string
+ * @param {string} search - Query string, e.g. window.location.search
+ * @returns {Object} {query, categories, center: {lat, lng}, zoom, layer, poi, area}
+ */
+export function parseUrlState(search) {
+  const params = new URLSearchParams(search)
+  const state = {
+    query: params.get(PARAMS.query) || '',
+    categories: (params.get(PARAMS.categories) || '').split(',').filter(Boolean),
+    center: null,
+    zoom: null,
+    layer: params.get(PARAMS.layer) === 'satellite' ? 'satellite' : 'street',
+    poi: params.get(PARAMS.poi) || null,
+    area: parseArea(params.get(PARAMS.area))
+  }
+
+  // Map view uses the zoom/lat/lng format known from openstreetmap.org
+  const map = params.get(PARAMS.map)?.split('/').map(Number)
+  if (map?.length === 3 && map.every(Number.isFinite)) {
+    const [zoom, lat, lng] = map
+    if (Math.abs(lat) <= 90 && Math.abs(lng) <= 180) {
+      state.zoom = zoom
+      state.center = { lat, lng }
+    }
+  }
+
+  return state
+}
+
+/**
+ * Serialize search state to a URL query string
+ * @param {Object} state - {query, categories, center, zoom, layer, poi, area}
+ * @returns {string} Query string with leading '?', or '' for an empty state
+ */
+export function serializeUrlState(state) {
+  const params = new URLSearchParams()
+
+  if (state.query) params.set(PARAMS.query, state.query)
+  if (state.categories?.length) params.set(PARAMS.categories, state.categories.join(','))
+  if (state.center && state.zoom != null) {
+    const lat = state.center.lat.toFixed(COORDINATE_DECIMALS)
+    const lng = state.center.lng.toFixed(COORDINATE_DECIMALS)
+    params.set(PARAMS.map, `${state.zoom}/${lat}/${lng}`)
+  }
+  if (state.layer && state.layer !== 'street') params.set(PARAMS.layer, state.layer)
+  if (state.poi != null) params.set(PARAMS.poi, String(state.poi))
+  if (state.area?.length) {
+    const vertices = state.area.map(({ lat, lng }) => (
+      `${lat.toFixed(COORDINATE_DECIMALS)},${lng.toFixed(COORDINATE_DECIMALS)}`
+    ))
+    params.set(PARAMS.area, vertices.join(';'))
+  }
+
+  const query = params.toString()
+    // Keep the map, category and area parameters readable
+    .replace(/%2F/g, '/')
+    .replace(/%2C/g, ',')
+    .replace(/%3B/g, ';')
+
+  return query ? `?${query}` : ''
+}
+
+/**
+ * Composable keeping search state in the URL and browser history
+ * @param {Function} onNavigate - Called with the parsed state on browser back/forward
+ */
+export function useUrlState(onNavigate) {
+  const initialState = parseUrlState(window.location.search)
+
+  function buildUrl(state) {
+    return `${window.location.pathname}${serializeUrlState(state)}${window.location.hash}`
+  }
+
+  function currentUrl() {
+    return `${window.location.pathname}${window.location.search}${window.location.hash}`
+  }
+
+  /**
+   * Add a history entry, e.g. for a new search
+   */
+  function pushUrlState(state) {
+    const url = buildUrl(state)
+    if (url !== currentUrl()) {
+      window.history.pushState(null, '', url)
+    }
+  }
+
+  /**
+   * Update the current history entry, e.g. after panning the map
+   */
+  function replaceUrlState(state) {
+    const url = buildUrl(state)
+    if (url !== currentUrl()) {
+      window.history.replaceState(null, '', url)
+    }
+  }
+
+  function handlePopState() {
+    onNavigate(parseUrlState(window.location.search))
+  }
+
+  onMounted(() => {
+    window.addEventListener('popstate', handlePopState)
+  })
+
+  onUnmounted(() => {
+    window.removeEventListener('popstate', handlePopState)
+  })
+
+  return {
+    initialState,
+    pushUrlState,
+    replaceUrlState
+  }
+}
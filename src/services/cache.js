@@ -0,0 +1,216 @@
+/**
+ * Response cache with TTL: an in-memory LRU layer backed by IndexedDB
+ *
+ * The memory layer answers repeated queries within a session instantly, the
+ * IndexedDB layer keeps results across page reloads. Persistence is best
+ * effort - when IndexedDB is unavailable the cache works in memory only.
+ */
+
+import {
+  isIndexedDBAvailable,
+  idbGet,
+  idbGetAll,
+  idbPut,
+  idbDelete,
+  idbClear,
+  idbCount
+} from './idb.js'
+
+const STORE = 'cache'
+
+export const DEFAULT_TTL = 60 * 60 * 1000 // 1 hour
+export const DEFAULT_MAX_ENTRIES = 100
+export const DEFAULT_MAX_PERSISTENT_ENTRIES = 500
+
+// Coordinates are rounded so that float noise from the map doesn't defeat the cache
+const COORDINATE_PRECISION = 5
+const NUMBER_LIST = /^-?\d+(\.\d+)?(,-?\d+(\.\d+)?)*$/
+
+// Parameters holding coordinates: Nominatim and Photon viewbox/bbox/lat/lon,
+// Pelias boundary.rect.min_lat, focus.point.lon, point.lat and the like
+const COORDINATE_PARAM = /(^|\.)(viewbox|bbox|lat|lon|(min|max)_(lat|lon))$/
+
+/**
+ * Normalize a request URL into a cache key
+ * Query parameters are sorted and coordinate parameters (viewbox, lat, lon)
+ * rounded, so equivalent requests share one cache entry. Other values such as
+ * a numeric q (postcodes) are kept as they are.
+ * @param {string} url - Request URL
+ * @returns {string} Cache key
+ */
+export function normalizeCacheKey(url) {
+  const parsed = new URL(url)
+
+  const params = [...parsed.searchParams.entries()]
+    .map(([key, value]) => {
+      if (!COORDINATE_PARAM.test(key) || !NUMBER_LIST.test(value)) return [key, value]
+
+      const rounded = value
+        .split(',')
+        .map(number => String(Number(Number(number).toFixed(COORDINATE_PRECISION))))
+        .join(',')
+      return [key, rounded]
+    })
+    .sort(([keyA, valueA], [keyB, valueB]) =>
+      keyA === keyB ? valueA.localeCompare(valueB) : keyA.localeCompare(keyB)
+    )
+
+  return `${parsed.origin}${parsed.pathname}?${new URLSearchParams(params).toString()}`
+}
+
+/**
+ * Create a cache
+ * @param {Object} options - Cache options
+ * @param {number} options.ttl - Time to live in ms (default 1 hour)
+ * @param {number} options.maxEntries - Max entries kept in memory (default 100)
+ * @param {number} options.maxPersistentEntries - Max entries kept in IndexedDB (default 500)
+ * @param {boolean} options.persist - Use IndexedDB when available (default true)
+ * @returns {Object} Cache with get, set, delete, clear and configure
+ */
+export function createCache(options = {}) {
+  const config = {
+    ttl: DEFAULT_TTL,
+    maxEntries: DEFAULT_MAX_ENTRIES,
+    maxPersistentEntries: DEFAULT_MAX_PERSISTENT_ENTRIES,
+    persist: true
+  }
+
+  // Map keeps insertion order, re-inserting on access makes it an LRU
+  const memory = new Map()
+
+  function configure(newOptions = {}) {
+    for (const [key, value] of Object.entries(newOptions)) {
+      if (value !== undefined) config[key] = value
+    }
+    evictMemory()
+  }
+
+  function canPersist() {
+    return config.persist && isIndexedDBAvailable()
+  }
+
+  function evictMemory() {
+    while (memory.size > config.maxEntries) {
+      memory.delete(memory.keys().next().value)
+    }
+  }
+
+  function remember(key, entry) {
+    memory.delete(key)
+    memory.set(key, entry)
+    evictMemory()
+  }
+
+  /**
+   * Remove expired and oldest entries once the store grows past its limit
+   */
+  async function prunePersistent() {
+    const count = await idbCount(STORE)
+    if (count <= config.maxPersistentEntries) return
+
+    const now = Date.now()
+    const entries = (await idbGetAll(STORE)).sort((a, b) => a.storedAt - b.storedAt)
+    const excess = entries.length - config.maxPersistentEntries
+
+    const stale = entries.filter((entry, index) => index < excess || entry.expires <= now)
+    await Promise.all(stale.map(entry => idbDelete(STORE, entry.key)))
+  }
+
+  /**
+   * Get a cached value
+   * @param {string} key - Cache key
+   * @returns {Promise<any>} Cached value or undefined when missing or expired
+   */
+  async function get(key) {
+    const now = Date.now()
+
+    const entry = memory.get(key)
+    if (entry) {
+      if (entry.expires > now) {
+        remember(key, entry)
+        return entry.value
+      }
+      memory.delete(key)
+    }
+
+    if (!canPersist()) return undefined
+
+    try {
+      const stored = await idbGet(STORE, key)
+      if (stored && stored.expires > now) {
+        remember(key, stored)
+        return stored.value
+      }
+      if (stored) {
+        await idbDelete(STORE, key)
+      }
+    } catch (err) {
+      console.warn('Cache read failed:', err)
+    }
+
+    return undefined
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {any} value - Structured-cloneable value
+   */
+  async function set(key, value) {
+    const now = Date.now()
+    const entry = { key, value, storedAt: now, expires: now + config.ttl }
+
+    remember(key, entry)
+
+    if (!canPersist()) return
+
+    try {
+      await idbPut(STORE, key, entry)
+      await prunePersistent()
+    } catch (err) {
+      console.warn('Cache write failed:', err)
+    }
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - Cache key
+   */
+  async function remove(key) {
+    memory.delete(key)
+    if (!canPersist()) return
+
+    try {
+      await idbDelete(STORE, key)
+    } catch (err) {
+      console.warn('Cache delete failed:', err)
+    }
+  }
+
+  /**
+   * Remove all values
+   */
+  async function clear() {
+    memory.clear()
+    if (!canPersist()) return
+
+    try {
+      await idbClear(STORE)
+    } catch (err) {
+      console.warn('Cache clear failed:', err)
+    }
+  }
+
+  configure(options)
+
+  return {
+    get,
+    set,
+    delete: remove,
+    clear,
+    configure,
+    get size() {
+      return memory.size
+    }
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * POI categories shared by all geocoding providers
+ */
+
+// Category mappings to OSM tags and Nominatim special phrases, with map marker color
+// See: https://wiki.openstreetmap.org/wiki/Nominatim/Special_Phrases/EN
+export const CATEGORIES = {
+  restaurant: { label: 'Restaurants', phrase: 'restaurant', amenity: 'restaurant', icon: '🍽️', color: '#F97316' },
+  hotel: { label: 'Hotels', phrase: 'hotel', tourism: 'hotel', icon: '🏨', color: '#8B5CF6' },
+  cafe: { label: 'Cafes', phrase: 'cafe', amenity: 'cafe', icon: '☕', color: '#92400E' },
+  park: { label: 'Parks', phrase: 'park', leisure: 'park', icon: '🌳', color: '#16A34A' },
+  hospital: { label: 'Hospitals', phrase: 'hospital', amenity: 'hospital', icon: '🏥', color: '#DC2626' },
+  pharmacy: { label: 'Pharmacies', phrase: 'pharmacy', amenity: 'pharmacy', icon: '💊', color: '#DB2777' },
+  fuel: { label: 'Gas Stations', phrase: 'gas station', amenity: 'fuel', icon: '⛽', color: '#475569' },
+  bank: { label: 'Banks', phrase: 'bank', amenity: 'bank', icon: '🏦', color: '#0F766E' },
+  atm: { label: 'ATMs', phrase: 'atm', amenity: 'atm', icon: '💳', color: '#0891B2' },
+  supermarket: { label: 'Supermarkets', phrase: 'supermarket', shop: 'supermarket', icon: '🛒', color: '#CA8A04' },
+  museum: { label: 'Museums', phrase: 'museum', tourism: 'museum', icon: '🏛️', color: '#4F46E5' },
+  parking: { label: 'Parking', phrase: 'parking', amenity: 'parking', icon: '🅿️', color: '#2563EB' }
+}
+
+// Icon and marker color for places outside the known categories
+export const DEFAULT_ICON = '📍'
+export const DEFAULT_COLOR = '#64748B'
+
+// OSM keys used by CATEGORIES, in lookup order
+export const TAG_KEYS = ['amenity', 'tourism', 'leisure', 'shop']
+
+// Keys of the user-defined categories merged into CATEGORIES
+let customKeys = []
+
+/**
+ * Replace the user-defined categories merged into CATEGORIES
+ * Custom categories name their OSM tag explicitly, so any key can be used.
+ * They never replace a built-in category.
+ * @param {Array} categories - [{key, label, icon, phrase, color, tag: {key, value}}]
+ */
+export function setCustomCategories(categories) {
+  customKeys.forEach(key => {
+    delete CATEGORIES[key]
+  })
+  customKeys = []
+
+  categories.forEach(({ key, ...category }) => {
+    if (CATEGORIES[key]) return
+
+    CATEGORIES[key] = { ...category, custom: true }
+    customKeys.push(key)
+  })
+}
+
+/**
+ * Get the OSM tag a category maps to
+ * @param {Object} category - Entry from CATEGORIES
+ * @returns {Object|null} {key, value} e.g. {key: 'amenity', value: 'cafe'}
+ */
+export function getCategoryTag(category) {
+  if (!category) return null
+  if (category.tag) return category.tag
+
+  const key = TAG_KEYS.find(k => category[k])
+  return key ? { key, value: category[key] } : null
+}
+
+/**
+ * Find the category key matching an OSM tag value
+ * @param {string} value - OSM tag value, e.g. 'cafe'
+ * @param {string} [key] - OSM tag key, e.g. 'amenity' (any key if omitted)
+ * @returns {string|undefined} Category key
+ */
+export function detectCategory(value, key) {
+  if (!value) return undefined
+
+  for (const [categoryKey, cat] of Object.entries(CATEGORIES)) {
+    const tag = getCategoryTag(cat)
+    if (tag && tag.value === value && (!key || tag.key === key)) {
+      return categoryKey
+    }
+  }
+  return undefined
+}
+
+/**
+ * Get initial category order
+ */
+export function getInitialCategories() {
+  return Object.entries(CATEGORIES).map(([key, value]) => ({
+    key,
+    ...value
+  }))
+}
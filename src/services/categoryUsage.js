@@ -0,0 +1,103 @@
+/**
+ * Category usage tracking for the most-recently-used category order
+ *
+ * Each use adds 1 to a category's score, and scores halve every
+ * USAGE_HALF_LIFE. A category used often stays on top for a while, and
+ * one used once recently can still pass one that was popular months ago.
+ */
+
+import { readStorage, writeStorage } from './storage.js'
+
+const STORAGE_KEY = 'poi-search:category-usage'
+
+// Time for a score to drop to half
+export const USAGE_HALF_LIFE = 7 * 24 * 60 * 60 * 1000
+
+// Scores below this count as unused (a single use falls below after ~3 weeks)
+const MIN_SCORE = 0.1
+
+// Most categories listed as recent
+export const MAX_RECENT = 5
+
+/**
+ * Score of a usage entry at a given time
+ * @param {Object} entry - {score, usedAt}
+ * @param {number} now - Timestamp in ms
+ * @returns {number}
+ */
+export function decayedScore(entry, now) {
+  if (!entry) return 0
+
+  const age = Math.max(0, now - entry.usedAt)
+  return entry.score * Math.pow(0.5, age / USAGE_HALF_LIFE)
+}
+
+/**
+ * Record a use of categories
+ * Entries that decayed below MIN_SCORE are dropped.
+ * @param {Object} usage - {[categoryKey]: {score, usedAt}}
+ * @param {Array} keys - Category keys used together
+ * @param {number} now - Timestamp in ms
+ * @returns {Object} New usage
+ */
+export function recordUse(usage, keys, now) {
+  const next = {}
+
+  Object.entries(usage).forEach(([key, entry]) => {
+    const score = decayedScore(entry, now)
+    if (score >= MIN_SCORE) {
+      next[key] = { score, usedAt: now }
+    }
+  })
+
+  keys.forEach(key => {
+    next[key] = { score: (next[key]?.score || 0) + 1, usedAt: now }
+  })
+
+  return next
+}
+
+/**
+ * Order categories with the most used first, the rest alphabetically
+ * Used categories are copied with recent: true.
+ * @param {Array} categories - Categories as returned by getInitialCategories()
+ * @param {Object} usage - See recordUse
+ * @param {number} now - Timestamp in ms
+ * @returns {Array}
+ */
+export function rankCategories(categories, usage, now) {
+  const scored = categories
+    .map(cat => ({ cat, score: decayedScore(usage[cat.key], now) }))
+    .filter(item => item.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score || a.cat.label.localeCompare(b.cat.label))
+    .slice(0, MAX_RECENT)
+
+  const recentKeys = new Set(scored.map(item => item.cat.key))
+  const others = categories
+    .filter(cat => !recentKeys.has(cat.key))
+    .sort((a, b) => a.label.localeCompare(b.label))
+
+  return [...scored.map(item => ({ ...item.cat, recent: true })), ...others]
+}
+
+/**
+ * Read saved category usage
+ * @returns {Object} See recordUse
+ */
+export function loadCategoryUsage() {
+  const usage = readStorage(STORAGE_KEY, {})
+  if (!usage || typeof usage !== 'object' || Array.isArray(usage)) return {}
+
+  // Keep only well-formed entries
+  return Object.fromEntries(Object.entries(usage).filter(([, entry]) => (
+    Number.isFinite(entry?.score) && Number.isFinite(entry?.usedAt)
+  )))
+}
+
+/**
+ * Save category usage, or remove it when empty
+ * @param {Object} usage - See recordUse
+ */
+export function saveCategoryUsage(usage) {
+  writeStorage(STORAGE_KEY, Object.keys(usage).length ? usage : null)
+}
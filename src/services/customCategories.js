@@ -0,0 +1,152 @@
+/**
+ * User-defined categories backed by arbitrary OSM tags
+ * e.g. EV charging (amenity=charging_station) or bike repair (service:bicycle:repair=yes)
+ *
+ * Stored in localStorage and merged into CATEGORIES, so searches, URL state
+ * and the category detection of normalizePOI treat them like built-in ones.
+ */
+
+import { CATEGORIES, DEFAULT_ICON, getCategoryTag, setCustomCategories } from './categories.js'
+import { readStorage, writeStorage } from './storage.js'
+
+const STORAGE_KEY = 'poi-search:custom-categories'
+
+// Custom category keys start with this, so they never clash with built-in ones
+export const CUSTOM_KEY_PREFIX = 'custom_'
+
+// Marker color for custom categories without a color of their own
+export const DEFAULT_CUSTOM_COLOR = '#0D9488'
+
+// OSM keys are lowercase words, optionally namespaced: "amenity", "service:bicycle:repair"
+const OSM_KEY_PATTERN = /^[a-z][a-z0-9_]*(:[a-z0-9_]+)*$/
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i
+
+// Values that say whether a key applies rather than what a place is, as in
+// service:bicycle:repair=yes; "[yes]" finds nothing as a special phrase
+const NON_DESCRIPTIVE_VALUES = ['yes', 'no', 'designated', 'permissive', 'private', 'public', 'only', 'limited', 'customers']
+
+/**
+ * Search phrase for a category without one
+ * Nominatim special phrases are mostly the value in words, e.g. "charging
+ * station"; values like "yes" use the label instead.
+ * @param {string} osmValue - e.g. "charging_station"
+ * @param {string} label - e.g. "Bike repair"
+ * @returns {string} Lowercase phrase, '' when both are empty
+ */
+export function defaultPhrase(osmValue, label) {
+  const value = String(osmValue || '').trim()
+  const isDescriptive = value && !NON_DESCRIPTIVE_VALUES.includes(value.toLowerCase()) && !/^\d+$/.test(value)
+
+  return (isDescriptive ? value.replace(/_/g, ' ') : String(label || '').trim()).toLowerCase()
+}
+
+/**
+ * Turn a label into a category key, e.g. "EV charging" -> "custom_ev_charging"
+ */
+function createKey(label, takenKeys) {
+  const slug = label
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '') || 'category'
+
+  const base = `${CUSTOM_KEY_PREFIX}${slug}`
+  let key = base
+  for (let n = 2; takenKeys.has(key); n++) {
+    key = `${base}_${n}`
+  }
+  return key
+}
+
+/**
+ * Validate a custom category definition
+ * @param {Object} input - {label, icon, osmKey, osmValue, phrase, color}, plus key when editing
+ * @param {Array} existing - Current custom categories
+ * @returns {Object} {key, label, icon, phrase, color, tag: {key, value}}
+ * @throws {Error} With a message for the user when the definition is invalid
+ */
+export function createCustomCategory(input, existing = []) {
+  const label = String(input.label || '').trim()
+  const osmKey = String(input.osmKey || '').trim().toLowerCase()
+  const osmValue = String(input.osmValue || '').trim()
+  const editedKey = input.key || null
+
+  if (!label) {
+    throw new Error('Please enter a name')
+  }
+  if (!OSM_KEY_PATTERN.test(osmKey)) {
+    throw new Error('Please enter an OSM key like "amenity" or "service:bicycle:repair"')
+  }
+  if (!osmValue || /[;"]/.test(osmValue)) {
+    throw new Error('Please enter a single OSM value like "charging_station"')
+  }
+
+  // Built-in categories, plus the custom ones other than the one being edited
+  const others = [
+    ...Object.entries(CATEGORIES).filter(([key, cat]) => !cat.custom && key !== editedKey),
+    ...existing.filter(cat => cat.key !== editedKey).map(cat => [cat.key, cat])
+  ]
+
+  const sameLabel = others.find(([, cat]) => cat.label.toLowerCase() === label.toLowerCase())
+  if (sameLabel) {
+    throw new Error(`A category named "${sameLabel[1].label}" already exists`)
+  }
+
+  const sameTag = others.find(([, cat]) => {
+    const tag = getCategoryTag(cat)
+    return tag?.key === osmKey && tag.value === osmValue
+  })
+  if (sameTag) {
+    throw new Error(`${osmKey}=${osmValue} is already searched by "${sameTag[1].label}"`)
+  }
+
+  const takenKeys = new Set([...Object.keys(CATEGORIES), ...existing.map(cat => cat.key)])
+
+  return {
+    key: editedKey || createKey(label, takenKeys),
+    label,
+    icon: String(input.icon || '').trim() || DEFAULT_ICON,
+    phrase: String(input.phrase || '').trim().toLowerCase() || defaultPhrase(osmValue, label),
+    color: COLOR_PATTERN.test(input.color) ? input.color : DEFAULT_CUSTOM_COLOR,
+    tag: { key: osmKey, value: osmValue }
+  }
+}
+
+/**
+ * Read the saved custom categories and merge them into CATEGORIES
+ * Entries that are no longer valid (e.g. edited by hand) are skipped.
+ * @returns {Array} Custom categories
+ */
+export function loadCustomCategories() {
+  const stored = readStorage(STORAGE_KEY, [])
+  const categories = []
+
+  if (Array.isArray(stored)) {
+    stored.forEach(item => {
+      if (!item?.key?.startsWith(CUSTOM_KEY_PREFIX)) return
+
+      try {
+        categories.push(createCustomCategory({
+          ...item,
+          osmKey: item.tag?.key,
+          osmValue: item.tag?.value
+        }, categories))
+      } catch (err) {
+        console.warn(`Skipping custom category ${item.key}:`, err.message)
+      }
+    })
+  }
+
+  setCustomCategories(categories)
+  return categories
+}
+
+/**
+ * Save custom categories and merge them into CATEGORIES
+ * @param {Array} categories - Result of createCustomCategory for each category
+ */
+export function saveCustomCategories(categories) {
+  setCustomCategories(categories)
+  writeStorage(STORAGE_KEY, categories.length ? categories : null)
+}
@@ -0,0 +1,188 @@
+/**
+ * Structured POI details parsed from OSM tags (Nominatim extratags)
+ * https://wiki.openstreetmap.org/wiki/Map_features
+ */
+
+// wheelchair=* values
+const WHEELCHAIR_LABELS = {
+  yes: 'Wheelchair accessible',
+  designated: 'Wheelchair accessible',
+  limited: 'Limited wheelchair access',
+  no: 'Not wheelchair accessible'
+}
+
+// internet_access=* values
+const INTERNET_LABELS = {
+  wlan: 'Wi-Fi',
+  yes: 'Internet access',
+  terminal: 'Internet terminal',
+  wired: 'Wired internet',
+  no: 'No internet access'
+}
+
+// Yes/no amenity tags shown as features when set to yes
+const FEATURE_TAGS = {
+  outdoor_seating: 'Outdoor seating',
+  takeaway: 'Takeaway',
+  delivery: 'Delivery',
+  'diet:vegetarian': 'Vegetarian options',
+  'diet:vegan': 'Vegan options',
+  air_conditioning: 'Air conditioning',
+  drive_through: 'Drive-through',
+  dog: 'Dogs allowed'
+}
+
+// Values counting as "yes" for FEATURE_TAGS
+const YES_VALUES = ['yes', 'only', 'designated']
+
+/**
+ * Split a multi-value tag ("a;b") into trimmed values
+ */
+function splitValues(value) {
+  return value ? String(value).split(';').map(part => part.trim()).filter(Boolean) : []
+}
+
+/**
+ * Turn a tag value like "ice_cream" into "Ice cream"
+ */
+function humanize(value) {
+  const text = String(value).replace(/_/g, ' ').trim()
+  return text.charAt(0).toUpperCase() + text.slice(1)
+}
+
+/**
+ * Build a safe web link from a website tag
+ * Values without scheme get https://; anything but http(s) is rejected.
+ * @param {string} value - Tag value, e.g. "www.example.com/menu"
+ * @returns {Object|null} {label, href}
+ */
+export function parseWebsite(value) {
+  if (!value) return null
+
+  const text = String(value).trim()
+  const withScheme = /^[a-z][a-z\d+.-]*:/i.test(text) ? text : `https://${text}`
+
+  let url
+  try {
+    url = new URL(withScheme)
+  } catch {
+    return null
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return null
+
+  const path = url.pathname === '/' ? '' : url.pathname.replace(/\/$/, '')
+  return {
+    label: `${url.hostname.replace(/^www\./, '')}${path}`,
+    href: url.href
+  }
+}
+
+/**
+ * Build tel: links from a phone tag (may hold several numbers)
+ * @param {string} value - Tag value, e.g. "+49 30 1234567; +49 30 7654321"
+ * @returns {Array} [{label, href}]
+ */
+export function parsePhones(value) {
+  return splitValues(value)
+    .map(phone => ({ label: phone, href: `tel:${phone.replace(/[^\d+]/g, '')}` }))
+    .filter(phone => phone.href !== 'tel:')
+}
+
+/**
+ * Build a mailto: link from an email tag
+ * @returns {Object|null} {label, href}
+ */
+function parseEmail(value) {
+  const email = splitValues(value)[0]
+  if (!email || !/^[^\s@]+@[^\s@]+$/.test(email)) return null
+
+  return { label: email, href: `mailto:${email}` }
+}
+
+/**
+ * Parse the internet_access tags
+ * @returns {Object|null} {value, label, fee}
+ */
+function parseInternetAccess(tags) {
+  const value = tags.internet_access
+  if (!value) return null
+
+  const fee = tags['internet_access:fee'] || null
+  const label = INTERNET_LABELS[value] || humanize(value)
+
+  return { value, label: fee === 'no' && value !== 'no' ? `Free ${label}` : label, fee }
+}
+
+/**
+ * Parse OSM tags into structured POI details
+ * Both plain and contact:* variants of the contact tags are read.
+ * @param {Object} tags - OSM tags, e.g. raw.extratags
+ * @returns {Object} {openingHours, phones, website, email, cuisine, wheelchair,
+ *   internetAccess, features, operator, brand}
+ */
+export function parseDetails(tags) {
+  tags = tags || {}
+
+  const wheelchair = tags.wheelchair
+    ? { value: tags.wheelchair, label: WHEELCHAIR_LABELS[tags.wheelchair] || `Wheelchair: ${tags.wheelchair}` }
+    : null
+
+  const features = Object.entries(FEATURE_TAGS)
+    .filter(([key]) => YES_VALUES.includes(tags[key]))
+    .map(([, label]) => label)
+
+  return {
+    openingHours: tags.opening_hours || null,
+    phones: parsePhones(tags.phone || tags['contact:phone'] || tags.mobile || tags['contact:mobile']),
+    website: parseWebsite(tags.website || tags['contact:website'] || tags.url),
+    email: parseEmail(tags.email || tags['contact:email']),
+    cuisine: splitValues(tags.cuisine).map(humanize),
+    wheelchair,
+    internetAccess: parseInternetAccess(tags),
+    features,
+    operator: tags.operator || null,
+    brand: tags.brand || null
+  }
+}
+
+/**
+ * Get the parsed details of a POI
+ * Places saved before details were parsed only have the raw tags.
+ * @param {Object} poi - Normalized POI
+ * @returns {Object} See parseDetails
+ */
+export function getDetails(poi) {
+  return poi?.details || parseDetails(poi?.raw?.extratags)
+}
+
+/**
+ * Get the opening_hours value of a POI
+ * Falls back to the raw tags for places saved before details were parsed.
+ * @param {Object} poi - Normalized POI
+ * @returns {string|null}
+ */
+export function getOpeningHours(poi) {
+  return poi?.details?.openingHours || poi?.raw?.extratags?.opening_hours || null
+}
+
+/**
+ * Get the ISO 3166-1 alpha-2 country code of a POI, e.g. "de"
+ * @param {Object} poi - Normalized POI
+ * @returns {string|null}
+ */
+export function getCountryCode(poi) {
+  return poi?.raw?.address?.country_code || null
+}
+
+/**
+ * Check if parsed details contain anything worth showing
+ * @param {Object} details - Result of parseDetails
+ * @returns {boolean}
+ */
+export function hasDetails(details) {
+  if (!details) return false
+
+  return Object.values(details).some(value => (
+    Array.isArray(value) ? value.length > 0 : value !== null
+  ))
+}
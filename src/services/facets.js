@@ -0,0 +1,131 @@
+/**
+ * Facets for narrowing loaded results on the client: category, city and
+ * tag presence. Selected categories and cities are OR-ed, selected features
+ * must all be present, and the groups are AND-ed.
+ */
+
+import { getDetails } from './details.js'
+
+export const FACET_GROUPS = {
+  category: 'Category',
+  city: 'City',
+  tag: 'Features'
+}
+
+// Groups whose selected values must all match
+const MATCH_ALL_GROUPS = ['tag']
+
+// Tag presence facets, in display order
+export const TAG_FACETS = {
+  website: { label: 'Has website', test: details => !!details.website },
+  phone: { label: 'Has phone', test: details => details.phones.length > 0 },
+  opening_hours: { label: 'Opening hours', test: details => !!details.openingHours },
+  wheelchair: {
+    label: 'wheelchair=yes',
+    test: details => ['yes', 'designated'].includes(details.wheelchair?.value)
+  },
+  internet_access: {
+    label: 'Wi-Fi',
+    test: details => ['wlan', 'yes'].includes(details.internetAccess?.value)
+  },
+  outdoor_seating: { label: 'Outdoor seating', test: details => details.features.includes('Outdoor seating') }
+}
+
+/**
+ * Empty selection for every facet group
+ * @returns {Object} {category: [], city: [], tag: []}
+ */
+export function createFacetSelection() {
+  return Object.fromEntries(Object.keys(FACET_GROUPS).map(group => [group, []]))
+}
+
+/**
+ * Get the city, town or village from a POI's address
+ * @param {Object} poi - Normalized POI
+ * @returns {string|null}
+ */
+export function getCity(poi) {
+  const address = poi.raw?.address || {}
+  return address.city || address.town || address.village || address.municipality || null
+}
+
+/**
+ * Get the facet values of a POI
+ * @returns {Object} {group: [{value, label}]}
+ */
+function getFacetValues(poi) {
+  const details = getDetails(poi)
+  const city = getCity(poi)
+
+  return {
+    category: [{ value: poi.category || poi.type || 'other', label: poi.categoryLabel || poi.type || 'Other' }],
+    city: city ? [{ value: city, label: city }] : [],
+    tag: Object.entries(TAG_FACETS)
+      .filter(([, facet]) => facet.test(details))
+      .map(([key, facet]) => ({ value: key, label: facet.label }))
+  }
+}
+
+/**
+ * Check a POI's facet values against a selection
+ * @param {string} [ignoredGroup] - Group left out, for counting its values
+ */
+function matchesSelection(values, selection, ignoredGroup) {
+  return Object.keys(FACET_GROUPS).every(group => {
+    const selected = selection[group] || []
+    if (group === ignoredGroup || !selected.length) return true
+
+    const present = values[group].map(({ value }) => value)
+    return MATCH_ALL_GROUPS.includes(group)
+      ? selected.every(value => present.includes(value))
+      : selected.some(value => present.includes(value))
+  })
+}
+
+/**
+ * Keep the POIs matching a facet selection
+ * @param {Array} pois - Normalized POIs
+ * @param {Object} selection - {group: [value]}
+ * @returns {Array}
+ */
+export function filterByFacets(pois, selection) {
+  return pois.filter(poi => matchesSelection(getFacetValues(poi), selection))
+}
+
+/**
+ * Count facet values among POIs
+ * Counts tell how many results there would be with the value selected: OR
+ * groups are counted against the selection of the other groups only.
+ * @param {Array} pois - Normalized POIs
+ * @param {Object} selection - {group: [value]}
+ * @returns {Object} {group: [{value, label, count, selected}]}, most common first
+ */
+export function buildFacets(pois, selection) {
+  const allValues = pois.map(getFacetValues)
+
+  return Object.fromEntries(Object.keys(FACET_GROUPS).map(group => {
+    const counts = new Map()
+    const selected = selection[group] || []
+
+    allValues.forEach(values => {
+      const matches = matchesSelection(values, selection, MATCH_ALL_GROUPS.includes(group) ? null : group)
+
+      values[group].forEach(({ value, label }) => {
+        const entry = counts.get(value) || { value, label, count: 0, selected: selected.includes(value) }
+        if (matches) entry.count++
+        counts.set(value, entry)
+      })
+    })
+
+    const entries = [...counts.values()]
+    // Tag facets keep their fixed order
+    if (group !== 'tag') {
+      entries.sort((a, b) => b.count - a.count || a.label.localeCompare(b.label))
+    } else {
+      const order = Object.keys(TAG_FACETS)
+      entries.sort((a, b) => order.indexOf(a.value) - order.indexOf(b.value))
+    }
+
+    return [group, entries]
+  }))
+}
@@ -0,0 +1,181 @@
+/**
+ * Shared HTTP access for geocoding providers
+ */
+
+import { createCache, normalizeCacheKey } from './cache.js'
+
+const USER_AGENT = 'POISearchApp/1.0 (https://github.com/poi-search)'
+
+/**
+ * Rate limiting - Nominatim requires max 1 request per second
+ * Requests are queued and sent one at a time, at least MIN_REQUEST_INTERVAL apart.
+ */
+let lastRequestTime = 0
+const MIN_REQUEST_INTERVAL = 1000
+
+// Pending requests: {url, signal, resolve, reject}
+const queue = []
+let isProcessing = false
+
+/**
+ * Response cache - repeated queries are answered without hitting the API
+ * TTL (seconds) and size can be set with VITE_CACHE_TTL / VITE_CACHE_MAX_ENTRIES
+ */
+const responseCache = createCache({
+  ttl: Number(import.meta.env.VITE_CACHE_TTL) * 1000 || undefined,
+  maxEntries: Number(import.meta.env.VITE_CACHE_MAX_ENTRIES) || undefined
+})
+
+/**
+ * Change response cache settings
+ * @param {Object} options - See createCache: ttl, maxEntries, maxPersistentEntries, persist
+ */
+export function configureCache(options) {
+  responseCache.configure(options)
+}
+
+/**
+ * Drop all cached responses
+ * @returns {Promise<void>}
+ */
+export function clearCache() {
+  return responseCache.clear()
+}
+
+/**
+ * Check if an error comes from an aborted request
+ * @param {Error} err - Error thrown by rateLimitedFetch
+ * @returns {boolean}
+ */
+export function isAbortError(err) {
+  return err?.name === 'AbortError'
+}
+
+function abortReason(signal) {
+  return signal.reason ?? new DOMException('The request was aborted', 'AbortError')
+}
+
+/**
+ * Wait for ms, rejecting early if the signal is aborted
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortReason(signal))
+      return
+    }
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+
+    function onAbort() {
+      clearTimeout(timer)
+      reject(abortReason(signal))
+    }
+
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+/**
+ * Send queued requests one by one, respecting the rate limit
+ */
+async function processQueue() {
+  if (isProcessing) return
+  isProcessing = true
+
+  while (queue.length > 0) {
+    const request = queue.shift()
+
+    try {
+      const timeSinceLastRequest = Date.now() - lastRequestTime
+      if (timeSinceLastRequest < MIN_REQUEST_INTERVAL) {
+        await wait(MIN_REQUEST_INTERVAL - timeSinceLastRequest, request.signal)
+      }
+
+      if (request.signal?.aborted) {
+        throw abortReason(request.signal)
+      }
+
+      lastRequestTime = Date.now()
+
+      const response = await fetch(request.url, {
+        headers: {
+          'User-Agent': USER_AGENT
+        },
+        signal: request.signal
+      })
+      request.resolve(response)
+    } catch (err) {
+      request.reject(err)
+    }
+  }
+
+  isProcessing = false
+}
+
+/**
+ * Add a request to the queue
+ * Aborting the signal removes a waiting request from the queue, or cancels it in flight.
+ * @returns {Promise<Response>}
+ */
+function enqueue(url, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortReason(signal))
+      return
+    }
+
+    const request = { url, signal, resolve, reject }
+    queue.push(request)
+
+    signal?.addEventListener('abort', () => {
+      const index = queue.indexOf(request)
+      if (index !== -1) {
+        queue.splice(index, 1)
+        reject(abortReason(signal))
+      }
+    }, { once: true })
+
+    processQueue()
+  })
+}
+
+/**
+ * Fetch JSON through the rate-limited request queue
+ * Cached responses are returned immediately without queueing.
+ * @param {string} url - Request URL
+ * @param {Object} options - Request options
+ * @param {string} options.source - API name used in error messages (default 'Nominatim')
+ * @param {boolean} options.cache - Use the response cache (default true)
+ * @param {AbortSignal} options.signal - Cancels the request (rejects with an AbortError)
+ * @returns {Promise<any>} Parsed JSON response
+ */
+export async function rateLimitedFetch(url, options = {}) {
+  const { source = 'Nominatim', cache = true, signal } = options
+  const cacheKey = cache ? normalizeCacheKey(url) : null
+
+  if (cache) {
+    const cached = await responseCache.get(cacheKey)
+    if (cached !== undefined) {
+      return cached
+    }
+  }
+
+  const response = await enqueue(url, signal)
+
+  if (!response.ok) {
+    throw new Error(`${source} API error: ${response.status}`)
+  }
+
+  const data = await response.json()
+
+  if (cache) {
+    // Persisting is best effort and must not delay the response
+    responseCache.set(cacheKey, data)
+  }
+
+  return data
+}
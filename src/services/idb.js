@@ -0,0 +1,115 @@
+/**
+ * Minimal promise wrapper around IndexedDB
+ *
+ * All persistent app data lives in one database. Add new object stores to
+ * STORES and bump DB_VERSION so existing databases get upgraded.
+ */
+
+const DB_NAME = 'poi-search'
+const DB_VERSION = 3
+
+// Object stores, all using out-of-line keys
+const STORES = ['cache', 'favorites', 'collections']
+
+let dbPromise = null
+
+/**
+ * Check if IndexedDB can be used (missing in some private modes and in tests)
+ */
+export function isIndexedDBAvailable() {
+  return typeof indexedDB !== 'undefined' && indexedDB !== null
+}
+
+/**
+ * Turn an IDBRequest into a promise
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Open (and upgrade) the app database
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+  if (!isIndexedDBAvailable()) {
+    return Promise.reject(new Error('IndexedDB is not available'))
+  }
+
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+    request.onupgradeneeded = () => {
+      const db = request.result
+      STORES.forEach(store => {
+        if (!db.objectStoreNames.contains(store)) {
+          db.createObjectStore(store)
+        }
+      })
+    }
+
+    dbPromise = promisify(request).catch(err => {
+      dbPromise = null
+      throw err
+    })
+  }
+
+  return dbPromise
+}
+
+/**
+ * Run a single request against an object store
+ */
+async function withStore(storeName, mode, callback) {
+  const db = await openDatabase()
+  const store = db.transaction(storeName, mode).objectStore(storeName)
+  return promisify(callback(store))
+}
+
+/**
+ * Read a value by key
+ * @returns {Promise<any>} Stored value or undefined
+ */
+export function idbGet(storeName, key) {
+  return withStore(storeName, 'readonly', store => store.get(key))
+}
+
+/**
+ * Read all values of a store
+ * @returns {Promise<Array>}
+ */
+export function idbGetAll(storeName) {
+  return withStore(storeName, 'readonly', store => store.getAll())
+}
+
+/**
+ * Count the values of a store
+ * @returns {Promise<number>}
+ */
+export function idbCount(storeName) {
+  return withStore(storeName, 'readonly', store => store.count())
+}
+
+/**
+ * Write a value under a key
+ */
+export function idbPut(storeName, key, value) {
+  return withStore(storeName, 'readwrite', store => store.put(value, key))
+}
+
+/**
+ * Delete a value by key
+ */
+export function idbDelete(storeName, key) {
+  return withStore(storeName, 'readwrite', store => store.delete(key))
+}
+
+/**
+ * Delete all values of a store
+ */
+export function idbClear(storeName) {
+  return withStore(storeName, 'readwrite', store => store.clear())
+}
@@ -1,245 +1,295 @@
 /**
- * Nominatim API service for OpenStreetMap POI search
+ * POI search service for OpenStreetMap data
  * https://nominatim.org/release-docs/latest/api/Search/
+ *
+ * Searches go through a pluggable geocoding provider (Nominatim by default,
+ * see ./providers). The provider can be configured at build time with
+ * VITE_GEOCODER_PROVIDER / VITE_GEOCODER_URL or at runtime with setProvider().
+ *
+ * Category searches can alternatively use the Overpass API, which returns every
+ * matching POI in the viewport (VITE_CATEGORY_BACKEND=overpass or setCategoryBackend()).
  */
 
-const BASE_URL = 'https://nominatim.openstreetmap.org'
-
-// Category mappings to OSM tags and Nominatim special phrases
-// See: https://wiki.openstreetmap.org/wiki/Nominatim/Special_Phrases/EN
-export const CATEGORIES = {
-  restaurant: { label: 'Restaurants', phrase: 'restaurant', amenity: 'restaurant', icon: '🍽️' },
-  hotel: { label: 'Hotels', phrase: 'hotel', tourism: 'hotel', icon: '🏨' },
-  cafe: { label: 'Cafes', phrase: 'cafe', amenity: 'cafe', icon: '☕' },
-  park: { label: 'Parks', phrase: 'park', leisure: 'park', icon: '🌳' },
-  hospital: { label: 'Hospitals', phrase: 'hospital', amenity: 'hospital', icon: '🏥' },
-  pharmacy: { label: 'Pharmacies', phrase: 'pharmacy', amenity: 'pharmacy', icon: '💊' },
-  fuel: { label: 'Gas Stations', phrase: 'gas station', amenity: 'fuel', icon: '⛽' },
-  bank: { label: 'Banks', phrase: 'bank', amenity: 'bank', icon: '🏦' },
-  atm: { label: 'ATMs', phrase: 'atm', amenity: 'atm', icon: '💳' },
-  supermarket: { label: 'Supermarkets', phrase: 'supermarket', shop: 'supermarket', icon: '🛒' },
-  museum: { label: 'Museums', phrase: 'museum', tourism: 'museum', icon: '🏛️' },
-  parking: { label: 'Parking', phrase: 'parking', amenity: 'parking', icon: '🅿️' }
+import { CATEGORIES, getInitialCategories } from './categories.js'
+import { normalizePOI } from './normalize.js'
+import { createProvider, createPhotonProvider } from './providers/index.js'
+import { searchOverpass } from './overpass.js'
+import { sortByDistance } from '../utils/geo.js'
+
+export { CATEGORIES, getInitialCategories, normalizePOI }
+export { isAbortError } from './http.js'
+
+let provider = createProvider({
+  type: import.meta.env.VITE_GEOCODER_PROVIDER || 'nominatim',
+  baseUrl: import.meta.env.VITE_GEOCODER_URL || undefined
+})
+
+// Used for suggestions when the active provider has no autocomplete endpoint
+const autocompleteProvider = createPhotonProvider({
+  baseUrl: import.meta.env.VITE_AUTOCOMPLETE_URL || undefined
+})
+
+// Backends available for category searches
+export const CATEGORY_BACKENDS = ['geocoder', 'overpass']
+
+let categoryBackend = import.meta.env.VITE_CATEGORY_BACKEND || 'geocoder'
+
+/**
+ * Get the active geocoding provider
+ * @returns {Object} Geocoding provider
+ */
+export function getProvider() {
+  return provider
 }
 
 /**
- * Rate limiting - Nominatim requires max 1 request per second
+ * Switch the geocoding provider used by all searches
+ * @param {Object} providerOrConfig - Provider object, or config for createProvider
+ *   e.g. {type: 'nominatim', baseUrl: 'https://nominatim.staging.example.com'}
+ * @returns {Object} The active provider
  */
-let lastRequestTime = 0
-const MIN_REQUEST_INTERVAL = 1000
+export function setProvider(providerOrConfig) {
+  provider = typeof providerOrConfig?.search === 'function'
+    ? providerOrConfig
+    : createProvider(providerOrConfig)
+  return provider
+}
 
-async function rateLimitedFetch(url) {
-  const now = Date.now()
-  const timeSinceLastRequest = now - lastRequestTime
+/**
+ * Get the backend used for category searches
+ * @returns {string} 'geocoder' or 'overpass'
+ */
+export function getCategoryBackend() {
+  return categoryBackend
+}
 
-  if (timeSinceLastRequest < MIN_REQUEST_INTERVAL) {
-    await new Promise(resolve =>
-      setTimeout(resolve, MIN_REQUEST_INTERVAL - timeSinceLastRequest)
-    )
+/**
+ * Switch the backend used for category searches
+ * @param {string} backend - 'geocoder' (special phrases via the provider) or 'overpass'
+ */
+export function setCategoryBackend(backend) {
+  if (!CATEGORY_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown category backend: ${backend}`)
   }
+  categoryBackend = backend
+}
 
-  lastRequestTime = Date.now()
-
-  const response = await fetch(url, {
-    headers: {
-      'User-Agent': 'POISearchApp/1.0 (https://github.com/poi-search)'
-    }
-  })
+// Results per search request; "Load more" fetches further pages of this size
+export const PAGE_SIZE = 20
 
-  if (!response.ok) {
-    throw new Error(`Nominatim API error: ${response.status}`)
-  }
-
-  return response.json()
+/**
+ * Check if category searches return all matches at once
+ * Overpass has no result limit, so there are no further pages to load.
+ * @param {Object} viewbox - Map bounds the search uses
+ * @returns {boolean}
+ */
+export function isCategorySearchComplete(viewbox) {
+  return categoryBackend === 'overpass' && !!viewbox
 }
 
 /**
- * Build search URL with given parameters
- * @private
+ * Run one search per category and merge the results
+ * The requests share the rate-limited queue. Places found for several
+ * categories are kept once, tagged with the first category that found them.
+ * Categories whose request failed are left out; only when all fail does the
+ * search fail, with the first error.
+ * @param {Array} categories - Category keys
+ * @param {Function} searchOne - (category) => Promise<Array> of POIs
+ * @returns {Promise<Array>} POIs with sourceCategory
  */
-function buildSearchUrl(query, options = {}) {
-  const { category, limit = 20, viewbox, bounded } = options
-
-  const params = new URLSearchParams({
-    q: query,
-    format: 'json',
-    addressdetails: '1',
-    limit: String(limit),
-    extratags: '1'
-  })
-
-  // Add viewbox for location-based search
-  // Format: <west>,<south>,<east>,<north>
-  if (viewbox) {
-    params.set('viewbox', `${viewbox.west},${viewbox.south},${viewbox.east},${viewbox.north}`)
-    params.set('bounded', bounded ? '1' : '0')
+async function searchEachCategory(categories, searchOne) {
+  const outcomes = await Promise.allSettled(categories.map(category => searchOne(category)))
+  if (outcomes.every(outcome => outcome.status === 'rejected')) {
+    throw outcomes[0].reason
   }
 
-  // Add category filter if specified
-  if (category && CATEGORIES[category]) {
-    const cat = CATEGORIES[category]
-    if (cat.amenity) {
-      params.set('amenity', cat.amenity)
-    } else if (cat.tourism) {
-      params.set('tourism', cat.tourism)
-    } else if (cat.leisure) {
-      params.set('leisure', cat.leisure)
-    } else if (cat.shop) {
-      params.set('shop', cat.shop)
+  const seenIds = new Set()
+  const merged = []
+
+  outcomes.forEach((outcome, index) => {
+    if (outcome.status === 'rejected') {
+      console.warn(`Search for ${categories[index]} failed:`, outcome.reason)
+      return
     }
-  }
 
-  return `${BASE_URL}/search?${params.toString()}`
+    outcome.value.forEach(poi => {
+      const id = String(poi.id)
+      if (seenIds.has(id)) return
+
+      seenIds.add(id)
+      merged.push({ ...poi, sourceCategory: categories[index] })
+    })
+  })
+
+  return merged
 }
 
 /**
  * Search for POIs using free text search
  * Uses a fallback strategy: first tries bounded search (results in current viewport),
- * then falls back to unbounded search if no results found.
+ * then falls back to unbounded search if no results found, unless bounded is set.
  * @param {string} query - Search query
  * @param {Object} options - Search options
- * @param {string} options.category - Category key from CATEGORIES
- * @param {number} options.limit - Max results (default 20)
+ * @param {string|Array} options.category - Category key from CATEGORIES, or several
+ *   keys searched with one request each
+ * @param {number} options.limit - Max results (default PAGE_SIZE)
  * @param {Object} options.viewbox - Map bounds {south, west, north, east}
+ * @param {boolean} options.bounded - Only search the viewbox, without the fallback
+ * @param {Array} options.excludePlaceIds - Places to leave out, for loading the next page
+ * @param {AbortSignal} options.signal - Cancels the search
  * @returns {Promise<Array>} Array of POI results
  */
 export async function searchPOI(query, options = {}) {
-  const { category, limit = 20, viewbox } = options
+  const { category, limit = PAGE_SIZE, viewbox, bounded, excludePlaceIds, signal } = options
+
+  if (Array.isArray(category)) {
+    return category.length > 1
+      ? searchEachCategory(category, key => searchPOI(query, { ...options, category: key }))
+      : searchPOI(query, { ...options, category: category[0] })
+  }
 
   // First try: bounded search (strict - only results in viewport)
   if (viewbox) {
-    const boundedUrl = buildSearchUrl(query, { category, limit, viewbox, bounded: true })
-    const boundedData = await rateLimitedFetch(boundedUrl)
-
-    if (boundedData.length > 0) {
+    const boundedData = await provider.search(query, {
+      category,
+      limit,
+      viewbox,
+      bounded: true,
+      excludePlaceIds,
+      signal
+    })
+
+    if (boundedData.length > 0 || bounded) {
       return boundedData.map(item => normalizePOI(item, category))
     }
 
     // Fallback: unbounded search (prefer viewport but include worldwide results)
-    const unboundedUrl = buildSearchUrl(query, { category, limit, viewbox, bounded: false })
-    const unboundedData = await rateLimitedFetch(unboundedUrl)
+    const unboundedData = await provider.search(query, {
+      category,
+      limit,
+      viewbox,
+      bounded: false,
+      excludePlaceIds,
+      signal
+    })
 
     return unboundedData.map(item => normalizePOI(item, category))
   }
 
   // No viewbox - just do a regular search
-  const url = buildSearchUrl(query, { category, limit })
-  const data = await rateLimitedFetch(url)
+  const data = await provider.search(query, { category, limit, excludePlaceIds, signal })
 
   return data.map(item => normalizePOI(item, category))
 }
 
 /**
  * Search for POIs by category in a specific area
+ * With the Overpass backend all matching POIs in the viewbox are returned and
+ * limit is ignored; without a viewbox the geocoding provider is used.
+ * Results are ordered nearest first when a center is given.
  * @param {string} category - Category key from CATEGORIES
  * @param {Object} viewbox - Map bounds {south, west, north, east}
- * @param {Object} center - Map center {lat, lng}
- * @param {number} limit - Max results (default 20)
+ * @param {Object} center - Map center {lat, lng}, or null to keep the provider's order
+ * @param {Object|number} options - Search options, or max results for backward compatibility
+ * @param {number} options.limit - Max results (default PAGE_SIZE)
+ * @param {Array} options.excludePlaceIds - Places to leave out, for loading the next page
+ * @param {AbortSignal} options.signal - Cancels the search
  * @returns {Promise<Array>} Array of POI results
  */
-export async function searchByCategory(category, viewbox, center, limit = 20) {
+export async function searchByCategory(category, viewbox, center, options = {}) {
+  const { limit = PAGE_SIZE, excludePlaceIds, signal } = typeof options === 'number' ? { limit: options } : options
+
   if (!category || !CATEGORIES[category]) {
     throw new Error('Invalid category')
   }
 
-  const cat = CATEGORIES[category]
-
-  // Use Nominatim special phrase syntax with square brackets for category search
-  // See: https://nominatim.org/release-docs/latest/api/Search/
-  // When bounded=1 and viewbox is set, [phrase] syntax enables amenity-only search
-  const searchPhrase = `[${cat.phrase}]`
+  let results
+  if (categoryBackend === 'overpass' && viewbox) {
+    results = await searchOverpass(category, viewbox, { signal })
+  } else {
+    const data = await provider.searchCategory(category, { viewbox, limit, excludePlaceIds, signal })
+    results = data.map(item => normalizePOI(item, category))
+  }
 
-  const params = new URLSearchParams({
-    q: searchPhrase,
-    format: 'json',
-    addressdetails: '1',
-    limit: String(limit),
-    extratags: '1'
-  })
+  return center ? sortByDistance(results, center) : results
+}
 
-  // Add viewbox for area search with bounded=1 to strictly limit to area
-  if (viewbox) {
-    params.set('viewbox', `${viewbox.west},${viewbox.south},${viewbox.east},${viewbox.north}`)
-    params.set('bounded', '1')
+/**
+ * Search for POIs of several categories in a specific area
+ * Sends one category search per category, see searchByCategory.
+ * @param {Array} categories - Category keys from CATEGORIES
+ * @param {Object} viewbox - Map bounds {south, west, north, east}
+ * @param {Object} center - Map center {lat, lng}, or null to keep the provider's order
+ * @param {Object} options - Search options, see searchByCategory
+ * @returns {Promise<Array>} Merged POI results, each with sourceCategory
+ */
+export async function searchByCategories(categories, viewbox, center, options = {}) {
+  if (!categories?.length) {
+    throw new Error('Invalid category')
   }
 
-  const url = `${BASE_URL}/search?${params.toString()}`
-  const data = await rateLimitedFetch(url)
+  const results = await searchEachCategory(categories, category => (
+    searchByCategory(category, viewbox, null, options)
+  ))
 
-  return data.map(item => normalizePOI(item, category))
+  return center ? sortByDistance(results, center) : results
 }
 
 /**
- * Reverse geocode - get address from coordinates
- * @param {number} lat - Latitude
- * @param {number} lon - Longitude
- * @returns {Promise<Object>} Location details
+ * Get place suggestions for a partial query (search-as-you-type)
+ * Uses the provider's autocomplete endpoint, or Photon when it has none.
+ * Requests go through the rate-limited queue and response cache.
+ * @param {string} query - Partial search query
+ * @param {Object} options - Search options
+ * @param {number} options.limit - Max suggestions (default 5)
+ * @param {Object} options.viewbox - Map bounds used to prefer nearby places
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Array>} Array of POI results
  */
-export async function reverseGeocode(lat, lon) {
-  const params = new URLSearchParams({
-    lat: String(lat),
-    lon: String(lon),
-    format: 'json',
-    addressdetails: '1'
-  })
+export async function autocomplete(query, options = {}) {
+  const { limit = 5, viewbox, signal } = options
+  const source = typeof provider.autocomplete === 'function' ? provider : autocompleteProvider
+
+  const data = await source.autocomplete(query, { limit, viewbox, signal })
 
-  const url = `${BASE_URL}/reverse?${params.toString()}`
-  return rateLimitedFetch(url)
+  return data.map(item => normalizePOI(item))
 }
 
 /**
- * Normalize Nominatim response to consistent POI format
+ * Look up the outline of a named area, e.g. a district or a city
+ * Providers without area lookups find nothing.
+ * @param {string} name - Area name, e.g. "Kreuzberg"
+ * @param {Object} options - Request options
+ * @param {Object} options.viewbox - Map bounds used to prefer nearby areas
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Object|null>} {name, displayName, geometry, bounds}, geometry is a
+ *   GeoJSON Polygon or MultiPolygon; null when no area with an outline is found
  */
-function normalizePOI(item, categoryKey) {
-  const address = item.address || {}
-
-  // Build readable address
-  const addressParts = []
-  if (address.road) addressParts.push(address.road)
-  if (address.house_number) addressParts[0] = `${addressParts[0] || ''} ${address.house_number}`.trim()
-  if (address.city || address.town || address.village) {
-    addressParts.push(address.city || address.town || address.village)
-  }
-  if (address.country) addressParts.push(address.country)
-
-  // Detect category from type/class
-  let detectedCategory = categoryKey
-  if (!detectedCategory) {
-    for (const [key, cat] of Object.entries(CATEGORIES)) {
-      if (cat.amenity === item.type ||
-          cat.tourism === item.type ||
-          cat.leisure === item.type ||
-          cat.shop === item.type) {
-        detectedCategory = key
-        break
-      }
-    }
-  }
+export async function geocodeArea(name, options = {}) {
+  if (typeof provider.geocodeArea !== 'function') return null
+
+  const place = await provider.geocodeArea(name, options)
+  if (!place) return null
 
-  const categoryInfo = CATEGORIES[detectedCategory] || { icon: '📍', label: item.type || 'Place' }
+  // Nominatim bounding boxes are [south, north, west, east]
+  const [south, north, west, east] = place.boundingbox.map(Number)
 
   return {
-    id: item.place_id,
-    name: item.name || item.display_name.split(',')[0],
-    displayName: item.display_name,
-    address: addressParts.join(', ') || item.display_name,
-    lat: parseFloat(item.lat),
-    lon: parseFloat(item.lon),
-    type: item.type,
-    category: detectedCategory,
-    categoryLabel: categoryInfo.label,
-    icon: categoryInfo.icon,
-    boundingBox: item.boundingbox?.map(parseFloat),
-    raw: item
+    name: place.name || name,
+    displayName: place.display_name,
+    geometry: place.geojson,
+    bounds: { south, west, north, east }
   }
 }
 
 /**
- * Get initial category order
+ * Reverse geocode - get address from coordinates
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Object>} Location details (Nominatim-style place record)
  */
-export function getInitialCategories() {
-  return Object.entries(CATEGORIES).map(([key, value]) => ({
-    key,
-    ...value
-  }))
+export async function reverseGeocode(lat, lon, options = {}) {
+  return provider.reverse(lat, lon, options)
 }
@@ -0,0 +1,52 @@
+/**
+ * Shared POI normalization for all geocoding providers
+ *
+ * Providers convert their responses to Nominatim-style place records
+ * ({place_id, name, display_name, lat, lon, class, type, address, extratags,
+ * boundingbox}) so that every result ends up in the same POI shape.
+ */
+
+import { CATEGORIES, DEFAULT_ICON, DEFAULT_COLOR, detectCategory } from './categories.js'
+import { parseDetails } from './details.js'
+
+/**
+ * Normalize a place record to consistent POI format
+ * @param {Object} item - Nominatim-style place record
+ * @param {string} [categoryKey] - Category the search was made for
+ * @returns {Object} Normalized POI
+ */
+export function normalizePOI(item, categoryKey) {
+  const address = item.address || {}
+
+  // Build readable address
+  const addressParts = []
+  if (address.road) addressParts.push(address.road)
+  if (address.house_number) addressParts[0] = `${addressParts[0] || ''} ${address.house_number}`.trim()
+  if (address.city || address.town || address.village) {
+    addressParts.push(address.city || address.town || address.village)
+  }
+  if (address.country) addressParts.push(address.country)
+
+  // Detect category from type/class (class is the OSM key, when the provider gives it)
+  const detectedCategory = categoryKey || detectCategory(item.type, item.class)
+
+  const categoryInfo = CATEGORIES[detectedCategory] || { icon: DEFAULT_ICON, label: item.type || 'Place' }
+
+  return {
+    id: item.place_id,
+    name: item.name || item.display_name.split(',')[0],
+    displayName: item.display_name,
+    address: addressParts.join(', ') || item.display_name,
+    lat: parseFloat(item.lat),
+    lon: parseFloat(item.lon),
+    type: item.type,
+    category: detectedCategory,
+    categoryLabel: categoryInfo.label,
+    icon: categoryInfo.icon,
+    color: categoryInfo.color || DEFAULT_COLOR,
+    boundingBox: item.boundingbox?.map(parseFloat),
+    // Contact, hours and amenities parsed from extratags
+    details: parseDetails(item.extratags),
+    raw: item
+  }
+}
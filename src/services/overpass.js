@@ -0,0 +1,151 @@
+/**
+ * Overpass API service for exact category queries
+ * https://wiki.openstreetmap.org/wiki/Overpass_API/Overpass_QL
+ *
+ * Unlike Nominatim special phrases, which return a capped and ranked subset,
+ * an Overpass bbox query returns every node and way carrying the category tag.
+ */
+
+import { rateLimitedFetch } from './http.js'
+import { CATEGORIES, getCategoryTag } from './categories.js'
+import { normalizePOI } from './normalize.js'
+
+export const OVERPASS_URL = 'https://overpass-api.de/api'
+
+// Server-side timeout in seconds
+const QUERY_TIMEOUT = 25
+
+// Safety cap for very large viewports (a whole country can hold tens of thousands of POIs)
+const MAX_RESULTS = 1000
+
+/**
+ * Escape a value for use inside a quoted Overpass QL string
+ */
+function escapeValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')
+}
+
+/**
+ * Build an Overpass QL query for categories inside a bbox
+ * @param {string|Array<string>} categories - Category key(s) from CATEGORIES
+ * @param {Object} viewbox - Map bounds {south, west, north, east}
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Max elements returned (default MAX_RESULTS)
+ * @returns {string} Overpass QL query
+ */
+export function buildOverpassQuery(categories, viewbox, options = {}) {
+  const { limit = MAX_RESULTS } = options
+  const keys = Array.isArray(categories) ? categories : [categories]
+
+  // Overpass bbox format: (south,west,north,east)
+  const bbox = `(${viewbox.south},${viewbox.west},${viewbox.north},${viewbox.east})`
+
+  const statements = keys.flatMap(key => {
+    const tag = getCategoryTag(CATEGORIES[key])
+    if (!tag) return []
+
+    const filter = `["${escapeValue(tag.key)}"="${escapeValue(tag.value)}"]`
+    return [`node${filter}${bbox};`, `way${filter}${bbox};`]
+  })
+
+  return [
+    `[out:json][timeout:${QUERY_TIMEOUT}];`,
+    '(',
+    ...statements.map(statement => `  ${statement}`),
+    ');',
+    // "center" adds a center point to ways so they can be shown as markers
+    `out center tags ${limit};`
+  ].join('\n')
+}
+
+/**
+ * Convert an Overpass element to a Nominatim-style place record
+ * @param {Object} element - Overpass node or way with tags
+ * @param {Object} tag - Category tag {key, value} the element matched
+ * @returns {Object} Place record
+ */
+export function overpassElementToPlace(element, tag) {
+  const tags = element.tags || {}
+  const lat = element.lat ?? element.center?.lat
+  const lon = element.lon ?? element.center?.lon
+
+  const address = {}
+  if (tags['addr:street']) address.road = tags['addr:street']
+  if (tags['addr:housenumber']) address.house_number = tags['addr:housenumber']
+  if (tags['addr:postcode']) address.postcode = tags['addr:postcode']
+  if (tags['addr:suburb']) address.suburb = tags['addr:suburb']
+  if (tags['addr:city']) address.city = tags['addr:city']
+
+  // Everything except name and address ends up in extratags, like Nominatim does
+  const extratags = {}
+  for (const [key, value] of Object.entries(tags)) {
+    if (key !== 'name' && !key.startsWith('addr:')) {
+      extratags[key] = value
+    }
+  }
+
+  const street = [address.road, address.house_number].filter(Boolean).join(' ')
+  const displayName = [tags.name || tag?.value, street, address.postcode, address.city]
+    .filter(Boolean)
+    .join(', ')
+
+  return {
+    place_id: `${element.type}/${element.id}`,
+    osm_type: element.type,
+    osm_id: element.id,
+    name: tags.name,
+    display_name: displayName,
+    lat: String(lat),
+    lon: String(lon),
+    class: tag?.key,
+    type: tag?.value,
+    address,
+    extratags
+  }
+}
+
+/**
+ * Find which of the requested categories an element belongs to
+ */
+function matchCategory(element, keys) {
+  const tags = element.tags || {}
+  return keys.find(key => {
+    const tag = getCategoryTag(CATEGORIES[key])
+    return tag && tags[tag.key] === tag.value
+  })
+}
+
+/**
+ * Search all POIs of the given categories inside a bbox
+ * @param {string|Array<string>} categories - Category key(s) from CATEGORIES
+ * @param {Object} viewbox - Map bounds {south, west, north, east}
+ * @param {Object} options - Search options
+ * @param {string} options.baseUrl - Overpass instance URL (default VITE_OVERPASS_URL or overpass-api.de)
+ * @param {number} options.limit - Max elements returned (default MAX_RESULTS)
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Array>} Array of POI results
+ */
+export async function searchOverpass(categories, viewbox, options = {}) {
+  const {
+    baseUrl = import.meta.env.VITE_OVERPASS_URL || OVERPASS_URL,
+    limit,
+    signal
+  } = options
+  const keys = Array.isArray(categories) ? categories : [categories]
+
+  if (!viewbox) {
+    throw new Error('Overpass search requires a viewbox')
+  }
+
+  const query = buildOverpassQuery(keys, viewbox, { limit })
+  const url = `${baseUrl.replace(/\/+$/, '')}/interpreter?data=${encodeURIComponent(query)}`
+  const data = await rateLimitedFetch(url, { source: 'Overpass', signal })
+
+  return (data.elements || [])
+    .filter(element => element.tags && (element.lat ?? element.center?.lat) !== undefined)
+    .map(element => {
+      const category = matchCategory(element, keys)
+      const place = overpassElementToPlace(element, getCategoryTag(CATEGORIES[category]))
+      return normalizePOI(place, category)
+    })
+}
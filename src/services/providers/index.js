@@ -0,0 +1,51 @@
+/**
+ * Geocoding provider registry
+ *
+ * A provider is an object with:
+ * - name: provider id ('nominatim', 'photon', 'pelias')
+ * - label: human readable name, used in error messages
+ * - search(query, {category, limit, viewbox, bounded, excludePlaceIds, signal}): Promise<Array> of place records
+ * - searchCategory(category, {limit, viewbox, excludePlaceIds, signal}): Promise<Array> of place records
+ * - reverse(lat, lon, {signal}): Promise<Object|null> place record
+ * - geocodeArea(name, {viewbox, signal}): optional, Promise<Object|null> place record
+ *   of a named administrative area or settlement (not a building or park) with its
+ *   outline as GeoJSON in `geojson` (Polygon or MultiPolygon)
+ * - autocomplete(query, {limit, viewbox, signal}): optional, Promise<Array> of place records
+ *   for search-as-you-type (the public Nominatim usage policy forbids autocomplete)
+ *
+ * The optional AbortSignal cancels the request. excludePlaceIds asks for the
+ * next page of results; providers without paging support ignore it.
+ *
+ * Place records use the Nominatim response shape and are turned into POIs
+ * by the shared normalizePOI.
+ */
+
+import { createNominatimProvider } from './nominatim.js'
+import { createPhotonProvider } from './photon.js'
+import { createPeliasProvider } from './pelias.js'
+
+export const PROVIDERS = {
+  nominatim: createNominatimProvider,
+  photon: createPhotonProvider,
+  pelias: createPeliasProvider
+}
+
+/**
+ * Create a provider from a config object
+ * @param {Object} config - Provider config
+ * @param {string} config.type - Key from PROVIDERS (default 'nominatim')
+ * @param {string} config.baseUrl - Instance URL (default: provider's public instance)
+ * @returns {Object} Geocoding provider
+ */
+export function createProvider(config = {}) {
+  const { type = 'nominatim', ...options } = config
+  const factory = PROVIDERS[type]
+
+  if (!factory) {
+    throw new Error(`Unknown geocoding provider: ${type}`)
+  }
+
+  return factory(options)
+}
+
+export { createNominatimProvider, createPhotonProvider, createPeliasProvider }
@@ -0,0 +1,180 @@
+/**
+ * Nominatim geocoding provider
+ * https://nominatim.org/release-docs/latest/api/Search/
+ *
+ * Works with the public instance as well as self-hosted mirrors.
+ */
+
+import { rateLimitedFetch } from '../http.js'
+import { CATEGORIES, getCategoryTag } from '../categories.js'
+
+export const NOMINATIM_URL = 'https://nominatim.openstreetmap.org'
+
+// Outlines of areas such as districts and cities; points and streets have other types
+const AREA_GEOMETRY_TYPES = ['Polygon', 'MultiPolygon']
+
+// Settlements and their parts searched in by "X in <area>"; buildings, parks
+// and shops have outlines too, but are not areas to search in
+const AREA_PLACE_TYPES = [
+  'city', 'town', 'village', 'hamlet', 'municipality', 'borough', 'suburb',
+  'quarter', 'neighbourhood', 'city_district', 'district', 'county', 'state', 'region', 'province'
+]
+
+/**
+ * Whether a search result is an administrative area or settlement with an outline
+ */
+function isArea(place) {
+  if (!AREA_GEOMETRY_TYPES.includes(place.geojson?.type)) return false
+  if (place.class === 'boundary') return place.type === 'administrative'
+  return place.class === 'place' && AREA_PLACE_TYPES.includes(place.type)
+}
+
+// Simplification tolerance for area outlines in degrees (~50m), keeps responses small
+const POLYGON_THRESHOLD = '0.0005'
+
+/**
+ * Format map bounds as a Nominatim viewbox
+ * Format: <west>,<south>,<east>,<north>
+ */
+function formatViewbox(viewbox) {
+  return `${viewbox.west},${viewbox.south},${viewbox.east},${viewbox.north}`
+}
+
+/**
+ * Add the parameters shared by search requests
+ */
+function addSearchParams(params, searchOptions) {
+  // Next page: leave out places already shown
+  if (searchOptions.excludePlaceIds?.length) {
+    params.set('exclude_place_ids', searchOptions.excludePlaceIds.join(','))
+  }
+}
+
+/**
+ * Create a Nominatim provider
+ * @param {Object} options - Provider options
+ * @param {string} options.baseUrl - Instance URL (default public Nominatim)
+ * @returns {Object} Geocoding provider
+ */
+export function createNominatimProvider(options = {}) {
+  const baseUrl = (options.baseUrl || NOMINATIM_URL).replace(/\/+$/, '')
+  const label = 'Nominatim'
+
+  /**
+   * Build search URL with given parameters
+   */
+  function buildSearchUrl(query, searchOptions = {}) {
+    const { category, limit = 20, viewbox, bounded } = searchOptions
+
+    const params = new URLSearchParams({
+      q: query,
+      format: 'json',
+      addressdetails: '1',
+      limit: String(limit),
+      extratags: '1'
+    })
+
+    // Add viewbox for location-based search
+    if (viewbox) {
+      params.set('viewbox', formatViewbox(viewbox))
+      params.set('bounded', bounded ? '1' : '0')
+    }
+
+    // Add category filter if specified
+    const tag = getCategoryTag(CATEGORIES[category])
+    if (tag) {
+      params.set(tag.key, tag.value)
+    }
+
+    addSearchParams(params, searchOptions)
+
+    return `${baseUrl}/search?${params.toString()}`
+  }
+
+  /**
+   * Build category search URL
+   * Uses Nominatim special phrase syntax with square brackets for category search.
+   * When bounded=1 and viewbox is set, [phrase] syntax enables amenity-only search
+   */
+  function buildCategoryUrl(category, searchOptions = {}) {
+    const { limit = 20, viewbox } = searchOptions
+
+    const params = new URLSearchParams({
+      q: `[${CATEGORIES[category].phrase}]`,
+      format: 'json',
+      addressdetails: '1',
+      limit: String(limit),
+      extratags: '1'
+    })
+
+    // Add viewbox for area search with bounded=1 to strictly limit to area
+    if (viewbox) {
+      params.set('viewbox', formatViewbox(viewbox))
+      params.set('bounded', '1')
+    }
+
+    addSearchParams(params, searchOptions)
+
+    return `${baseUrl}/search?${params.toString()}`
+  }
+
+  return {
+    name: 'nominatim',
+    label,
+    baseUrl,
+
+    search(query, searchOptions = {}) {
+      return rateLimitedFetch(buildSearchUrl(query, searchOptions), {
+        source: label,
+        signal: searchOptions.signal
+      })
+    },
+
+    searchCategory(category, searchOptions = {}) {
+      return rateLimitedFetch(buildCategoryUrl(category, searchOptions), {
+        source: label,
+        signal: searchOptions.signal
+      })
+    },
+
+    async reverse(lat, lon, requestOptions = {}) {
+      const params = new URLSearchParams({
+        lat: String(lat),
+        lon: String(lon),
+        format: 'json',
+        addressdetails: '1'
+      })
+
+      const data = await rateLimitedFetch(`${baseUrl}/reverse?${params.toString()}`, {
+        source: label,
+        signal: requestOptions.signal
+      })
+
+      // Points without an address are answered with {error: 'Unable to geocode'}
+      return data && !data.error ? data : null
+    },
+
+    async geocodeArea(name, requestOptions = {}) {
+      const params = new URLSearchParams({
+        q: name,
+        format: 'json',
+        limit: '5',
+        polygon_geojson: '1',
+        polygon_threshold: POLYGON_THRESHOLD
+      })
+
+      // Prefer areas near the map view, e.g. the Kreuzberg in Berlin
+      if (requestOptions.viewbox) {
+        params.set('viewbox', formatViewbox(requestOptions.viewbox))
+        params.set('bounded', '0')
+      }
+
+      const data = await rateLimitedFetch(`${baseUrl}/search?${params.toString()}`, {
+        source: label,
+        signal: requestOptions.signal
+      })
+
+      return data.find(isArea) || null
+    }
+  }
+}
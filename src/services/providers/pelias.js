@@ -0,0 +1,130 @@
+/**
+ * Pelias geocoding provider
+ * https://github.com/pelias/documentation
+ *
+ * Intended for self-hosted Pelias instances. Pelias answers with GeoJSON
+ * features which are converted to Nominatim-style place records here.
+ */
+
+import { rateLimitedFetch } from '../http.js'
+import { CATEGORIES } from '../categories.js'
+
+/**
+ * Convert a Pelias feature to a Nominatim-style place record
+ * @param {Object} feature - GeoJSON feature from Pelias
+ * @returns {Object} Place record
+ */
+export function peliasFeatureToPlace(feature) {
+  const props = feature.properties || {}
+  const [lon, lat] = feature.geometry.coordinates
+
+  const address = {}
+  if (props.street) address.road = props.street
+  if (props.housenumber) address.house_number = props.housenumber
+  if (props.postalcode) address.postcode = props.postalcode
+  if (props.neighbourhood) address.suburb = props.neighbourhood
+  if (props.locality) address.city = props.locality
+  if (props.region) address.state = props.region
+  if (props.country) address.country = props.country
+
+  // OSM tags are only available when the importer keeps them as an addendum
+  const osmTags = props.addendum?.osm || {}
+
+  // Pelias bbox is [minLon, minLat, maxLon, maxLat],
+  // Nominatim boundingbox is [minLat, maxLat, minLon, maxLon]
+  const bbox = feature.bbox
+  const boundingbox = bbox
+    ? [bbox[1], bbox[3], bbox[0], bbox[2]].map(String)
+    : undefined
+
+  return {
+    place_id: props.gid || props.id,
+    name: props.name,
+    display_name: props.label || props.name,
+    lat: String(lat),
+    lon: String(lon),
+    type: props.layer,
+    address,
+    extratags: osmTags,
+    boundingbox
+  }
+}
+
+/**
+ * Create a Pelias provider
+ * @param {Object} options - Provider options
+ * @param {string} options.baseUrl - Instance URL (required, there is no public default)
+ * @returns {Object} Geocoding provider
+ */
+export function createPeliasProvider(options = {}) {
+  if (!options.baseUrl) {
+    throw new Error('Pelias provider requires a baseUrl')
+  }
+
+  const baseUrl = options.baseUrl.replace(/\/+$/, '')
+  const label = 'Pelias'
+
+  function buildSearchUrl(text, searchOptions = {}, endpoint = 'search') {
+    const { limit = 20, viewbox, bounded } = searchOptions
+
+    const params = new URLSearchParams({
+      text,
+      size: String(limit)
+    })
+
+    if (viewbox) {
+      if (bounded) {
+        params.set('boundary.rect.min_lon', String(viewbox.west))
+        params.set('boundary.rect.min_lat', String(viewbox.south))
+        params.set('boundary.rect.max_lon', String(viewbox.east))
+        params.set('boundary.rect.max_lat', String(viewbox.north))
+      } else {
+        params.set('focus.point.lat', String((viewbox.south + viewbox.north) / 2))
+        params.set('focus.point.lon', String((viewbox.west + viewbox.east) / 2))
+      }
+    }
+
+    return `${baseUrl}/v1/${endpoint}?${params.toString()}`
+  }
+
+  async function fetchPlaces(url, signal) {
+    const data = await rateLimitedFetch(url, { source: label, signal })
+    return (data.features || []).map(peliasFeatureToPlace)
+  }
+
+  return {
+    name: 'pelias',
+    label,
+    baseUrl,
+
+    search(query, searchOptions = {}) {
+      return fetchPlaces(buildSearchUrl(query, searchOptions), searchOptions.signal)
+    },
+
+    autocomplete(query, searchOptions = {}) {
+      return fetchPlaces(
+        buildSearchUrl(query, { ...searchOptions, bounded: false }, 'autocomplete'),
+        searchOptions.signal
+      )
+    },
+
+    searchCategory(category, searchOptions = {}) {
+      // Pelias has no OSM tag filter - search the category phrase within the area
+      return fetchPlaces(buildSearchUrl(CATEGORIES[category].phrase, {
+        ...searchOptions,
+        bounded: true
+      }), searchOptions.signal)
+    },
+
+    async reverse(lat, lon, requestOptions = {}) {
+      const params = new URLSearchParams({
+        'point.lat': String(lat),
+        'point.lon': String(lon),
+        size: '1'
+      })
+
+      const places = await fetchPlaces(`${baseUrl}/v1/reverse?${params.toString()}`, requestOptions.signal)
+      return places[0] || null
+    }
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * Photon geocoding provider
+ * https://github.com/komoot/photon
+ *
+ * Photon answers with GeoJSON features which are converted to
+ * Nominatim-style place records here.
+ */
+
+import { rateLimitedFetch } from '../http.js'
+import { CATEGORIES, getCategoryTag } from '../categories.js'
+
+export const PHOTON_URL = 'https://photon.komoot.io'
+
+const OSM_TYPES = { N: 'node', W: 'way', R: 'relation' }
+
+/**
+ * Convert a Photon feature to a Nominatim-style place record
+ * @param {Object} feature - GeoJSON feature from Photon
+ * @returns {Object} Place record
+ */
+export function photonFeatureToPlace(feature) {
+  const props = feature.properties || {}
+  const [lon, lat] = feature.geometry.coordinates
+
+  const address = {}
+  if (props.street) address.road = props.street
+  if (props.housenumber) address.house_number = props.housenumber
+  if (props.postcode) address.postcode = props.postcode
+  if (props.district) address.suburb = props.district
+  if (props.city) address.city = props.city
+  if (props.state) address.state = props.state
+  if (props.country) address.country = props.country
+  if (props.countrycode) address.country_code = props.countrycode.toLowerCase()
+
+  const street = [props.street, props.housenumber].filter(Boolean).join(' ')
+  const displayName = [props.name, street, props.postcode, props.city, props.country]
+    .filter(Boolean)
+    .join(', ')
+
+  // Photon extent is [minLon, maxLat, maxLon, minLat],
+  // Nominatim boundingbox is [minLat, maxLat, minLon, maxLon]
+  const extent = props.extent
+  const boundingbox = extent
+    ? [extent[3], extent[1], extent[0], extent[2]].map(String)
+    : undefined
+
+  return {
+    place_id: `${props.osm_type}${props.osm_id}`,
+    osm_type: OSM_TYPES[props.osm_type],
+    osm_id: props.osm_id,
+    name: props.name,
+    display_name: displayName,
+    lat: String(lat),
+    lon: String(lon),
+    class: props.osm_key,
+    type: props.osm_value,
+    address,
+    extratags: props.extra || {},
+    boundingbox
+  }
+}
+
+/**
+ * Create a Photon provider
+ * @param {Object} options - Provider options
+ * @param {string} options.baseUrl - Instance URL (default komoot's public Photon)
+ * @param {string} options.lang - Result language (default 'en')
+ * @returns {Object} Geocoding provider
+ */
+export function createPhotonProvider(options = {}) {
+  const baseUrl = (options.baseUrl || PHOTON_URL).replace(/\/+$/, '')
+  const lang = options.lang || 'en'
+  const label = 'Photon'
+
+  function buildSearchUrl(query, searchOptions = {}) {
+    const { category, limit = 20, viewbox, bounded } = searchOptions
+
+    const params = new URLSearchParams({
+      q: query,
+      limit: String(limit),
+      lang
+    })
+
+    if (viewbox) {
+      if (bounded) {
+        // Photon bbox format: minLon,minLat,maxLon,maxLat
+        params.set('bbox', `${viewbox.west},${viewbox.south},${viewbox.east},${viewbox.north}`)
+      } else {
+        // Prefer results near the viewport without excluding others
+        params.set('lat', String((viewbox.south + viewbox.north) / 2))
+        params.set('lon', String((viewbox.west + viewbox.east) / 2))
+      }
+    }
+
+    const tag = getCategoryTag(CATEGORIES[category])
+    if (tag) {
+      params.set('osm_tag', `${tag.key}:${tag.value}`)
+    }
+
+    return `${baseUrl}/api/?${params.toString()}`
+  }
+
+  async function fetchPlaces(url, signal) {
+    const data = await rateLimitedFetch(url, { source: label, signal })
+    return (data.features || []).map(photonFeatureToPlace)
+  }
+
+  return {
+    name: 'photon',
+    label,
+    baseUrl,
+
+    search(query, searchOptions = {}) {
+      return fetchPlaces(buildSearchUrl(query, searchOptions), searchOptions.signal)
+    },
+
+    autocomplete(query, searchOptions = {}) {
+      // Photon is built for search-as-you-type: prefer results near the viewport
+      return fetchPlaces(buildSearchUrl(query, { ...searchOptions, bounded: false }), searchOptions.signal)
+    },
+
+    searchCategory(category, searchOptions = {}) {
+      // Photon has no special phrases - search the phrase restricted to the OSM tag
+      return fetchPlaces(buildSearchUrl(CATEGORIES[category].phrase, {
+        ...searchOptions,
+        category,
+        bounded: true
+      }), searchOptions.signal)
+    },
+
+    async reverse(lat, lon, requestOptions = {}) {
+      const params = new URLSearchParams({
+        lat: String(lat),
+        lon: String(lon),
+        lang
+      })
+
+      const places = await fetchPlaces(`${baseUrl}/reverse?${params.toString()}`, requestOptions.signal)
+      return places[0] || null
+    }
+  }
+}
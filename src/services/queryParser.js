@@ -0,0 +1,181 @@
+/**
+ * Reading search queries as categories, remaining text and a location:
+ * "cheap cafes near Alexanderplatz" searches the cafe category around
+ * Alexanderplatz, "pharmacies in Kreuzberg" inside the district's outline.
+ */
+
+import { CATEGORIES } from './categories.js'
+
+// Other names for built-in categories, lowercase
+export const CATEGORY_SYNONYMS = {
+  restaurant: ['eatery', 'diner', 'bistro'],
+  hotel: ['accommodation', 'lodging', 'motel'],
+  cafe: ['café', 'coffee', 'coffee shop', 'coffeehouse'],
+  hospital: ['emergency room'],
+  pharmacy: ['chemist', 'drugstore', 'apotheke'],
+  fuel: ['gas', 'petrol', 'petrol station', 'filling station', 'fuel'],
+  atm: ['cash machine', 'cashpoint'],
+  supermarket: ['grocery', 'groceries', 'grocery store'],
+  parking: ['car park', 'parking lot', 'parking garage']
+}
+
+// Words that may surround category names, e.g. "cheap cafes"
+const FILLER_WORDS = new Set([
+  'a', 'an', 'the', 'some', 'any', 'all', 'and', 'or', 'find', 'show', 'me',
+  'cheap', 'good', 'best', 'nice', 'great', 'top', 'popular', 'local', 'nearby'
+])
+
+// "<what> <relation> <place>", split at the first relation so place names stay whole
+const LOCATION_QUERY = /^(.+?)\s+(in|inside|within|near|around|close to|next to)\s+(.+)$/i
+
+// "<what> nearby", "<what> around here"
+const HERE_QUERY = /^(.+?)\s+(?:nearby|close by|around here|near here)$/i
+
+// Place names that mean the user's own position
+const HERE_NAMES = ['me', 'here', 'my location']
+
+// Longest category name looked for, in words
+const MAX_NAME_WORDS = 4
+
+/**
+ * Singular form of an English plural, e.g. "pharmacies" -> "pharmacy"
+ */
+function singular(word) {
+  if (/ies$/.test(word)) return word.replace(/ies$/, 'y')
+  if (/(ch|sh|ss|x)es$/.test(word)) return word.replace(/es$/, '')
+  if (/[^s]s$/.test(word)) return word.slice(0, -1)
+  return word
+}
+
+/**
+ * Find the category a name refers to, by label, search phrase or synonym,
+ * singular or plural
+ * @param {string} text - e.g. "Pharmacies", "pharmacy", "gas stations" or "coffee"
+ * @param {Object} categories - Category map to search (default CATEGORIES)
+ * @returns {string|null} Category key
+ */
+export function findCategory(text, categories = CATEGORIES) {
+  const name = text.trim().toLowerCase().replace(/\s+/g, ' ')
+  if (!name) return null
+
+  const forms = new Set([name, singular(name)])
+  const match = Object.entries(categories).find(([key, category]) => (
+    [category.label, category.phrase, ...(CATEGORY_SYNONYMS[key] || [])]
+      .filter(Boolean)
+      .map(value => value.toLowerCase())
+      .some(value => forms.has(value) || forms.has(singular(value)))
+  ))
+
+  return match ? match[0] : null
+}
+
+/**
+ * Split off a location phrase: "in <area>", "near <place>", "near me", "nearby"
+ * @returns {Object} {what, location}; location is {relation: 'in'|'near', name},
+ *   name is null for the user's own position
+ */
+function splitLocation(query) {
+  const here = query.match(HERE_QUERY)
+  if (here) return { what: here[1], location: { relation: 'near', name: null } }
+
+  const match = query.match(LOCATION_QUERY)
+  if (!match) return { what: query, location: null }
+
+  const relation = ['in', 'inside', 'within'].includes(match[2].toLowerCase()) ? 'in' : 'near'
+  const name = HERE_NAMES.includes(match[3].toLowerCase()) ? null : match[3]
+
+  // "in" asks for an area, so "cafes in me" makes no sense
+  if (relation === 'in' && !name) return { what: query, location: null }
+
+  return { what: match[1], location: { relation: name ? relation : 'near', name } }
+}
+
+/**
+ * Find the longest category name starting at a word
+ * @returns {Object|null} {key, length} with length in words
+ */
+function matchCategoryAt(words, start, categories) {
+  for (let length = Math.min(MAX_NAME_WORDS, words.length - start); length > 0; length--) {
+    const key = findCategory(words.slice(start, start + length).join(' '), categories)
+    if (key) return { key, length }
+  }
+  return null
+}
+
+/**
+ * Read a query as categories or text, and a location
+ * Category names may span several words ("gas stations"). The query is read
+ * as categories only when nothing but filler words such as "cheap" is left,
+ * so "hotel berlin" stays a text search.
+ * @param {string} query - e.g. "cheap cafes near Alexanderplatz"
+ * @param {Object} categories - Category map to search (default CATEGORIES)
+ * @returns {Object} {text, categories, location}; text is '' when categories were
+ *   found, see splitLocation for location
+ */
+export function parseQuery(query, categories = CATEGORIES) {
+  const { what, location } = splitLocation(query.trim().replace(/\s+/g, ' '))
+  const words = what.split(' ')
+  const found = []
+  let isOnlyCategories = true
+
+  for (let i = 0; i < words.length;) {
+    const match = matchCategoryAt(words, i, categories)
+    if (match) {
+      if (!found.includes(match.key)) found.push(match.key)
+      i += match.length
+    } else {
+      isOnlyCategories = isOnlyCategories && FILLER_WORDS.has(words[i].toLowerCase())
+      i++
+    }
+  }
+
+  return isOnlyCategories && found.length
+    ? { text: '', categories: found, location }
+    : { text: what, categories: [], location }
+}
+
+/**
+ * Whether a parsed query means more than its text
+ * @param {Object} parsed - From parseQuery
+ * @returns {boolean}
+ */
+export function isInterpreted(parsed) {
+  return parsed.categories.length > 0 || !!parsed.location
+}
+
+/**
+ * Turn a parsed query back into text, e.g. after one of its parts was removed
+ * A location on its own becomes the place name, to search the place itself.
+ * @param {Object} parsed - {text, categories, location}
+ * @param {Object} categories - Category map for the labels (default CATEGORIES)
+ * @returns {string}
+ */
+export function formatQuery({ text, categories: keys, location }, categories = CATEGORIES) {
+  const what = [text, ...keys.map(key => categories[key]?.label.toLowerCase())]
+    .filter(Boolean)
+    .join(' ')
+
+  if (!location) return what
+  if (!what) return location.name || ''
+
+  return `${what} ${location.relation} ${location.name || 'me'}`
+}
+
+/**
+ * Remove one part of a parsed query
+ * @param {Object} parsed - {text, categories, location}
+ * @param {Object} part - {type: 'text'|'location'} or {type: 'category', key}
+ * @returns {Object} New parsed query
+ */
+export function withoutQueryPart(parsed, part) {
+  switch (part.type) {
+    case 'text':
+      return { ...parsed, text: '' }
+    case 'location':
+      return { ...parsed, location: null }
+    case 'category':
+      return { ...parsed, categories: parsed.categories.filter(key => key !== part.key) }
+    default:
+      return parsed
+  }
+}
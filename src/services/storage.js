@@ -0,0 +1,54 @@
+/**
+ * Small JSON settings kept in localStorage
+ *
+ * Unlike the IndexedDB stores, these are read synchronously at startup, so
+ * they suit settings needed before the first search (e.g. custom categories).
+ */
+
+/**
+ * Check if localStorage can be used (blocked in some privacy modes)
+ */
+export function isStorageAvailable() {
+  try {
+    return typeof localStorage !== 'undefined' && localStorage !== null
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Read a JSON value
+ * @param {string} key - Storage key
+ * @param {*} fallback - Returned when the value is missing or unreadable
+ * @returns {*}
+ */
+export function readStorage(key, fallback) {
+  if (!isStorageAvailable()) return fallback
+
+  try {
+    const text = localStorage.getItem(key)
+    return text === null ? fallback : JSON.parse(text)
+  } catch (err) {
+    console.warn(`Reading ${key} failed:`, err)
+    return fallback
+  }
+}
+
+/**
+ * Write a JSON value, or remove it when value is null
+ * @param {string} key - Storage key
+ * @param {*} value - JSON-serializable value
+ */
+export function writeStorage(key, value) {
+  if (!isStorageAvailable()) return
+
+  try {
+    if (value === null) {
+      localStorage.removeItem(key)
+    } else {
+      localStorage.setItem(key, JSON.stringify(value))
+    }
+  } catch (err) {
+    console.warn(`Saving ${key} failed:`, err)
+  }
+}
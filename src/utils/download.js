@@ -0,0 +1,33 @@
+/**
+ * Save generated text as a file in the browser
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File content
+ * @param {string} mimeType - MIME type of the content
+ */
+export function downloadFile(filename, content, mimeType = 'text/plain') {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` })
+  const url = URL.createObjectURL(blob)
+
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+
+  // Revoke after the click has been handled
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+/**
+ * Turn a list name into a safe file name (without extension)
+ * @param {string} name - Display name
+ * @returns {string} File name
+ */
+export function toFileName(name) {
+  return String(name || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '') || 'places'
+}
@@ -0,0 +1,376 @@
+/**
+ * Import and export of POI lists in common geodata formats
+ *
+ * GeoJSON: https://datatracker.ietf.org/doc/html/rfc7946
+ * GPX 1.1: https://www.topografix.com/GPX/1/1/
+ * KML 2.2: https://developers.google.com/kml/documentation/kmlreference
+ *
+ * Exported fields come from the normalized POI. POIs may carry a `note`, which
+ * round-trips through GeoJSON and GPX. With `includeTags` the OSM tags from
+ * `raw.extratags` are exported as well.
+ */
+
+import { CATEGORIES } from '../services/categories.js'
+import { normalizePOI } from '../services/normalize.js'
+import { escapeHtml } from './html.js'
+import { toFileName } from './download.js'
+
+const CREATOR = 'POI Search'
+
+// Namespace for OSM tags in GPX <extensions>
+const GPX_TAGS_NAMESPACE = 'https://wiki.openstreetmap.org/wiki/Tags'
+
+// Normalized POI fields written by the tabular exports, in column order
+const EXPORT_FIELDS = ['id', 'name', 'address', 'lat', 'lon', 'category', 'categoryLabel', 'type']
+
+/**
+ * Build a normalized POI from imported values
+ * Imports have no OSM address details, so the address is kept as given.
+ * Places without an id get one from their position in the file.
+ */
+function importedPOI({ id, name, address, lat, lon, category, type, note }, index) {
+  const place = {
+    place_id: id ?? `import/${index}/${lat},${lon}`,
+    name: name || undefined,
+    display_name: [name, address].filter(Boolean).join(', ') || 'Unnamed place',
+    lat,
+    lon,
+    type
+  }
+
+  const poi = normalizePOI(place, CATEGORIES[category] ? category : undefined)
+  return {
+    ...poi,
+    address: address || `${lat.toFixed(5)}, ${lon.toFixed(5)}`,
+    note: note || ''
+  }
+}
+
+/**
+ * OSM tags of a POI (only Nominatim and Overpass results have them)
+ */
+function getTags(poi) {
+  return poi.raw?.extratags || {}
+}
+
+/**
+ * Check that a coordinate pair is usable
+ */
+function isValidPosition(lat, lon) {
+  return Number.isFinite(lat) && Number.isFinite(lon) &&
+    Math.abs(lat) <= 90 && Math.abs(lon) <= 180
+}
+
+/**
+ * Convert a POI to a GeoJSON Point feature
+ * @param {Object} poi - Normalized POI, optionally with a note
+ * @param {Object} options - Export options
+ * @param {boolean} options.includeTags - Add OSM tags as a `tags` property
+ * @returns {Object} GeoJSON Feature
+ */
+export function poiToFeature(poi, options = {}) {
+  const properties = {
+    id: poi.id,
+    name: poi.name,
+    address: poi.address,
+    category: poi.category,
+    categoryLabel: poi.categoryLabel,
+    type: poi.type
+  }
+  if (poi.note) properties.note = poi.note
+  if (options.includeTags) properties.tags = { ...getTags(poi) }
+
+  return {
+    type: 'Feature',
+    geometry: {
+      type: 'Point',
+      coordinates: [poi.lon, poi.lat]
+    },
+    properties
+  }
+}
+
+/**
+ * Export POIs as a GeoJSON FeatureCollection
+ * @param {Array} pois - Normalized POIs
+ * @param {Object} options - Export options
+ * @param {string} options.name - List name, stored as a foreign member
+ * @param {boolean} options.includeTags - Add OSM tags to each feature
+ * @returns {string} GeoJSON text
+ */
+export function toGeoJSON(pois, options = {}) {
+  const collection = {
+    type: 'FeatureCollection',
+    ...(options.name ? { name: options.name } : {}),
+    features: pois.map(poi => poiToFeature(poi, options))
+  }
+
+  return JSON.stringify(collection, null, 2)
+}
+
+/**
+ * Import POIs from GeoJSON
+ * Point features become POIs, other geometries are skipped.
+ * @param {string|Object} input - GeoJSON text or object (FeatureCollection or Feature)
+ * @returns {Object} {name, pois}
+ */
+export function fromGeoJSON(input) {
+  let data = input
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input)
+    } catch {
+      throw new Error('Invalid GeoJSON: not valid JSON')
+    }
+  }
+
+  let features
+  if (data?.type === 'FeatureCollection' && Array.isArray(data.features)) {
+    features = data.features
+  } else if (data?.type === 'Feature') {
+    features = [data]
+  } else {
+    throw new Error('Invalid GeoJSON: expected a FeatureCollection or Feature')
+  }
+
+  const pois = features
+    .filter(feature => feature?.geometry?.type === 'Point')
+    .map(feature => {
+      const [lon, lat] = feature.geometry.coordinates.map(Number)
+      const props = feature.properties || {}
+      return { props, lat, lon }
+    })
+    .filter(({ lat, lon }) => isValidPosition(lat, lon))
+    .map(({ props, lat, lon }, index) => importedPOI({
+      id: props.id,
+      name: props.name,
+      address: props.address,
+      category: props.category,
+      type: props.type,
+      note: props.note,
+      lat,
+      lon
+    }, index))
+
+  return { name: data.name || '', pois }
+}
+
+/**
+ * Export POIs as GPX waypoints
+ * @param {Array} pois - Normalized POIs
+ * @param {Object} options - Export options
+ * @param {string} options.name - List name for the GPX metadata
+ * @param {boolean} options.includeTags - Add OSM tags as waypoint extensions
+ * @returns {string} GPX document
+ */
+export function toGPX(pois, options = {}) {
+  const waypoints = pois.map(poi => {
+    const tags = options.includeTags ? Object.entries(getTags(poi)) : []
+    const children = [
+      `<name>${escapeHtml(poi.name)}</name>`,
+      poi.note && `<cmt>${escapeHtml(poi.note)}</cmt>`,
+      poi.address && `<desc>${escapeHtml(poi.address)}</desc>`,
+      (poi.category || poi.type) && `<type>${escapeHtml(poi.category || poi.type)}</type>`,
+      tags.length && '<extensions>' +
+        tags.map(([key, value]) => `<osm:tag k="${escapeHtml(key)}" v="${escapeHtml(value)}"/>`).join('') +
+        '</extensions>'
+    ].filter(Boolean)
+
+    return [
+      `  <wpt lat="${poi.lat}" lon="${poi.lon}">`,
+      ...children.map(child => `    ${child}`),
+      '  </wpt>'
+    ].join('\n')
+  })
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="${CREATOR}" xmlns="http://www.topografix.com/GPX/1/1"` +
+      (options.includeTags ? ` xmlns:osm="${GPX_TAGS_NAMESPACE}">` : '>'),
+    ...(options.name ? [`  <metadata><name>${escapeHtml(options.name)}</name></metadata>`] : []),
+    ...waypoints,
+    '</gpx>',
+    ''
+  ].join('\n')
+}
+
+/**
+ * Text of the first direct child element with the given name
+ */
+function childText(element, name) {
+  const child = Array.from(element.children).find(node => node.localName === name)
+  return child?.textContent.trim() || ''
+}
+
+/**
+ * Import POIs from GPX waypoints
+ * @param {string} text - GPX document
+ * @returns {Object} {name, pois}
+ */
+export function fromGPX(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml')
+  const root = doc.documentElement
+
+  if (!root || root.localName !== 'gpx' || doc.getElementsByTagName('parsererror').length) {
+    throw new Error('Invalid GPX: expected a <gpx> document')
+  }
+
+  const metadata = Array.from(root.children).find(node => node.localName === 'metadata')
+
+  const pois = Array.from(root.children)
+    .filter(node => node.localName === 'wpt')
+    .map(wpt => ({
+      wpt,
+      lat: parseFloat(wpt.getAttribute('lat')),
+      lon: parseFloat(wpt.getAttribute('lon'))
+    }))
+    .filter(({ lat, lon }) => isValidPosition(lat, lon))
+    .map(({ wpt, lat, lon }, index) => {
+      const type = childText(wpt, 'type')
+      return importedPOI({
+        name: childText(wpt, 'name'),
+        address: childText(wpt, 'desc'),
+        note: childText(wpt, 'cmt'),
+        category: type,
+        type: type || undefined,
+        lat,
+        lon
+      }, index)
+    })
+
+  return { name: metadata ? childText(metadata, 'name') : '', pois }
+}
+
+/**
+ * Quote a CSV field when needed (RFC 4180)
+ * Text starting with a formula character is prefixed so spreadsheets do not evaluate it.
+ */
+function csvField(value) {
+  if (value === undefined || value === null) return ''
+  if (typeof value === 'number') return String(value)
+
+  let text = String(value)
+  if (/^[=+\-@]/.test(text)) text = `'${text}`
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Export POIs as CSV, one row per POI
+ * @param {Array} pois - Normalized POIs
+ * @param {Object} options - Export options
+ * @param {boolean} options.includeTags - Add a `tag:<key>` column per OSM tag
+ * @returns {string} CSV text
+ */
+export function toCSV(pois, options = {}) {
+  const fields = pois.some(poi => poi.note) ? [...EXPORT_FIELDS, 'note'] : EXPORT_FIELDS
+  const tagKeys = options.includeTags
+    ? [...new Set(pois.flatMap(poi => Object.keys(getTags(poi))))].sort()
+    : []
+
+  const header = [...fields, ...tagKeys.map(key => `tag:${key}`)]
+  const rows = pois.map(poi => [
+    ...fields.map(field => poi[field]),
+    ...tagKeys.map(key => getTags(poi)[key])
+  ])
+
+  return [header, ...rows]
+    .map(row => row.map(csvField).join(','))
+    .join('\r\n') + '\r\n'
+}
+
+/**
+ * Export POIs as KML placemarks
+ * @param {Array} pois - Normalized POIs
+ * @param {Object} options - Export options
+ * @param {string} options.name - Document name
+ * @param {boolean} options.includeTags - Add OSM tags to the extended data
+ * @returns {string} KML document
+ */
+export function toKML(pois, options = {}) {
+  const placemarks = pois.map(poi => {
+    const data = [
+      ['id', poi.id],
+      ['category', poi.category],
+      ['categoryLabel', poi.categoryLabel],
+      ['type', poi.type],
+      ['note', poi.note],
+      ...(options.includeTags ? Object.entries(getTags(poi)).map(([key, value]) => [`tag:${key}`, value]) : [])
+    ].filter(([, value]) => value !== undefined && value !== null && value !== '')
+
+    return [
+      '    <Placemark>',
+      `      <name>${escapeHtml(poi.name)}</name>`,
+      ...(poi.address ? [`      <description>${escapeHtml(poi.address)}</description>`] : []),
+      '      <ExtendedData>',
+      ...data.map(([key, value]) => `        <Data name="${escapeHtml(key)}"><value>${escapeHtml(value)}</value></Data>`),
+      '      </ExtendedData>',
+      `      <Point><coordinates>${poi.lon},${poi.lat}</coordinates></Point>`,
+      '    </Placemark>'
+    ].join('\n')
+  })
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    ...(options.name ? [`    <name>${escapeHtml(options.name)}</name>`] : []),
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n')
+}
+
+// Export formats with file extension and MIME type
+export const EXPORT_FORMATS = {
+  geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json', serialize: toGeoJSON },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv', serialize: toCSV },
+  kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', serialize: toKML },
+  gpx: { label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml', serialize: toGPX }
+}
+
+// Formats that can also be imported as lists
+export const LIST_FORMATS = {
+  geojson: { ...EXPORT_FORMATS.geojson, parse: fromGeoJSON },
+  gpx: { ...EXPORT_FORMATS.gpx, parse: fromGPX }
+}
+
+/**
+ * Serialize POIs for download
+ * @param {Array} pois - Normalized POIs
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Object} options - Export options
+ * @param {string} options.name - Name used for the document and file name
+ * @param {boolean} options.includeTags - Include OSM tags from raw.extratags
+ * @returns {Object} {filename, content, mimeType}
+ */
+export function exportPOIs(pois, format, options = {}) {
+  const exportFormat = EXPORT_FORMATS[format]
+  if (!exportFormat) {
+    throw new Error(`Unknown export format: ${format}`)
+  }
+
+  return {
+    filename: `${toFileName(options.name)}.${exportFormat.extension}`,
+    content: exportFormat.serialize(pois, options),
+    mimeType: exportFormat.mimeType
+  }
+}
+
+/**
+ * Guess the format of an imported file from its name or content
+ * @param {string} filename - File name
+ * @param {string} text - File content
+ * @returns {string|null} 'geojson', 'gpx' or null
+ */
+export function detectFormat(filename = '', text = '') {
+  const extension = filename.split('.').pop().toLowerCase()
+  if (extension === 'gpx') return 'gpx'
+  if (extension === 'geojson' || extension === 'json') return 'geojson'
+
+  const start = text.trimStart()
+  if (start.startsWith('<')) return 'gpx'
+  if (start.startsWith('{')) return 'geojson'
+  return null
+}
@@ -0,0 +1,233 @@
+/**
+ * Distance and direction helpers for points given as {lat, lng} or {lat, lon}
+ */
+
+// Mean earth radius in meters
+const EARTH_RADIUS = 6371008.8
+
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW']
+
+const toRadians = degrees => degrees * Math.PI / 180
+const toDegrees = radians => radians * 180 / Math.PI
+
+/**
+ * Read latitude and longitude from a map point or a POI
+ */
+function coordinates(point) {
+  return [Number(point.lat), Number(point.lng ?? point.lon)]
+}
+
+/**
+ * Great-circle distance using the haversine formula
+ * @param {Object} from - {lat, lng} or {lat, lon}
+ * @param {Object} to - {lat, lng} or {lat, lon}
+ * @returns {number} Distance in meters
+ */
+export function haversineDistance(from, to) {
+  const [lat1, lon1] = coordinates(from)
+  const [lat2, lon2] = coordinates(to)
+
+  const dLat = toRadians(lat2 - lat1)
+  const dLon = toRadians(lon2 - lon1)
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2
+
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)))
+}
+
+/**
+ * Initial bearing of the great circle from one point to another
+ * @param {Object} from - {lat, lng} or {lat, lon}
+ * @param {Object} to - {lat, lng} or {lat, lon}
+ * @returns {number} Degrees clockwise from north, 0-360
+ */
+export function bearing(from, to) {
+  const [lat1, lon1] = coordinates(from).map(toRadians)
+  const [lat2, lon2] = coordinates(to).map(toRadians)
+
+  const y = Math.sin(lon2 - lon1) * Math.cos(lat2)
+  const x = Math.cos(lat1) * Math.sin(lat2) -
+    Math.sin(lat1) * Math.cos(lat2) * Math.cos(lon2 - lon1)
+
+  return (toDegrees(Math.atan2(y, x)) + 360) % 360
+}
+
+/**
+ * Eight-point compass direction of a bearing
+ * @param {number} degrees - Bearing in degrees
+ * @returns {string} N, NE, E, SE, S, SW, W or NW
+ */
+export function compassDirection(degrees) {
+  return COMPASS_POINTS[Math.round(degrees / 45) % COMPASS_POINTS.length]
+}
+
+/**
+ * Format a distance for display
+ * @param {number} meters - Distance in meters
+ * @returns {string} e.g. "350 m", "1.2 km", "24 km"
+ */
+export function formatDistance(meters) {
+  // Round before picking the unit, so 995 m reads "1.0 km" rather than "1000 m"
+  const roundedMeters = Math.round(meters / 10) * 10
+  if (roundedMeters < 1000) return `${roundedMeters} m`
+
+  const kilometers = Math.round(meters / 100) / 10
+  if (kilometers < 10) return `${kilometers.toFixed(1)} km`
+  return `${Math.round(meters / 1000)} km`
+}
+
+/**
+ * Sort points by distance from an origin, nearest first
+ * @param {Array} points - POIs or map points
+ * @param {Object} origin - {lat, lng} or {lat, lon}
+ * @returns {Array} New sorted array
+ */
+export function sortByDistance(points, origin) {
+  return points
+    .map(point => ({ point, distance: haversineDistance(origin, point) }))
+    .sort((a, b) => a.distance - b.distance)
+    .map(({ point }) => point)
+}
+
+/**
+ * Share of a bounding box that lies outside another one
+ * Boxes are treated as flat, which is fine at map viewport sizes.
+ * @param {Object} bounds - {south, west, north, east}
+ * @param {Object} covering - {south, west, north, east}
+ * @returns {number} 0 when fully covered, 1 when disjoint
+ */
+export function uncoveredFraction(bounds, covering) {
+  const area = (bounds.north - bounds.south) * (bounds.east - bounds.west)
+  if (area <= 0) return 0
+
+  const overlapHeight = Math.min(bounds.north, covering.north) - Math.max(bounds.south, covering.south)
+  const overlapWidth = Math.min(bounds.east, covering.east) - Math.max(bounds.west, covering.west)
+  const overlap = Math.max(0, overlapHeight) * Math.max(0, overlapWidth)
+
+  return 1 - overlap / area
+}
+
+/**
+ * Move a bounding box so it is centered on a point, keeping its size
+ * @param {Object} bounds - {south, west, north, east}
+ * @param {Object} center - {lat, lng} or {lat, lon}
+ * @returns {Object} {south, west, north, east}
+ */
+export function centerBounds(bounds, center) {
+  const [lat, lon] = coordinates(center)
+  const halfHeight = (bounds.north - bounds.south) / 2
+  const halfWidth = (bounds.east - bounds.west) / 2
+
+  return {
+    south: Math.max(-90, lat - halfHeight),
+    west: lon - halfWidth,
+    north: Math.min(90, lat + halfHeight),
+    east: lon + halfWidth
+  }
+}
+
+/**
+ * Bounding box of a circle around a point
+ * @param {Object} center - {lat, lng} or {lat, lon}
+ * @param {number} radius - Radius in meters
+ * @returns {Object} {south, west, north, east}
+ */
+export function boundsAroundPoint(center, radius) {
+  const [lat, lon] = coordinates(center)
+  const latDelta = toDegrees(radius / EARTH_RADIUS)
+
+  // Meridians converge towards the poles, so a meter spans more longitude there
+  const lonDelta = Math.min(180, latDelta / Math.max(Math.cos(toRadians(lat)), 0.01))
+
+  return {
+    south: Math.max(-90, lat - latDelta),
+    west: lon - lonDelta,
+    north: Math.min(90, lat + latDelta),
+    east: lon + lonDelta
+  }
+}
+
+/**
+ * Keep the points within a radius of a center, nearest first
+ * @param {Array} points - POIs or map points
+ * @param {Object} center - {lat, lng} or {lat, lon}
+ * @param {number} radius - Radius in meters
+ * @returns {Array} New sorted array
+ */
+export function filterByRadius(points, center, radius) {
+  return points
+    .map(point => ({ point, distance: haversineDistance(center, point) }))
+    .filter(({ distance }) => distance <= radius)
+    .sort((a, b) => a.distance - b.distance)
+    .map(({ point }) => point)
+}
+
+/**
+ * Bounding box of a polygon
+ * @param {Array} polygon - Vertices {lat, lng}
+ * @returns {Object} {south, west, north, east}
+ */
+export function polygonBounds(polygon) {
+  const points = polygon.map(coordinates)
+  const lats = points.map(([lat]) => lat)
+  const lons = points.map(([, lon]) => lon)
+
+  return {
+    south: Math.min(...lats),
+    west: Math.min(...lons),
+    north: Math.max(...lats),
+    east: Math.max(...lons)
+  }
+}
+
+/**
+ * Check if a point lies inside a polygon (ray casting)
+ * Coordinates are treated as flat, which is fine for district-sized areas.
+ * @param {Object} point - {lat, lng} or {lat, lon}
+ * @param {Array} polygon - Vertices {lat, lng}, without repeating the first one
+ * @returns {boolean}
+ */
+export function pointInPolygon(point, polygon) {
+  const [lat, lon] = coordinates(point)
+  const vertices = polygon.map(coordinates)
+  let inside = false
+
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    const [latI, lonI] = vertices[i]
+    const [latJ, lonJ] = vertices[j]
+
+    const crosses = (latI > lat) !== (latJ > lat) &&
+      lon < (lonJ - lonI) * (lat - latI) / (latJ - latI) + lonI
+    if (crosses) inside = !inside
+  }
+
+  return inside
+}
+
+/**
+ * Check if a point lies inside a GeoJSON Polygon or MultiPolygon, outside its holes
+ * @param {Object} point - {lat, lng} or {lat, lon}
+ * @param {Object} geometry - GeoJSON geometry with [lng, lat] positions
+ * @returns {boolean} false for other geometry types
+ */
+export function pointInGeometry(point, geometry) {
+  let polygons = []
+  if (geometry?.type === 'Polygon') polygons = [geometry.coordinates]
+  if (geometry?.type === 'MultiPolygon') polygons = geometry.coordinates
+
+  const toVertices = ring => ring.map(([lng, lat]) => ({ lat, lng }))
+
+  return polygons.some(([outer, ...holes]) => (
+    pointInPolygon(point, toVertices(outer)) &&
+    !holes.some(hole => pointInPolygon(point, toVertices(hole)))
+  ))
+}
+
+/**
+ * Center of a bounding box
+ * @param {Object} bounds - {south, west, north, east}
+ * @returns {Object} {lat, lng}
+ */
+export function boundsCenter(bounds) {
+  return { lat: (bounds.south + bounds.north) / 2, lng: (bounds.west + bounds.east) / 2 }
+}
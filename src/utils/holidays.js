@@ -0,0 +1,109 @@
+/**
+ * Public holiday calendars for the PH selector of opening_hours
+ *
+ * Only holidays observed nationwide are listed; regional holidays and
+ * substitute days for holidays falling on a weekend are not. Countries
+ * without a calendar get null, and PH rules then never match.
+ */
+
+// Fixed dates as [month, day] (month 1-12), movable feasts as days after
+// Easter Sunday, and nth weekdays of a month as [month, weekday, nth] with
+// weekday in Date#getDay() order and nth -1 for the last one
+const CALENDARS = {
+  at: {
+    fixed: [[1, 1], [1, 6], [5, 1], [8, 15], [10, 26], [11, 1], [12, 8], [12, 25], [12, 26]],
+    easter: [1, 39, 50, 60]
+  },
+  ch: {
+    fixed: [[1, 1], [8, 1], [12, 25]],
+    easter: [39]
+  },
+  de: {
+    fixed: [[1, 1], [5, 1], [10, 3], [12, 25], [12, 26]],
+    easter: [-2, 1, 39, 50]
+  },
+  es: {
+    fixed: [[1, 1], [1, 6], [5, 1], [8, 15], [10, 12], [11, 1], [12, 6], [12, 8], [12, 25]],
+    easter: [-2]
+  },
+  fr: {
+    fixed: [[1, 1], [5, 1], [5, 8], [7, 14], [8, 15], [11, 1], [11, 11], [12, 25]],
+    easter: [1, 39]
+  },
+  gb: {
+    fixed: [[1, 1], [12, 25], [12, 26]],
+    easter: [-2, 1],
+    weekdays: [[5, 1, 1], [5, 1, -1], [8, 1, -1]]
+  },
+  it: {
+    fixed: [[1, 1], [1, 6], [4, 25], [5, 1], [6, 2], [8, 15], [11, 1], [12, 8], [12, 25], [12, 26]],
+    easter: [1]
+  },
+  nl: {
+    fixed: [[1, 1], [4, 27], [12, 25], [12, 26]],
+    easter: [1, 39, 50]
+  },
+  us: {
+    fixed: [[1, 1], [6, 19], [7, 4], [11, 11], [12, 25]],
+    weekdays: [[1, 1, 3], [2, 1, 3], [5, 1, -1], [9, 1, 1], [10, 1, 2], [11, 4, 4]]
+  }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Easter Sunday of a year (anonymous Gregorian algorithm)
+ * @param {number} year - Full year
+ * @returns {Date} Local midnight of Easter Sunday
+ */
+export function getEasterSunday(year) {
+  const a = year % 19
+  const b = Math.floor(year / 100)
+  const c = year % 100
+  const d = Math.floor(b / 4)
+  const e = b % 4
+  const f = Math.floor((b + 8) / 25)
+  const g = Math.floor((b - f + 1) / 3)
+  const h = (19 * a + b - d - g + 15) % 30
+  const i = Math.floor(c / 4)
+  const k = c % 4
+  const l = (32 + 2 * e + 2 * i - h - k) % 7
+  const m = Math.floor((a + 11 * h + 22 * l) / 451)
+  const month = Math.floor((h + l - 7 * m + 114) / 31)
+  const day = ((h + l - 7 * m + 114) % 31) + 1
+
+  return new Date(year, month - 1, day)
+}
+
+/**
+ * Whether a date is the nth given weekday of its month
+ */
+function isNthWeekday(date, weekday, nth) {
+  if (date.getDay() !== weekday) return false
+  if (nth > 0) return Math.ceil(date.getDate() / 7) === nth
+
+  const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate()
+  return Math.ceil((daysInMonth - date.getDate() + 1) / 7) === -nth
+}
+
+/**
+ * Get the public holiday calendar of a country
+ * @param {string} countryCode - ISO 3166-1 alpha-2 code, e.g. "de"
+ * @returns {Function|null} (date) => boolean, or null for unknown countries
+ */
+export function getHolidayCalendar(countryCode) {
+  const calendar = CALENDARS[countryCode?.toLowerCase()]
+  if (!calendar) return null
+
+  const { fixed = [], easter = [], weekdays = [] } = calendar
+
+  return (date) => {
+    const month = date.getMonth() + 1
+    if (fixed.some(([m, d]) => m === month && d === date.getDate())) return true
+    if (weekdays.some(([m, weekday, nth]) => m === month && isNthWeekday(date, weekday, nth))) return true
+
+    const midnight = new Date(date.getFullYear(), date.getMonth(), date.getDate())
+    const daysAfterEaster = Math.round((midnight - getEasterSunday(date.getFullYear())) / DAY_MS)
+    return easter.includes(daysAfterEaster)
+  }
+}
@@ -0,0 +1,20 @@
+/**
+ * HTML helpers for markup built outside Vue templates (e.g. Leaflet popups)
+ */
+
+const ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+}
+
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {any} value - Text to escape (null/undefined become '')
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => ESCAPES[char])
+}
@@ -0,0 +1,409 @@
+/**
+ * Parser and evaluator for the OSM opening_hours syntax
+ * https://wiki.openstreetmap.org/wiki/Key:opening_hours/specification
+ *
+ * Supported: 24/7, weekday ranges and lists (Mo-Fr, Sa,Su, Fr-Mo), public
+ * holidays (PH, needs an isHoliday callback - without one PH rules never
+ * match, see utils/holidays.js), month and date ranges (Jan-Mar, Dec 24-26),
+ * time spans including past midnight (22:00-02:00) and open end (18:00+), the
+ * off/closed/open/unknown modifiers, comments, and normal (;), additional (,)
+ * and fallback (||) rules.
+ *
+ * Variable times (sunrise), week numbers, nth weekdays (Mo[1]) and years are
+ * not supported; such values are reported as unknown.
+ */
+
+// In Date#getDay() order
+const WEEKDAYS = ['su', 'mo', 'tu', 'we', 'th', 'fr', 'sa']
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+
+const MINUTES_PER_DAY = 24 * 60
+
+// Days scanned for the next opening or closing time
+const LOOKAHEAD_DAYS = 8
+
+// Default warning time for the "closes soon" state
+const CLOSES_SOON_MINUTES = 30
+
+const TOKEN_PATTERN = /\s*(?:"([^"]*)"|(24\/7)|(\d{1,2}):(\d{2})|(\d+)|([A-Za-z]+)|([-,+:]))/y
+
+/**
+ * Convert a word to a token
+ */
+function wordToken(word) {
+  const lower = word.toLowerCase()
+
+  if (WEEKDAYS.includes(lower)) return { type: 'weekday', value: WEEKDAYS.indexOf(lower) }
+  if (MONTHS.includes(lower)) return { type: 'month', value: MONTHS.indexOf(lower) }
+  if (lower === 'ph' || lower === 'sh') return { type: 'holiday', value: lower.toUpperCase() }
+  if (lower === 'off' || lower === 'closed') return { type: 'modifier', value: 'off' }
+  if (lower === 'open' || lower === 'unknown') return { type: 'modifier', value: lower }
+
+  throw new Error(`Unsupported opening_hours keyword: ${word}`)
+}
+
+/**
+ * Split a rule into tokens
+ */
+function tokenize(text) {
+  const tokens = []
+  TOKEN_PATTERN.lastIndex = 0
+
+  while (text.slice(TOKEN_PATTERN.lastIndex).trim()) {
+    const start = TOKEN_PATTERN.lastIndex
+    const match = TOKEN_PATTERN.exec(text)
+    if (!match) {
+      throw new Error(`Unsupported opening_hours syntax: ${text.slice(start).trim()}`)
+    }
+
+    const [, comment, always, hours, minutes, number, word, symbol] = match
+    if (comment !== undefined) tokens.push({ type: 'comment', value: comment })
+    else if (always) tokens.push({ type: 'always' })
+    else if (hours !== undefined) tokens.push({ type: 'time', value: Number(hours) * 60 + Number(minutes) })
+    else if (number !== undefined) tokens.push({ type: 'number', value: Number(number) })
+    else if (word !== undefined) tokens.push(wordToken(word))
+    else tokens.push({ type: symbol })
+  }
+
+  return tokens
+}
+
+/**
+ * Split the full value into rule strings at ; and || outside of comments
+ * @returns {Array} [{text, fallback}]
+ */
+function splitRules(value) {
+  const parts = []
+  let current = { text: '', fallback: false }
+  let inComment = false
+
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i]
+    if (char === '"') inComment = !inComment
+
+    if (!inComment && char === ';') {
+      parts.push(current)
+      current = { text: '', fallback: false }
+    } else if (!inComment && char === '|' && value[i + 1] === '|') {
+      parts.push(current)
+      current = { text: '', fallback: true }
+      i++
+    } else {
+      current.text += char
+    }
+  }
+  parts.push(current)
+
+  return parts
+    .map(part => ({ ...part, text: part.text.trim() }))
+    .filter(part => part.text)
+}
+
+/**
+ * Parse the tokens of one rule string into one normal rule and any
+ * additional rules joined with commas
+ */
+function parseRuleTokens(tokens, fallback) {
+  const rules = []
+  let pos = 0
+
+  const peek = (offset = 0) => tokens[pos + offset]
+  const is = (type, offset = 0) => peek(offset)?.type === type
+  const expect = (type) => {
+    if (!is(type)) {
+      throw new Error(`Unsupported opening_hours syntax: expected ${type}`)
+    }
+    return tokens[pos++]
+  }
+
+  const parseMonthRange = () => {
+    const fromMonth = expect('month').value
+
+    if (is('number')) {
+      const fromDay = expect('number').value
+      let toMonth = fromMonth
+      let toDay = fromDay
+
+      if (is('-')) {
+        pos++
+        if (is('month')) toMonth = expect('month').value
+        toDay = expect('number').value
+      }
+      return { from: fromMonth * 100 + fromDay, to: toMonth * 100 + toDay }
+    }
+
+    let toMonth = fromMonth
+    if (is('-') && is('month', 1)) {
+      pos++
+      toMonth = expect('month').value
+    }
+    return { from: fromMonth * 100 + 1, to: toMonth * 100 + 31 }
+  }
+
+  const parseWeekdays = (rule) => {
+    if (is('holiday')) {
+      rule.holidays.push(expect('holiday').value)
+      return
+    }
+
+    const from = expect('weekday').value
+    let to = from
+    if (is('-')) {
+      pos++
+      to = expect('weekday').value
+    }
+
+    // Ranges may wrap around the week, e.g. Fr-Mo
+    for (let day = from; ; day = (day + 1) % 7) {
+      rule.weekdays.push(day)
+      if (day === to) break
+    }
+  }
+
+  const parseTimeSpan = () => {
+    const start = expect('time').value
+
+    if (is('+')) {
+      pos++
+      return { start, end: MINUTES_PER_DAY, unknown: true }
+    }
+
+    expect('-')
+    let end = expect('time').value
+    if (end <= start) end += MINUTES_PER_DAY
+
+    // Open end after a range ("18:00-02:00+") - the range itself is known
+    if (is('+')) pos++
+
+    return { start, end, unknown: false }
+  }
+
+  while (pos < tokens.length) {
+    const rule = {
+      additional: rules.length > 0,
+      fallback: fallback && rules.length === 0,
+      months: [],
+      weekdays: [],
+      holidays: [],
+      times: [],
+      modifier: null,
+      comment: null
+    }
+
+    if (is('always')) {
+      pos++
+      rule.times.push({ start: 0, end: MINUTES_PER_DAY, unknown: false })
+    }
+
+    while (is('month')) {
+      rule.months.push(parseMonthRange())
+      if (is(',') && is('month', 1)) pos++
+      else break
+    }
+
+    while (is('weekday') || is('holiday')) {
+      parseWeekdays(rule)
+      if (is(',') && (is('weekday', 1) || is('holiday', 1))) pos++
+      else break
+    }
+
+    // Tolerate the common "Mo-Fr: 08:00-18:00"
+    if (is(':')) pos++
+
+    while (is('time')) {
+      rule.times.push(parseTimeSpan())
+      if (is(',') && is('time', 1)) pos++
+      else break
+    }
+
+    if (is('modifier')) rule.modifier = expect('modifier').value
+    if (is('comment')) rule.comment = expect('comment').value
+
+    const hasSelector = rule.months.length || rule.weekdays.length || rule.holidays.length || rule.times.length
+    if (!hasSelector && !rule.modifier && rule.comment === null) {
+      throw new Error('Unsupported opening_hours syntax: empty rule')
+    }
+
+    // A rule with only a comment ("by appointment") has an unknown state
+    if (!rule.modifier) {
+      rule.modifier = !hasSelector && rule.comment !== null ? 'unknown' : 'open'
+    }
+
+    rules.push(rule)
+
+    if (pos < tokens.length) {
+      expect(',')
+    }
+  }
+
+  return rules
+}
+
+/**
+ * Parse an opening_hours value
+ * @param {string} value - opening_hours tag value, e.g. "Mo-Fr 08:00-18:00; Sa 10:00-14:00; PH off"
+ * @returns {Array} Rules in evaluation order
+ * @throws {Error} When the value uses unsupported syntax
+ */
+export function parseOpeningHours(value) {
+  if (!value || !String(value).trim()) {
+    throw new Error('Empty opening_hours value')
+  }
+
+  return splitRules(String(value)).flatMap(part => parseRuleTokens(tokenize(part.text), part.fallback))
+}
+
+/**
+ * Check if a rule's month and day selectors match a date
+ */
+function matchesDate(rule, date, isHoliday) {
+  if (rule.months.length) {
+    const key = date.getMonth() * 100 + date.getDate()
+    const inRange = rule.months.some(({ from, to }) => (
+      from <= to ? key >= from && key <= to : key >= from || key <= to
+    ))
+    if (!inRange) return false
+  }
+
+  if (!rule.weekdays.length && !rule.holidays.length) return true
+  if (rule.weekdays.includes(date.getDay())) return true
+
+  // School holidays cannot be looked up, so SH rules never match
+  return rule.holidays.includes('PH') && !!isHoliday?.(date)
+}
+
+/**
+ * Remove time spans from a list of spans
+ */
+function subtractSpans(spans, removed) {
+  return removed.reduce((remaining, cut) => remaining.flatMap(span => {
+    if (cut.end <= span.start || cut.start >= span.end) return [span]
+
+    const parts = []
+    if (cut.start > span.start) parts.push({ ...span, end: cut.start })
+    if (cut.end < span.end) parts.push({ ...span, start: cut.end })
+    return parts
+  }), spans)
+}
+
+/**
+ * Get the open spans of one day, in minutes after its midnight
+ * Spans may end after 24:00 when they run past midnight.
+ */
+function getDaySpans(rules, date, isHoliday) {
+  let spans = []
+  let matched = false
+
+  for (const rule of rules) {
+    // Fallback rules only apply to days no earlier rule matched
+    if (rule.fallback && matched) continue
+    if (!matchesDate(rule, date, isHoliday)) continue
+    matched = true
+
+    const ruleSpans = rule.times.length
+      ? rule.times
+      : [{ start: 0, end: MINUTES_PER_DAY, unknown: false }]
+
+    if (rule.modifier === 'off') {
+      // A normal rule replaces the whole day, an additional rule only its times
+      spans = rule.additional ? subtractSpans(spans, ruleSpans) : []
+      continue
+    }
+
+    const opened = ruleSpans.map(span => ({ ...span, unknown: span.unknown || rule.modifier === 'unknown' }))
+    spans = rule.additional ? [...spans, ...opened] : opened
+  }
+
+  return spans
+}
+
+/**
+ * Merge overlapping and adjacent spans of the same state
+ */
+function mergeSpans(spans) {
+  const sorted = [...spans].sort((a, b) => a.start - b.start)
+  const merged = []
+
+  for (const span of sorted) {
+    const last = merged[merged.length - 1]
+    if (last && last.unknown === span.unknown && span.start <= last.end) {
+      last.end = Math.max(last.end, span.end)
+    } else {
+      merged.push({ ...span })
+    }
+  }
+
+  return merged
+}
+
+/**
+ * Get the opening state at a point in time
+ * @param {string|Array} value - opening_hours value or result of parseOpeningHours
+ * @param {Date} date - Point in time (default now)
+ * @param {Object} options - Evaluation options
+ * @param {Function} options.isHoliday - (date) => boolean, enables PH rules; without
+ *   it PH rules never match and the other rules decide
+ * @param {number} options.soonMinutes - Minutes before closing that count as "closes soon" (default 30)
+ * @returns {Object} {status: 'open'|'closes-soon'|'closed'|'unknown', opensAt, closesAt}
+ *   opensAt/closesAt are Dates, or null when not within the next week
+ */
+export function getOpeningState(value, date = new Date(), options = {}) {
+  const { isHoliday, soonMinutes = CLOSES_SOON_MINUTES } = options
+  const unknown = { status: 'unknown', opensAt: null, closesAt: null }
+
+  let rules
+  try {
+    rules = Array.isArray(value) ? value : parseOpeningHours(value)
+  } catch {
+    return unknown
+  }
+
+  const year = date.getFullYear()
+  const month = date.getMonth()
+  const day = date.getDate()
+  const now = date.getHours() * 60 + date.getMinutes()
+  const toDate = minutes => new Date(year, month, day, 0, minutes)
+
+  // Spans from yesterday (which may run past midnight) up to a week ahead,
+  // in minutes after today's midnight
+  const timeline = []
+  for (let offset = -1; offset < LOOKAHEAD_DAYS; offset++) {
+    const shift = offset * MINUTES_PER_DAY
+    getDaySpans(rules, new Date(year, month, day + offset), isHoliday).forEach(span => {
+      timeline.push({ ...span, start: span.start + shift, end: span.end + shift })
+    })
+  }
+
+  const spans = mergeSpans(timeline)
+  const current = spans.find(span => span.start <= now && now < span.end)
+
+  if (current?.unknown) return unknown
+
+  if (!current) {
+    const next = spans.find(span => span.start > now && !span.unknown)
+    return { status: 'closed', opensAt: next ? toDate(next.start) : null, closesAt: null }
+  }
+
+  // Open through the whole lookahead, e.g. 24/7
+  if (current.end >= LOOKAHEAD_DAYS * MINUTES_PER_DAY) {
+    return { status: 'open', opensAt: null, closesAt: null }
+  }
+
+  return {
+    status: current.end - now <= soonMinutes ? 'closes-soon' : 'open',
+    opensAt: null,
+    closesAt: toDate(current.end)
+  }
+}
+
+/**
+ * Check if a place is open at a point in time
+ * @param {string} value - opening_hours value
+ * @param {Date} date - Point in time (default now)
+ * @param {Object} options - See getOpeningState
+ * @returns {boolean} True when open or closing soon, false when closed or unknown
+ */
+export function isOpenAt(value, date = new Date(), options = {}) {
+  const { status } = getOpeningState(value, date, options)
+  return status === 'open' || status === 'closes-soon'
+}
@@ -83,8 +83,8 @@ async function performSearch(page, query) {
  * Select a category and wait for results
  */
 async function selectCategory(page, categoryValue) {
-  const categorySelect = page.locator('.category-select');
-  await categorySelect.selectOption(categoryValue);
+  await page.locator('.category-trigger').click();
+  await page.locator(`.category-option[data-category="${categoryValue}"]`).click();
 
   // Wait for loading to complete
   await page.waitForFunction(() => {
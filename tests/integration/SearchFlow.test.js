@@ -1,9 +1,26 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
 import { mount } from '@vue/test-utils'
 import { nextTick } from 'vue'
 import SearchBar from '../../src/components/SearchBar.vue'
 import POICard from '../../src/components/POICard.vue'
 import ResultsList from '../../src/components/ResultsList.vue'
+import MapLegend from '../../src/components/MapLegend.vue'
+import CollectionsPanel from '../../src/components/CollectionsPanel.vue'
+import POIDetails from '../../src/components/POIDetails.vue'
+import FacetBar from '../../src/components/FacetBar.vue'
+import SearchAreaButton from '../../src/components/SearchAreaButton.vue'
+import CategoryEditor from '../../src/components/CategoryEditor.vue'
+
+/**
+ * Toggle a category in the SearchBar category picker
+ */
+async function pickCategory(wrapper, label) {
+  if (!wrapper.find('.category-options').exists()) {
+    await wrapper.find('.category-trigger').trigger('click')
+  }
+  const option = wrapper.findAll('.category-option').find(item => item.text().includes(label))
+  await option.trigger('click')
+}
 
 describe('Search Flow Integration', () => {
   describe('SearchBar Component', () => {
@@ -21,8 +38,7 @@ describe('Search Flow Integration', () => {
       const input = wrapper.find('.search-input')
       await input.setValue('coffee')
 
-      const select = wrapper.find('.category-select')
-      await select.setValue('restaurant')
+      await pickCategory(wrapper, 'Restaurants')
 
       // category-search is emitted on category change
       expect(wrapper.emitted('category-search')).toBeTruthy()
@@ -31,7 +47,7 @@ describe('Search Flow Integration', () => {
       await button.trigger('click')
 
       expect(wrapper.emitted('search')).toBeTruthy()
-      expect(wrapper.emitted('search')[0]).toEqual(['coffee', 'restaurant'])
+      expect(wrapper.emitted('search')[0]).toEqual(['coffee', ['restaurant']])
     })
 
     it('should emit search on Enter key', async () => {
@@ -42,24 +58,145 @@ describe('Search Flow Integration', () => {
       await input.trigger('keyup.enter')
 
       expect(wrapper.emitted('search')).toBeTruthy()
-      expect(wrapper.emitted('search')[0]).toEqual(['hotel berlin', ''])
+      expect(wrapper.emitted('search')[0]).toEqual(['hotel berlin', []])
     })
 
     it('should emit category-search when category is selected', async () => {
       const wrapper = mount(SearchBar, { props: defaultProps })
 
-      const select = wrapper.find('.category-select')
-      await select.setValue('restaurant')
+      await pickCategory(wrapper, 'Restaurants')
 
       expect(wrapper.emitted('category-search')).toBeTruthy()
-      expect(wrapper.emitted('category-search')[0]).toEqual(['restaurant'])
+      expect(wrapper.emitted('category-search')[0]).toEqual([['restaurant'], { recordUse: false }])
+    })
+
+    it('should search several categories at once', async () => {
+      const wrapper = mount(SearchBar, { props: defaultProps })
+
+      await pickCategory(wrapper, 'Restaurants')
+      await pickCategory(wrapper, 'Hotels')
+
+      expect(wrapper.emitted('category-search')[1]).toEqual([['restaurant', 'hotel'], { recordUse: false }])
+      expect(wrapper.findAll('.category-chip').map(chip => chip.text())).toEqual([
+        expect.stringContaining('Restaurants'),
+        expect.stringContaining('Hotels')
+      ])
+      expect(wrapper.find('.search-input').attributes('placeholder'))
+        .toBe('Search restaurants or hotels in this area...')
+    })
+
+    it('should remove a category with its chip', async () => {
+      const wrapper = mount(SearchBar, { props: defaultProps })
+
+      await pickCategory(wrapper, 'Restaurants')
+      await pickCategory(wrapper, 'Hotels')
+      await wrapper.find('.category-chip .chip-remove').trigger('click')
+
+      expect(wrapper.emitted('category-search')[2]).toEqual([['hotel'], { recordUse: false }])
+      expect(wrapper.findAll('.category-chip')).toHaveLength(1)
+    })
+
+    it('should not search when the last category is removed', async () => {
+      const wrapper = mount(SearchBar, { props: defaultProps })
+
+      await pickCategory(wrapper, 'Hotels')
+      await pickCategory(wrapper, 'Hotels')
+
+      expect(wrapper.emitted('category-search')).toHaveLength(1)
+      expect(wrapper.find('.category-placeholder').text()).toBe('All Categories')
+    })
+
+    it('should group recent categories and offer to clear them', async () => {
+      const wrapper = mount(SearchBar, {
+        props: {
+          categories: [
+            { key: 'hotel', label: 'Hotels', icon: '🏨', recent: true },
+            { key: 'restaurant', label: 'Restaurants', icon: '🍽️' }
+          ]
+        }
+      })
+
+      await wrapper.find('.category-trigger').trigger('click')
+
+      const groups = wrapper.findAll('.option-group')
+      expect(groups.map(group => group.text())).toEqual([
+        expect.stringContaining('Recent'),
+        'All categories'
+      ])
+
+      await wrapper.find('.clear-history-btn').trigger('click')
+      expect(wrapper.emitted('clear-category-history')).toHaveLength(1)
+    })
+
+    it('should not show groups without recent categories', async () => {
+      const wrapper = mount(SearchBar, { props: defaultProps })
+
+      await wrapper.find('.category-trigger').trigger('click')
+
+      expect(wrapper.find('.option-group').exists()).toBe(false)
+      expect(wrapper.find('.clear-history-btn').exists()).toBe(false)
+    })
+
+    it('should count the picked categories once the list closes', async () => {
+      const wrapper = mount(SearchBar, { props: defaultProps, attachTo: document.body })
+
+      await pickCategory(wrapper, 'Restaurants')
+      await pickCategory(wrapper, 'Hotels')
+      expect(wrapper.emitted('record-category-use')).toBeFalsy()
+
+      document.body.click()
+      await nextTick()
+
+      expect(wrapper.emitted('record-category-use')).toEqual([[['restaurant', 'hotel']]])
+      wrapper.unmount()
+    })
+
+    it('should not count categories twice after pressing Search', async () => {
+      const wrapper = mount(SearchBar, { props: defaultProps, attachTo: document.body })
+
+      await pickCategory(wrapper, 'Hotels')
+      await wrapper.find('.search-btn').trigger('click')
+      document.body.click()
+      await nextTick()
+
+      expect(wrapper.emitted('category-search').at(-1)).toEqual([['hotel']])
+      expect(wrapper.emitted('record-category-use')).toBeFalsy()
+      wrapper.unmount()
+    })
+
+    it('should keep the option order while the list is open', async () => {
+      const wrapper = mount(SearchBar, { props: defaultProps })
+
+      await pickCategory(wrapper, 'Hotels')
+      await wrapper.setProps({
+        categories: [
+          { key: 'hotel', label: 'Hotels', icon: '🏨', recent: true },
+          { key: 'restaurant', label: 'Restaurants', icon: '🍽️' }
+        ]
+      })
+
+      const options = wrapper.findAll('.category-option').map(option => option.attributes('data-category'))
+      expect(options).toEqual(['restaurant', 'hotel'])
+      expect(wrapper.find('.option-group').exists()).toBe(false)
+    })
+
+    it('should close the category list on outside click', async () => {
+      const wrapper = mount(SearchBar, { props: defaultProps, attachTo: document.body })
+
+      await wrapper.find('.category-trigger').trigger('click')
+      expect(wrapper.find('.category-options').exists()).toBe(true)
+
+      document.body.click()
+      await nextTick()
+
+      expect(wrapper.find('.category-options').exists()).toBe(false)
+      wrapper.unmount()
     })
 
     it('should emit category-search on button click when only category selected', async () => {
       const wrapper = mount(SearchBar, { props: defaultProps })
 
-      const select = wrapper.find('.category-select')
-      await select.setValue('hotel')
+      await pickCategory(wrapper, 'Hotels')
 
       // Clear the category-search emit from selection
       wrapper.emitted('category-search').length = 0
@@ -68,7 +205,7 @@ describe('Search Flow Integration', () => {
       await button.trigger('click')
 
       expect(wrapper.emitted('category-search')).toBeTruthy()
-      expect(wrapper.emitted('category-search')[0]).toEqual(['hotel'])
+      expect(wrapper.emitted('category-search')[0]).toEqual([['hotel']])
     })
 
     it('should disable search button when loading', () => {
@@ -90,8 +227,7 @@ describe('Search Flow Integration', () => {
     it('should enable search button when category is selected without query', async () => {
       const wrapper = mount(SearchBar, { props: defaultProps })
 
-      const select = wrapper.find('.category-select')
-      await select.setValue('restaurant')
+      await pickCategory(wrapper, 'Restaurants')
 
       const button = wrapper.find('.search-btn')
       expect(button.attributes('disabled')).toBeUndefined()
@@ -112,7 +248,7 @@ describe('Search Flow Integration', () => {
 
       expect(wrapper.find('.clear-btn').exists()).toBe(false)
 
-      await wrapper.find('.category-select').setValue('restaurant')
+      await pickCategory(wrapper, 'Restaurants')
 
       expect(wrapper.find('.clear-btn').exists()).toBe(true)
     })
@@ -129,15 +265,16 @@ describe('Search Flow Integration', () => {
       expect(input.element.value).toBe('')
     })
 
-    it('should render categories in correct order', () => {
+    it('should render categories in correct order', async () => {
       const wrapper = mount(SearchBar, { props: defaultProps })
 
-      const options = wrapper.findAll('.category-select option')
+      expect(wrapper.find('.category-trigger').text()).toContain('All Categories')
 
-      // First option is "All Categories"
-      expect(options[0].text()).toBe('All Categories')
-      expect(options[1].text()).toContain('Restaurants')
-      expect(options[2].text()).toContain('Hotels')
+      await wrapper.find('.category-trigger').trigger('click')
+      const options = wrapper.findAll('.category-option')
+
+      expect(options[0].text()).toContain('Restaurants')
+      expect(options[1].text()).toContain('Hotels')
     })
 
     it('should update placeholder when category is selected', async () => {
@@ -146,10 +283,251 @@ describe('Search Flow Integration', () => {
       const input = wrapper.find('.search-input')
       expect(input.attributes('placeholder')).toBe('Search for places...')
 
-      await wrapper.find('.category-select').setValue('restaurant')
+      await pickCategory(wrapper, 'Restaurants')
 
       expect(input.attributes('placeholder')).toBe('Search restaurants in this area...')
     })
+
+    it('should restore input values without emitting a search', async () => {
+      const wrapper = mount(SearchBar, { props: defaultProps })
+
+      wrapper.vm.setSearch('pasta', ['restaurant'])
+      await nextTick()
+
+      expect(wrapper.find('.search-input').element.value).toBe('pasta')
+      expect(wrapper.find('.category-chip').text()).toContain('Restaurants')
+      expect(wrapper.emitted('search')).toBeFalsy()
+      expect(wrapper.emitted('category-search')).toBeFalsy()
+    })
+  })
+
+  describe('SearchBar open now toggle', () => {
+    const props = {
+      categories: [{ key: 'cafe', label: 'Cafes', icon: '☕' }]
+    }
+
+    it('should emit update:openNow with the toggled value', async () => {
+      const wrapper = mount(SearchBar, { props })
+
+      await wrapper.find('.open-now-btn').trigger('click')
+
+      expect(wrapper.emitted('update:openNow')[0]).toEqual([true])
+      expect(wrapper.emitted('search')).toBeFalsy()
+    })
+
+    it('should show the active state', () => {
+      const wrapper = mount(SearchBar, { props: { ...props, openNow: true } })
+
+      const button = wrapper.find('.open-now-btn')
+      expect(button.classes()).toContain('active')
+      expect(button.attributes('aria-pressed')).toBe('true')
+    })
+  })
+
+  describe('SearchBar radius control', () => {
+    const props = {
+      categories: [{ key: 'cafe', label: 'Cafes', icon: '☕' }]
+    }
+
+    it('should toggle radius mode and hide the slider when off', async () => {
+      const wrapper = mount(SearchBar, { props })
+
+      expect(wrapper.find('.radius-slider').exists()).toBe(false)
+      await wrapper.find('.radius-btn').trigger('click')
+
+      expect(wrapper.emitted('update:radiusMode')[0]).toEqual([true])
+    })
+
+    it('should show the radius and emit the chosen step', async () => {
+      const wrapper = mount(SearchBar, { props: { ...props, radiusMode: true, radius: 1000, radiusSource: 'user' } })
+
+      expect(wrapper.find('.radius-btn').text()).toContain('1.0 km')
+      const slider = wrapper.find('.radius-slider')
+      expect(slider.attributes('title')).toBe('Search within 1.0 km of your location')
+
+      slider.element.value = '0'
+      await slider.trigger('input')
+
+      expect(wrapper.emitted('update:radius')[0]).toEqual([100])
+      expect(wrapper.emitted('search')).toBeFalsy()
+    })
+
+    it('should offer to clear a picked center point', async () => {
+      const wrapper = mount(SearchBar, { props: { ...props, radiusMode: true, radiusSource: 'point' } })
+
+      await wrapper.find('.radius-point-clear').trigger('click')
+
+      expect(wrapper.emitted('clear-radius-point')).toHaveLength(1)
+    })
+  })
+
+  describe('SearchBar interpretation chips', () => {
+    const categories = [
+      { key: 'cafe', label: 'Cafes', icon: '☕' },
+      { key: 'bank', label: 'Banks', icon: '🏦' }
+    ]
+
+    it('should not show chips for plain text searches', () => {
+      const wrapper = mount(SearchBar, { props: { categories } })
+
+      expect(wrapper.find('.interpretation').exists()).toBe(false)
+    })
+
+    it('should show each part of the interpreted query', () => {
+      const interpretation = {
+        text: '',
+        categories: ['cafe', 'bank'],
+        location: { relation: 'near', name: 'Alexanderplatz' }
+      }
+      const wrapper = mount(SearchBar, { props: { categories, interpretation } })
+
+      const labels = wrapper.findAll('.chip-label').map(label => label.text())
+      expect(labels).toEqual(['Cafes', 'Banks', 'near Alexanderplatz'])
+    })
+
+    it('should show remaining text and "near me"', () => {
+      const interpretation = { text: 'sushi', categories: [], location: { relation: 'near', name: null } }
+      const wrapper = mount(SearchBar, { props: { categories, interpretation } })
+
+      const labels = wrapper.findAll('.chip-label').map(label => label.text())
+      expect(labels).toEqual(['"sushi"', 'near me'])
+    })
+
+    it('should emit the removed part', async () => {
+      const interpretation = { text: '', categories: ['cafe'], location: { relation: 'in', name: 'Kreuzberg' } }
+      const wrapper = mount(SearchBar, { props: { categories, interpretation } })
+
+      const removeButtons = wrapper.findAll('.chip-remove')
+      await removeButtons[0].trigger('click')
+      await removeButtons[1].trigger('click')
+
+      expect(wrapper.emitted('remove-interpretation')).toEqual([
+        [{ type: 'category', key: 'cafe' }],
+        [{ type: 'location' }]
+      ])
+    })
+  })
+
+  describe('SearchBar autocomplete', () => {
+    const categories = [
+      { key: 'cafe', label: 'Cafes', phrase: 'cafe', icon: '☕' },
+      { key: 'hotel', label: 'Hotels', phrase: 'hotel', icon: '🏨' }
+    ]
+
+    const suggestions = [
+      { id: 1, name: 'Café Einstein', address: 'Kurfürstenstraße 58, Berlin', icon: '☕' },
+      { id: 2, name: 'Cafe Am Neuen See', address: 'Lichtensteinallee 2, Berlin', icon: '☕' }
+    ]
+
+    beforeEach(() => {
+      vi.useFakeTimers()
+    })
+
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    async function typeInto(wrapper, text) {
+      const input = wrapper.find('.search-input')
+      await input.trigger('focus')
+      await input.setValue(text)
+      return input
+    }
+
+    it('should emit suggest after a typing pause', async () => {
+      const wrapper = mount(SearchBar, { props: { categories } })
+
+      await typeInto(wrapper, 'caf')
+      expect(wrapper.emitted('suggest')).toBeFalsy()
+
+      vi.advanceTimersByTime(300)
+      expect(wrapper.emitted('suggest')).toEqual([['caf']])
+    })
+
+    it('should debounce fast typing into one suggest event', async () => {
+      const wrapper = mount(SearchBar, { props: { categories } })
+
+      await typeInto(wrapper, 'c')
+      vi.advanceTimersByTime(100)
+      await wrapper.find('.search-input').setValue('ca')
+      vi.advanceTimersByTime(100)
+      await wrapper.find('.search-input').setValue('caf')
+      vi.advanceTimersByTime(300)
+
+      expect(wrapper.emitted('suggest')).toEqual([['caf']])
+    })
+
+    it('should list matching categories before place suggestions', async () => {
+      const wrapper = mount(SearchBar, { props: { categories, suggestions } })
+
+      await typeInto(wrapper, 'caf')
+
+      const items = wrapper.findAll('.suggestion')
+      expect(items).toHaveLength(3)
+      expect(items[0].text()).toContain('☕')
+      expect(items[0].text()).toContain('Cafes')
+      expect(items[1].text()).toContain('Café Einstein')
+    })
+
+    it('should highlight the matching part of suggestions', async () => {
+      const wrapper = mount(SearchBar, { props: { categories, suggestions } })
+
+      await typeInto(wrapper, 'neuen')
+
+      const marks = wrapper.findAll('.suggestion mark')
+      expect(marks).toHaveLength(1)
+      expect(marks[0].text()).toBe('Neuen')
+    })
+
+    it('should select a suggestion with arrow keys and Enter', async () => {
+      const wrapper = mount(SearchBar, { props: { categories, suggestions } })
+
+      const input = await typeInto(wrapper, 'caf')
+      await input.trigger('keydown', { key: 'ArrowDown' })
+      await input.trigger('keydown', { key: 'ArrowDown' })
+
+      expect(wrapper.findAll('.suggestion')[1].classes()).toContain('active')
+
+      await input.trigger('keyup.enter')
+
+      expect(wrapper.emitted('select-suggestion')).toEqual([[suggestions[0]]])
+      expect(wrapper.emitted('search')).toBeFalsy()
+      expect(input.element.value).toBe('Café Einstein')
+    })
+
+    it('should run a category search when a category suggestion is chosen', async () => {
+      const wrapper = mount(SearchBar, { props: { categories, suggestions } })
+
+      const input = await typeInto(wrapper, 'caf')
+      await input.trigger('keydown', { key: 'ArrowDown' })
+      await input.trigger('keyup.enter')
+
+      expect(wrapper.emitted('category-search')).toEqual([[['cafe']]])
+      expect(wrapper.find('.category-chip').text()).toContain('Cafes')
+    })
+
+    it('should close suggestions on Escape', async () => {
+      const wrapper = mount(SearchBar, { props: { categories, suggestions } })
+
+      const input = await typeInto(wrapper, 'caf')
+      expect(wrapper.find('.suggestions').exists()).toBe(true)
+
+      await input.trigger('keydown', { key: 'Escape' })
+      expect(wrapper.find('.suggestions').exists()).toBe(false)
+
+      // Enter now runs a normal search
+      await input.trigger('keyup.enter')
+      expect(wrapper.emitted('search')).toEqual([['caf', []]])
+    })
+
+    it('should select a suggestion on click', async () => {
+      const wrapper = mount(SearchBar, { props: { categories, suggestions } })
+
+      await typeInto(wrapper, 'caf')
+      await wrapper.findAll('.suggestion')[2].trigger('mousedown')
+
+      expect(wrapper.emitted('select-suggestion')).toEqual([[suggestions[1]]])
+    })
   })
 
   describe('POICard Component', () => {
@@ -191,6 +569,92 @@ describe('Search Flow Integration', () => {
 
       expect(wrapper.classes()).toContain('selected')
     })
+
+    it('should emit toggle-favorite without selecting the POI', async () => {
+      const wrapper = mount(POICard, {
+        props: { poi: mockPOI, isSelected: false }
+      })
+
+      await wrapper.find('.favorite-btn').trigger('click')
+
+      expect(wrapper.emitted('toggle-favorite')[0]).toEqual([mockPOI])
+      expect(wrapper.emitted('select')).toBeFalsy()
+    })
+
+    it('should show a filled star for favorites', () => {
+      const wrapper = mount(POICard, {
+        props: { poi: mockPOI, isFavorite: true }
+      })
+
+      const button = wrapper.find('.favorite-btn')
+      expect(button.text()).toBe('★')
+      expect(button.classes()).toContain('active')
+    })
+  })
+
+  describe('POICard opening state', () => {
+    // Monday
+    const now = new Date(2024, 5, 3, 17, 45)
+    const poiWithHours = hours => ({
+      id: 1,
+      name: 'Cafe Central',
+      address: 'Main Street 1',
+      icon: '☕',
+      categoryLabel: 'Cafes',
+      details: { openingHours: hours }
+    })
+
+    it('should show an open badge', () => {
+      const wrapper = mount(POICard, {
+        props: { poi: poiWithHours('Mo-Fr 08:00-20:00'), now }
+      })
+
+      const badge = wrapper.find('.opening-badge')
+      expect(badge.text()).toBe('Open')
+      expect(badge.classes()).toContain('open')
+      expect(badge.attributes('title')).toMatch(/^Closes at/)
+    })
+
+    it('should show closes soon and closed badges', () => {
+      const closing = mount(POICard, {
+        props: { poi: poiWithHours('Mo-Fr 08:00-18:00'), now }
+      })
+      const closed = mount(POICard, {
+        props: { poi: poiWithHours('Sa,Su 10:00-16:00'), now }
+      })
+
+      expect(closing.find('.opening-badge').text()).toBe('Closes soon')
+      expect(closed.find('.opening-badge').text()).toBe('Closed')
+      expect(closed.find('.opening-badge').attributes('title')).toMatch(/^Opens at/)
+    })
+
+    it('should apply the public holidays of the place\'s country', () => {
+      // Whit Monday
+      const holiday = new Date(2024, 4, 20, 12, 0)
+      const hours = 'Mo-Fr 08:00-20:00; PH off'
+      const german = { ...poiWithHours(hours), raw: { address: { country_code: 'de' } } }
+
+      const closed = mount(POICard, { props: { poi: german, now: holiday } })
+      const withoutCountry = mount(POICard, { props: { poi: poiWithHours(hours), now: holiday } })
+
+      expect(closed.find('.opening-badge').text()).toBe('Closed')
+      expect(withoutCountry.find('.opening-badge').text()).toBe('Open')
+    })
+
+    it('should read hours from the raw tags', () => {
+      const poi = { ...poiWithHours(null), details: undefined, raw: { extratags: { opening_hours: '24/7' } } }
+      const wrapper = mount(POICard, { props: { poi, now } })
+
+      expect(wrapper.find('.opening-badge').text()).toBe('Open')
+    })
+
+    it('should not show a badge without usable hours', () => {
+      const withoutHours = mount(POICard, { props: { poi: poiWithHours(null), now } })
+      const unparsable = mount(POICard, { props: { poi: poiWithHours('sunrise-sunset'), now } })
+
+      expect(withoutHours.find('.opening-badge').exists()).toBe(false)
+      expect(unparsable.find('.opening-badge').exists()).toBe(false)
+    })
   })
 
   describe('ResultsList Component', () => {
@@ -322,5 +786,639 @@ describe('Search Flow Integration', () => {
       expect(cards[0].props('isSelected')).toBe(true)
       expect(cards[1].props('isSelected')).toBe(false)
     })
+    it('should emit export with the chosen format and options', async () => {
+      const wrapper = mount(ResultsList, {
+        props: { results: mockResults }
+      })
+
+      await wrapper.find('.export-btn').trigger('click')
+      const options = wrapper.findAll('.export-option')
+      expect(options.map(option => option.text())).toEqual(['GeoJSON', 'CSV', 'KML', 'GPX'])
+
+      await wrapper.find('.export-tags input').setValue(true)
+      await options[1].trigger('click')
+
+      expect(wrapper.emitted('export')[0]).toEqual(['csv', { includeTags: true }])
+      expect(wrapper.find('.export-dropdown').exists()).toBe(false)
+    })
+
+    it('should not offer export without results', () => {
+      const wrapper = mount(ResultsList, {
+        props: { results: [] }
+      })
+
+      expect(wrapper.find('.export-btn').exists()).toBe(false)
+    })
+
+    it('should mark favorites in the results', () => {
+      const wrapper = mount(ResultsList, {
+        props: {
+          results: mockResults,
+          favorites: [{ ...mockResults[1] }]
+        }
+      })
+
+      const cards = wrapper.findAllComponents(POICard)
+      expect(cards[0].props('isFavorite')).toBe(false)
+      expect(cards[1].props('isFavorite')).toBe(true)
+    })
+
+    it('should show favorites in their own tab', async () => {
+      const favorite = { id: 'node/3', name: 'Saved Cafe', address: 'Address C', icon: '☕' }
+      const wrapper = mount(ResultsList, {
+        props: {
+          results: mockResults,
+          favorites: [favorite]
+        }
+      })
+
+      const tabs = wrapper.findAll('.tab-btn')
+      expect(tabs[1].text()).toContain('1')
+
+      await tabs[1].trigger('click')
+
+      const cards = wrapper.findAllComponents(POICard)
+      expect(cards).toHaveLength(1)
+      expect(wrapper.text()).toContain('Saved Cafe')
+      expect(wrapper.find('.clear-results-btn').exists()).toBe(false)
+
+      await cards[0].find('.favorite-btn').trigger('click')
+      expect(wrapper.emitted('toggle-favorite')[0][0].id).toBe('node/3')
+    })
+
+    it('should show an empty favorites tab', async () => {
+      const wrapper = mount(ResultsList, {
+        props: { results: mockResults }
+      })
+
+      await wrapper.findAll('.tab-btn')[1].trigger('click')
+
+      expect(wrapper.text()).toContain('No saved places yet')
+    })
+
+    it('should switch back to results when a search starts', async () => {
+      const wrapper = mount(ResultsList, {
+        props: { results: [], favorites: [] }
+      })
+
+      await wrapper.findAll('.tab-btn')[1].trigger('click')
+      await wrapper.setProps({ isLoading: true })
+
+      expect(wrapper.text()).toContain('Searching for places')
+    })
+  })
+
+  describe('ResultsList filters', () => {
+    const results = [
+      { id: 1, name: 'Cafe A', address: 'Address A', icon: '☕', categoryLabel: 'Cafes' }
+    ]
+
+    it('should tell how many results are hidden', () => {
+      const wrapper = mount(ResultsList, {
+        props: { results, hiddenCount: 2 }
+      })
+
+      expect(wrapper.find('.filter-note').text()).toBe('2 places hidden by filters')
+      expect(wrapper.findAll('.poi-card')).toHaveLength(1)
+    })
+
+    it('should explain when all results are hidden', () => {
+      const wrapper = mount(ResultsList, {
+        props: { results: [], hiddenCount: 3 }
+      })
+
+      expect(wrapper.text()).toContain('None of the 3 places found match the filters')
+      expect(wrapper.find('.clear-results-btn').exists()).toBe(true)
+      expect(wrapper.find('.export-btn').exists()).toBe(false)
+    })
+
+    it('should offer to load more results', async () => {
+      const wrapper = mount(ResultsList, { props: { results, hasMore: true } })
+
+      await wrapper.find('.load-more-btn').trigger('click')
+
+      expect(wrapper.emitted('load-more')).toHaveLength(1)
+    })
+
+    it('should show loading and errors for further pages', () => {
+      const wrapper = mount(ResultsList, {
+        props: { results, hasMore: true, isLoadingMore: true, loadMoreError: 'Loading more results failed.' }
+      })
+
+      const button = wrapper.find('.load-more-btn')
+      expect(button.text()).toBe('Loading...')
+      expect(button.attributes('disabled')).toBeDefined()
+      expect(wrapper.find('.load-more-error').text()).toBe('Loading more results failed.')
+    })
+
+    it('should hide load more without further pages', () => {
+      const wrapper = mount(ResultsList, { props: { results } })
+
+      expect(wrapper.find('.load-more-btn').exists()).toBe(false)
+    })
+
+    it('should pass facet toggles on', async () => {
+      const wrapper = mount(ResultsList, {
+        props: {
+          results,
+          facets: {
+            category: [],
+            city: [],
+            tag: [{ value: 'website', label: 'Has website', count: 1, selected: false }]
+          }
+        }
+      })
+
+      await wrapper.find('.facet-chip').trigger('click')
+
+      expect(wrapper.emitted('toggle-facet')[0]).toEqual(['tag', 'website'])
+    })
+  })
+
+  describe('ResultsList sorting', () => {
+    const results = [
+      { id: 1, name: 'Zebra Cafe', address: 'A', icon: '☕', categoryLabel: 'Cafes', lat: 52.52, lon: 13.42 },
+      { id: 2, name: 'Alpha Hotel', address: 'B', icon: '🏨', categoryLabel: 'Hotels', lat: 52.50, lon: 13.40 },
+      { id: 3, name: 'Beta Cafe', address: 'C', icon: '☕', categoryLabel: 'Cafes', lat: 52.60, lon: 13.40 }
+    ]
+    const origin = { lat: 52.5, lng: 13.4, source: 'user' }
+    const names = wrapper => wrapper.findAll('.poi-name').map(node => node.text())
+
+    it('should keep the search order by default', () => {
+      const wrapper = mount(ResultsList, { props: { results, origin } })
+
+      expect(names(wrapper)).toEqual(['Zebra Cafe', 'Alpha Hotel', 'Beta Cafe'])
+    })
+
+    it('should sort by distance, name and category', async () => {
+      const wrapper = mount(ResultsList, { props: { results, origin } })
+      const select = wrapper.find('.sort-select')
+
+      await select.setValue('distance')
+      expect(names(wrapper)).toEqual(['Alpha Hotel', 'Zebra Cafe', 'Beta Cafe'])
+
+      await select.setValue('name')
+      expect(names(wrapper)).toEqual(['Alpha Hotel', 'Beta Cafe', 'Zebra Cafe'])
+
+      await select.setValue('category')
+      expect(names(wrapper)).toEqual(['Beta Cafe', 'Zebra Cafe', 'Alpha Hotel'])
+    })
+
+    it('should show distance and direction on each card', () => {
+      const wrapper = mount(ResultsList, { props: { results, origin } })
+
+      const distance = wrapper.findAll('.poi-distance')
+      expect(distance[0].text()).toBe('2.6 km NE')
+      expect(distance[1].text()).toBe('0 m N')
+      expect(distance[0].attributes('title')).toBe('Distance from your location')
+    })
+
+    it('should offer distance sorting only with an origin', () => {
+      const wrapper = mount(ResultsList, { props: { results } })
+
+      const options = wrapper.findAll('.sort-select option').map(option => option.element.value)
+      expect(options).toEqual(['relevance', 'name', 'category'])
+      expect(wrapper.find('.poi-distance').exists()).toBe(false)
+    })
+  })
+
+  describe('FacetBar Component', () => {
+    const facets = {
+      category: [
+        { value: 'cafe', label: 'Cafes', count: 3, selected: true },
+        { value: 'bar', label: 'Bars', count: 1, selected: false }
+      ],
+      city: [{ value: 'Berlin', label: 'Berlin', count: 4, selected: false }],
+      tag: [
+        { value: 'website', label: 'Has website', count: 2, selected: false },
+        { value: 'phone', label: 'Has phone', count: 0, selected: false }
+      ]
+    }
+
+    it('should render groups with counts', () => {
+      const wrapper = mount(FacetBar, { props: { facets } })
+
+      const labels = wrapper.findAll('.facet-group-label').map(node => node.text())
+      // A single city cannot narrow the results
+      expect(labels).toEqual(['Category', 'Features'])
+      expect(wrapper.find('.facet-chip').text()).toBe('Cafes 3')
+      expect(wrapper.find('.facet-chip').classes()).toContain('active')
+    })
+
+    it('should emit toggle with group and value', async () => {
+      const wrapper = mount(FacetBar, { props: { facets } })
+
+      await wrapper.findAll('.facet-chip')[1].trigger('click')
+
+      expect(wrapper.emitted('toggle')[0]).toEqual(['category', 'bar'])
+    })
+
+    it('should disable values without matches', () => {
+      const wrapper = mount(FacetBar, { props: { facets } })
+
+      const phone = wrapper.findAll('.facet-chip').find(chip => chip.text().startsWith('Has phone'))
+      expect(phone.attributes('disabled')).toBeDefined()
+    })
+
+    it('should offer to clear an active selection', async () => {
+      const wrapper = mount(FacetBar, { props: { facets } })
+
+      await wrapper.find('.facet-clear').trigger('click')
+
+      expect(wrapper.emitted('clear')).toHaveLength(1)
+    })
+
+    it('should render nothing without useful facets', () => {
+      const wrapper = mount(FacetBar, {
+        props: { facets: { category: [{ value: 'cafe', label: 'Cafes', count: 1, selected: false }], city: [], tag: [] } }
+      })
+
+      expect(wrapper.find('.facet-bar').exists()).toBe(false)
+    })
+  })
+
+  describe('SearchAreaButton Component', () => {
+    it('should only show the button when the area changed', async () => {
+      const wrapper = mount(SearchAreaButton, { props: { showButton: false } })
+
+      expect(wrapper.find('.search-area-btn').exists()).toBe(false)
+
+      await wrapper.setProps({ showButton: true })
+      await wrapper.find('.search-area-btn').trigger('click')
+
+      expect(wrapper.emitted('search-area')).toHaveLength(1)
+    })
+
+    it('should be disabled while searching', () => {
+      const wrapper = mount(SearchAreaButton, { props: { showButton: true, isLoading: true } })
+
+      expect(wrapper.find('.search-area-btn').attributes('disabled')).toBeDefined()
+    })
+
+    it('should emit auto-refresh changes', async () => {
+      const wrapper = mount(SearchAreaButton, { props: { autoRefresh: false } })
+
+      await wrapper.find('.auto-refresh input').setValue(true)
+
+      expect(wrapper.emitted('update:autoRefresh')[0]).toEqual([true])
+    })
+  })
+
+  describe('MapLegend Component', () => {
+    const categories = [
+      { key: 'restaurant', label: 'Restaurants', icon: '🍽️', color: '#F97316' },
+      { key: 'cafe', label: 'Cafes', icon: '☕', color: '#92400E' }
+    ]
+
+    it('should be collapsed initially', () => {
+      const wrapper = mount(MapLegend, { props: { categories } })
+
+      expect(wrapper.find('.legend-list').exists()).toBe(false)
+    })
+
+    it('should list categories with icon and color when opened', async () => {
+      const wrapper = mount(MapLegend, { props: { categories } })
+
+      await wrapper.find('.legend-toggle').trigger('click')
+
+      const items = wrapper.findAll('.legend-item')
+      // Sorted by label, plus the fallback entry
+      expect(items).toHaveLength(3)
+      expect(items[0].text()).toContain('Cafes')
+      expect(items[0].find('.legend-swatch').attributes('style')).toContain('#92400E')
+      expect(items[1].text()).toContain('🍽️')
+      expect(items[2].text()).toContain('Other places')
+    })
+  })
+
+  describe('CollectionsPanel Component', () => {
+    const trip = {
+      id: 'c1',
+      name: 'Berlin client visits',
+      visible: true,
+      pois: [
+        { id: 1, name: 'Office A', icon: '🏦', note: 'Bring contract' },
+        { id: 2, name: 'Office B', icon: '🏦', note: '' }
+      ]
+    }
+
+    it('should show an empty state', () => {
+      const wrapper = mount(CollectionsPanel, { props: { collections: [] } })
+
+      expect(wrapper.text()).toContain('No lists yet')
+    })
+
+    it('should emit create with the trimmed name', async () => {
+      const wrapper = mount(CollectionsPanel)
+
+      await wrapper.find('.new-collection-input').setValue('  Weekend  ')
+      await wrapper.find('.new-collection').trigger('submit')
+
+      expect(wrapper.emitted('create')[0]).toEqual(['Weekend'])
+      expect(wrapper.find('.new-collection-input').element.value).toBe('')
+    })
+
+    it('should list collections with their size', () => {
+      const wrapper = mount(CollectionsPanel, { props: { collections: [trip] } })
+
+      expect(wrapper.find('.collection-name').text()).toContain('Berlin client visits')
+      expect(wrapper.find('.collection-count').text()).toBe('2')
+    })
+
+    it('should toggle visibility', async () => {
+      const wrapper = mount(CollectionsPanel, { props: { collections: [trip] } })
+
+      await wrapper.find('.visibility-toggle').trigger('change')
+
+      expect(wrapper.emitted('toggle-visibility')[0]).toEqual(['c1'])
+    })
+
+    it('should only allow adding a selected place that is not in the list', async () => {
+      const wrapper = mount(CollectionsPanel, { props: { collections: [trip], selectedPOI: null } })
+      const addButton = () => wrapper.find('.add-poi-btn')
+
+      expect(addButton().attributes('disabled')).toBeDefined()
+
+      await wrapper.setProps({ selectedPOI: { id: 1, name: 'Office A' } })
+      expect(addButton().attributes('disabled')).toBeDefined()
+
+      await wrapper.setProps({ selectedPOI: { id: 3, name: 'Office C' } })
+      await addButton().trigger('click')
+      expect(wrapper.emitted('add-poi')[0]).toEqual(['c1'])
+    })
+
+    it('should edit, reorder and remove places', async () => {
+      const wrapper = mount(CollectionsPanel, { props: { collections: [trip] } })
+
+      await wrapper.find('.collection-name').trigger('click')
+
+      const items = wrapper.findAll('.collection-item')
+      expect(items).toHaveLength(2)
+      expect(items[0].find('.item-note').element.value).toBe('Bring contract')
+      expect(items[0].find('.move-up-btn').attributes('disabled')).toBeDefined()
+
+      await items[1].find('.item-note').setValue('Parking in the back')
+      expect(wrapper.emitted('update-note')[0]).toEqual(['c1', 2, 'Parking in the back'])
+
+      await items[1].find('.move-up-btn').trigger('click')
+      expect(wrapper.emitted('move-poi')[0]).toEqual(['c1', 1, 0])
+
+      await items[0].find('.remove-poi-btn').trigger('click')
+      expect(wrapper.emitted('remove-poi')[0]).toEqual(['c1', 1])
+
+      await items[0].find('.item-name').trigger('click')
+      expect(wrapper.emitted('select')[0][0].id).toBe(1)
+    })
+
+    it('should export in each format', async () => {
+      const wrapper = mount(CollectionsPanel, { props: { collections: [trip] } })
+
+      await wrapper.find('.collection-name').trigger('click')
+      const buttons = wrapper.findAll('.export-btn')
+      for (const button of buttons) {
+        await button.trigger('click')
+      }
+
+      expect(wrapper.emitted('export')).toEqual([['c1', 'geojson'], ['c1', 'csv'], ['c1', 'kml'], ['c1', 'gpx']])
+    })
+
+    it('should ask before deleting', async () => {
+      const confirm = vi.fn().mockReturnValueOnce(false).mockReturnValueOnce(true)
+      window.confirm = confirm
+      const wrapper = mount(CollectionsPanel, { props: { collections: [trip] } })
+
+      await wrapper.find('.collection-name').trigger('click')
+      await wrapper.find('.delete-btn').trigger('click')
+      expect(wrapper.emitted('delete')).toBeFalsy()
+
+      await wrapper.find('.delete-btn').trigger('click')
+      expect(wrapper.emitted('delete')[0]).toEqual(['c1'])
+      expect(confirm).toHaveBeenCalledTimes(2)
+      delete window.confirm
+    })
+
+    it('should show import errors', () => {
+      const wrapper = mount(CollectionsPanel, { props: { error: 'No places found in file' } })
+
+      expect(wrapper.find('.collections-error').text()).toBe('No places found in file')
+    })
+
+    it('should be shown in the lists tab of the results panel', async () => {
+      const wrapper = mount(ResultsList, {
+        props: { results: [] },
+        slots: { collections: '<div class="lists-slot">Lists here</div>' }
+      })
+
+      const tabs = wrapper.findAll('.tab-btn')
+      expect(tabs).toHaveLength(3)
+
+      await tabs[2].trigger('click')
+      expect(wrapper.find('.lists-slot').exists()).toBe(true)
+    })
+  })
+
+  describe('POIDetails Component', () => {
+    const poi = {
+      id: 1,
+      name: 'Cafe Central',
+      address: 'Main Street 1, Berlin',
+      lat: 52.5200066,
+      lon: 13.404954,
+      icon: '☕',
+      categoryLabel: 'Cafes',
+      raw: {
+        extratags: {
+          opening_hours: 'Mo-Fr 08:00-18:00',
+          phone: '+49 30 1234567',
+          website: 'cafe.example.com',
+          cuisine: 'coffee_shop',
+          wheelchair: 'yes',
+          internet_access: 'wlan',
+          outdoor_seating: 'yes'
+        }
+      }
+    }
+
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    it('should show details parsed from the tags', () => {
+      const wrapper = mount(POIDetails, { props: { poi } })
+
+      expect(wrapper.text()).toContain('Cafe Central')
+      expect(wrapper.text()).toContain('Cafes · Coffee shop')
+      expect(wrapper.text()).toContain('Mo-Fr 08:00-18:00')
+      expect(wrapper.text()).toContain('Wheelchair accessible')
+      expect(wrapper.text()).toContain('Wi-Fi')
+      expect(wrapper.find('.feature-chip').text()).toBe('Outdoor seating')
+    })
+
+    it('should render clickable links', () => {
+      const wrapper = mount(POIDetails, { props: { poi } })
+
+      const website = wrapper.find('.details-website')
+      expect(website.attributes('href')).toBe('https://cafe.example.com/')
+      expect(website.attributes('target')).toBe('_blank')
+      expect(website.attributes('rel')).toContain('noopener')
+      expect(wrapper.find('a[href="tel:+49301234567"]').exists()).toBe(true)
+    })
+
+    it('should only show the address without tags', () => {
+      const wrapper = mount(POIDetails, { props: { poi: { ...poi, raw: {} } } })
+
+      expect(wrapper.findAll('.details-row')).toHaveLength(1)
+      expect(wrapper.find('.details-features').exists()).toBe(false)
+    })
+
+    it('should copy coordinates to the clipboard', async () => {
+      vi.useFakeTimers()
+      const writeText = vi.fn().mockResolvedValue()
+      Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true })
+
+      const wrapper = mount(POIDetails, { props: { poi } })
+      expect(wrapper.find('.details-coords').text()).toBe('52.520007, 13.404954')
+
+      await wrapper.find('.copy-coords-btn').trigger('click')
+      await nextTick()
+
+      expect(writeText).toHaveBeenCalledWith('52.520007, 13.404954')
+      expect(wrapper.find('.copy-coords-btn').text()).toContain('Copied')
+
+      vi.advanceTimersByTime(2000)
+      await nextTick()
+      expect(wrapper.find('.copy-coords-btn').text()).toContain('Copy coordinates')
+    })
+
+    it('should report clipboard failures', async () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {})
+      const writeText = vi.fn().mockRejectedValue(new Error('denied'))
+      Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true })
+
+      const wrapper = mount(POIDetails, { props: { poi } })
+      await wrapper.find('.copy-coords-btn').trigger('click')
+      await nextTick()
+
+      expect(wrapper.find('.copy-coords-btn').text()).toBe('Copy failed')
+    })
+
+    it('should be shown in the results panel for the selected POI', async () => {
+      const wrapper = mount(ResultsList, {
+        props: { results: [poi], selectedPOI: null }
+      })
+      expect(wrapper.findComponent(POIDetails).exists()).toBe(false)
+
+      await wrapper.setProps({ selectedPOI: poi })
+      const details = wrapper.findComponent(POIDetails)
+      expect(details.exists()).toBe(true)
+
+      await details.find('.details-close').trigger('click')
+      expect(wrapper.emitted('close-details')).toBeTruthy()
+    })
+  })
+
+  describe('CategoryEditor Component', () => {
+    const charging = {
+      key: 'custom_ev_charging',
+      label: 'EV charging',
+      icon: '🔌',
+      phrase: 'charging station',
+      color: '#0d9488',
+      tag: { key: 'amenity', value: 'charging_station' }
+    }
+
+    async function fillForm(wrapper, values) {
+      for (const [selector, value] of Object.entries(values)) {
+        await wrapper.find(selector).setValue(value)
+      }
+    }
+
+    it('should emit add with the entered definition', async () => {
+      const wrapper = mount(CategoryEditor)
+
+      expect(wrapper.find('.save-btn').attributes('disabled')).toBeDefined()
+
+      await fillForm(wrapper, {
+        '.icon-input': '🔌',
+        '.label-input': 'EV charging',
+        '.osm-key-input': 'amenity',
+        '.osm-value-input': 'charging_station'
+      })
+      expect(wrapper.find('.phrase-input').attributes('placeholder')).toContain('"charging station"')
+
+      await wrapper.find('.category-form').trigger('submit')
+
+      expect(wrapper.emitted('add')[0][0]).toMatchObject({
+        icon: '🔌',
+        label: 'EV charging',
+        osmKey: 'amenity',
+        osmValue: 'charging_station',
+        phrase: ''
+      })
+    })
+
+    it('should list categories and edit one', async () => {
+      const wrapper = mount(CategoryEditor, { props: { categories: [charging] } })
+
+      expect(wrapper.find('.custom-tag').text()).toBe('amenity=charging_station')
+
+      await wrapper.find('.edit-btn').trigger('click')
+      expect(wrapper.find('.label-input').element.value).toBe('EV charging')
+
+      await wrapper.find('.label-input').setValue('Chargers')
+      await wrapper.find('.category-form').trigger('submit')
+
+      expect(wrapper.emitted('update')[0]).toEqual([
+        'custom_ev_charging',
+        expect.objectContaining({ label: 'Chargers', osmValue: 'charging_station' })
+      ])
+
+      // The saved list resets the form
+      await wrapper.setProps({ categories: [{ ...charging, label: 'Chargers' }] })
+      expect(wrapper.find('.label-input').element.value).toBe('')
+      expect(wrapper.find('.cancel-btn').exists()).toBe(false)
+    })
+
+    it('should keep the form and show the error when saving fails', async () => {
+      const wrapper = mount(CategoryEditor)
+
+      await fillForm(wrapper, {
+        '.label-input': 'Cafes',
+        '.osm-key-input': 'amenity',
+        '.osm-value-input': 'cafe'
+      })
+      await wrapper.find('.category-form').trigger('submit')
+      await wrapper.setProps({ error: 'A category named "Cafes" already exists' })
+
+      expect(wrapper.find('.editor-error').text()).toContain('already exists')
+      expect(wrapper.find('.label-input').element.value).toBe('Cafes')
+    })
+
+    it('should ask before deleting', async () => {
+      const confirm = vi.fn().mockReturnValueOnce(false).mockReturnValueOnce(true)
+      window.confirm = confirm
+      const wrapper = mount(CategoryEditor, { props: { categories: [charging] } })
+
+      await wrapper.find('.delete-btn').trigger('click')
+      expect(wrapper.emitted('remove')).toBeFalsy()
+
+      await wrapper.find('.delete-btn').trigger('click')
+      expect(wrapper.emitted('remove')).toEqual([['custom_ev_charging']])
+      expect(confirm).toHaveBeenCalledTimes(2)
+      delete window.confirm
+    })
+
+    it('should be offered as a tab of the results panel', async () => {
+      const wrapper = mount(ResultsList, {
+        props: { results: [] },
+        slots: { categories: '<div class="editor-slot">Editor</div>' }
+      })
+
+      const tab = wrapper.findAll('.tab-btn').find(item => item.attributes('title') === 'Custom categories')
+      await tab.trigger('click')
+
+      expect(wrapper.find('.editor-slot').exists()).toBe(true)
+      expect(wrapper.find('.results-title').text()).toBe('Custom Categories')
+    })
   })
 })
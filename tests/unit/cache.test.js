@@ -0,0 +1,199 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { IDBFactory } from 'fake-indexeddb'
+
+let createCache, normalizeCacheKey, rateLimitedFetch, configureCache, clearCache
+
+describe('Response Cache', () => {
+  beforeEach(async () => {
+    vi.resetModules()
+    global.fetch = vi.fn()
+    // Fresh database for every test
+    globalThis.indexedDB = new IDBFactory()
+
+    const cacheModule = await import('../../src/services/cache.js')
+    createCache = cacheModule.createCache
+    normalizeCacheKey = cacheModule.normalizeCacheKey
+
+    const httpModule = await import('../../src/services/http.js')
+    rateLimitedFetch = httpModule.rateLimitedFetch
+    configureCache = httpModule.configureCache
+    clearCache = httpModule.clearCache
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    delete globalThis.indexedDB
+  })
+
+  describe('normalizeCacheKey', () => {
+    it('should ignore parameter order', () => {
+      expect(normalizeCacheKey('https://example.com/search?q=cafe&format=json'))
+        .toBe(normalizeCacheKey('https://example.com/search?format=json&q=cafe'))
+    })
+
+    it('should round coordinates in the viewbox', () => {
+      const a = normalizeCacheKey('https://example.com/search?q=%5Bcafe%5D&viewbox=13.300000001%2C52.4%2C13.5%2C52.6')
+      const b = normalizeCacheKey('https://example.com/search?q=%5Bcafe%5D&viewbox=13.3%2C52.4%2C13.5%2C52.6')
+
+      expect(a).toBe(b)
+    })
+
+    it('should round coordinate parameters by name', () => {
+      expect(normalizeCacheKey('https://example.com/reverse?lat=52.520000001&lon=13.4&limit=5'))
+        .toBe('https://example.com/reverse?lat=52.52&limit=5&lon=13.4')
+      expect(normalizeCacheKey('https://example.com/v1/search?boundary.rect.min_lat=52.400000001'))
+        .toBe(normalizeCacheKey('https://example.com/v1/search?boundary.rect.min_lat=52.4'))
+    })
+
+    it('should keep numeric queries as they are', () => {
+      expect(normalizeCacheKey('https://example.com/search?q=01067'))
+        .not.toBe(normalizeCacheKey('https://example.com/search?q=1067'))
+      expect(normalizeCacheKey('https://example.com/search?q=12345678901234567890'))
+        .toBe('https://example.com/search?q=12345678901234567890')
+    })
+
+    it('should keep different queries apart', () => {
+      expect(normalizeCacheKey('https://example.com/search?q=cafe'))
+        .not.toBe(normalizeCacheKey('https://example.com/search?q=bar'))
+    })
+  })
+
+  describe('createCache', () => {
+    it('should return stored values', async () => {
+      const cache = createCache({ persist: false })
+
+      await cache.set('a', [1, 2, 3])
+
+      expect(await cache.get('a')).toEqual([1, 2, 3])
+      expect(await cache.get('b')).toBeUndefined()
+    })
+
+    it('should expire entries after the TTL', async () => {
+      const now = vi.spyOn(Date, 'now').mockReturnValue(1000)
+      const cache = createCache({ ttl: 500 })
+
+      await cache.set('a', 'value')
+      now.mockReturnValue(1400)
+      expect(await cache.get('a')).toBe('value')
+
+      now.mockReturnValue(1600)
+      expect(await cache.get('a')).toBeUndefined()
+    })
+
+    it('should evict least recently used entries from memory', async () => {
+      const cache = createCache({ maxEntries: 2, persist: false })
+
+      await cache.set('a', 1)
+      await cache.set('b', 2)
+      await cache.get('a')
+      await cache.set('c', 3)
+
+      expect(cache.size).toBe(2)
+      expect(await cache.get('a')).toBe(1)
+      expect(await cache.get('b')).toBeUndefined()
+    })
+
+    it('should persist entries in IndexedDB', async () => {
+      const first = createCache()
+      await first.set('a', { name: 'Cafe' })
+
+      // A new cache instance starts with an empty memory layer
+      const second = createCache()
+      expect(second.size).toBe(0)
+      expect(await second.get('a')).toEqual({ name: 'Cafe' })
+    })
+
+    it('should limit the number of persisted entries', async () => {
+      const now = vi.spyOn(Date, 'now')
+      const cache = createCache({ maxEntries: 1, maxPersistentEntries: 2 })
+
+      for (const [index, key] of ['a', 'b', 'c'].entries()) {
+        now.mockReturnValue(1000 + index)
+        await cache.set(key, key)
+      }
+
+      const fresh = createCache()
+      expect(await fresh.get('a')).toBeUndefined()
+      expect(await fresh.get('b')).toBe('b')
+      expect(await fresh.get('c')).toBe('c')
+    })
+
+    it('should clear both layers', async () => {
+      const cache = createCache()
+      await cache.set('a', 1)
+
+      await cache.clear()
+
+      expect(await cache.get('a')).toBeUndefined()
+      expect(await createCache().get('a')).toBeUndefined()
+    })
+
+    it('should keep working when IndexedDB fails', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+      globalThis.indexedDB = { open: () => { throw new Error('Blocked') } }
+      const cache = createCache()
+
+      await cache.set('a', 1)
+      await cache.set('b', 2)
+      await expect(cache.delete('a')).resolves.toBeUndefined()
+      await expect(cache.clear()).resolves.toBeUndefined()
+
+      expect(cache.size).toBe(0)
+      expect(warn).toHaveBeenCalledWith('Cache delete failed:', expect.any(Error))
+      expect(warn).toHaveBeenCalledWith('Cache clear failed:', expect.any(Error))
+    })
+  })
+
+  describe('rateLimitedFetch', () => {
+    function mockJson(data) {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve(data)
+      })
+    }
+
+    it('should answer repeated requests from the cache', async () => {
+      mockJson([{ place_id: 1 }])
+
+      const first = await rateLimitedFetch('https://example.com/search?q=%5Bcafe%5D&viewbox=1%2C2%2C3%2C4')
+      const started = Date.now()
+      const second = await rateLimitedFetch('https://example.com/search?viewbox=1%2C2%2C3%2C4&q=%5Bcafe%5D')
+
+      expect(global.fetch).toHaveBeenCalledTimes(1)
+      expect(second).toEqual(first)
+      // No rate limit wait for cached responses
+      expect(Date.now() - started).toBeLessThan(500)
+    })
+
+    it('should bypass the cache when disabled', async () => {
+      mockJson([])
+      mockJson([])
+
+      await rateLimitedFetch('https://example.com/search?q=a', { cache: false })
+      await rateLimitedFetch('https://example.com/search?q=a', { cache: false })
+
+      expect(global.fetch).toHaveBeenCalledTimes(2)
+    })
+
+    it('should not cache failed requests', async () => {
+      global.fetch.mockResolvedValueOnce({ ok: false, status: 500 })
+      mockJson([{ place_id: 1 }])
+      configureCache({ persist: false })
+
+      await expect(rateLimitedFetch('https://example.com/search?q=a')).rejects.toThrow('Nominatim API error: 500')
+      await expect(rateLimitedFetch('https://example.com/search?q=a')).resolves.toEqual([{ place_id: 1 }])
+    })
+
+    it('should refetch after clearCache', async () => {
+      mockJson([])
+      mockJson([])
+      configureCache({ persist: false })
+
+      await rateLimitedFetch('https://example.com/search?q=a')
+      await clearCache()
+      await rateLimitedFetch('https://example.com/search?q=a')
+
+      expect(global.fetch).toHaveBeenCalledTimes(2)
+    })
+  })
+})
@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import {
+  decayedScore,
+  recordUse,
+  rankCategories,
+  loadCategoryUsage,
+  saveCategoryUsage,
+  USAGE_HALF_LIFE,
+  MAX_RECENT
+} from '../../src/services/categoryUsage.js'
+
+describe('Category usage', () => {
+  const now = new Date(2024, 5, 1).getTime()
+
+  const categories = ['park', 'bank', 'cafe', 'atm', 'hotel', 'museum', 'parking'].map(key => ({
+    key,
+    label: key.charAt(0).toUpperCase() + key.slice(1)
+  }))
+
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  describe('decayedScore', () => {
+    it('should halve the score every half-life', () => {
+      const entry = { score: 4, usedAt: now }
+
+      expect(decayedScore(entry, now)).toBe(4)
+      expect(decayedScore(entry, now + USAGE_HALF_LIFE)).toBeCloseTo(2)
+      expect(decayedScore(entry, now + 2 * USAGE_HALF_LIFE)).toBeCloseTo(1)
+      expect(decayedScore(undefined, now)).toBe(0)
+    })
+  })
+
+  describe('recordUse', () => {
+    it('should add a use on top of the decayed score', () => {
+      const usage = recordUse({ cafe: { score: 2, usedAt: now - USAGE_HALF_LIFE } }, ['cafe', 'bank'], now)
+
+      expect(usage.cafe.score).toBeCloseTo(2)
+      expect(usage.bank).toEqual({ score: 1, usedAt: now })
+    })
+
+    it('should drop entries that decayed away', () => {
+      const usage = recordUse({ atm: { score: 1, usedAt: now - 10 * USAGE_HALF_LIFE } }, ['cafe'], now)
+
+      expect(Object.keys(usage)).toEqual(['cafe'])
+    })
+  })
+
+  describe('rankCategories', () => {
+    it('should list used categories by score, then the rest alphabetically', () => {
+      const usage = {
+        hotel: { score: 1, usedAt: now },
+        museum: { score: 3, usedAt: now }
+      }
+
+      const ranked = rankCategories(categories, usage, now)
+
+      expect(ranked.map(cat => cat.key)).toEqual(['museum', 'hotel', 'atm', 'bank', 'cafe', 'park', 'parking'])
+      expect(ranked.map(cat => !!cat.recent)).toEqual([true, true, false, false, false, false, false])
+    })
+
+    it('should list at most MAX_RECENT categories as recent', () => {
+      const usage = Object.fromEntries(categories.map(cat => [cat.key, { score: 1, usedAt: now }]))
+
+      expect(rankCategories(categories, usage, now).filter(cat => cat.recent)).toHaveLength(MAX_RECENT)
+    })
+
+    it('should ignore usage of unknown categories', () => {
+      const ranked = rankCategories(categories, { custom_gone: { score: 5, usedAt: now } }, now)
+
+      expect(ranked[0].key).toBe('atm')
+    })
+
+    it('should not change the given categories', () => {
+      rankCategories(categories, { cafe: { score: 1, usedAt: now } }, now)
+
+      expect(categories[0]).toEqual({ key: 'park', label: 'Park' })
+    })
+  })
+
+  describe('persistence', () => {
+    it('should save and load usage', () => {
+      saveCategoryUsage({ cafe: { score: 1, usedAt: now } })
+
+      expect(loadCategoryUsage()).toEqual({ cafe: { score: 1, usedAt: now } })
+    })
+
+    it('should remove the stored value when empty', () => {
+      saveCategoryUsage({ cafe: { score: 1, usedAt: now } })
+      saveCategoryUsage({})
+
+      expect(localStorage.getItem('poi-search:category-usage')).toBeNull()
+      expect(loadCategoryUsage()).toEqual({})
+    })
+
+    it('should skip malformed entries', () => {
+      localStorage.setItem('poi-search:category-usage', JSON.stringify({
+        cafe: { score: 1, usedAt: now },
+        bank: { score: 'a lot' },
+        atm: null
+      }))
+
+      expect(loadCategoryUsage()).toEqual({ cafe: { score: 1, usedAt: now } })
+    })
+  })
+})
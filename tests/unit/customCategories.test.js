@@ -0,0 +1,238 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { mount } from '@vue/test-utils'
+import { defineComponent, h } from 'vue'
+import {
+  createCustomCategory,
+  defaultPhrase,
+  loadCustomCategories,
+  saveCustomCategories,
+  DEFAULT_CUSTOM_COLOR
+} from '../../src/services/customCategories.js'
+import {
+  CATEGORIES,
+  getInitialCategories,
+  getCategoryTag,
+  setCustomCategories
+} from '../../src/services/categories.js'
+import { normalizePOI } from '../../src/services/normalize.js'
+import { buildOverpassQuery } from '../../src/services/overpass.js'
+import { createNominatimProvider } from '../../src/services/providers/nominatim.js'
+import { useCustomCategories } from '../../src/composables/useCustomCategories.js'
+
+const STORAGE_KEY = 'poi-search:custom-categories'
+
+const evCharging = {
+  label: 'EV charging',
+  icon: '🔌',
+  osmKey: 'amenity',
+  osmValue: 'charging_station'
+}
+
+describe('Custom categories', () => {
+  beforeEach(() => {
+    localStorage.clear()
+    setCustomCategories([])
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  describe('createCustomCategory', () => {
+    it('should build a category with key, phrase and tag', () => {
+      expect(createCustomCategory(evCharging)).toEqual({
+        key: 'custom_ev_charging',
+        label: 'EV charging',
+        icon: '🔌',
+        phrase: 'charging station',
+        color: DEFAULT_CUSTOM_COLOR,
+        tag: { key: 'amenity', value: 'charging_station' }
+      })
+    })
+
+    it('should accept namespaced keys and an explicit phrase', () => {
+      const category = createCustomCategory({
+        label: 'Bike repair',
+        osmKey: 'service:bicycle:repair',
+        osmValue: 'yes',
+        phrase: 'Bicycle Repair Station',
+        color: '#ff0000'
+      })
+
+      expect(category).toMatchObject({
+        key: 'custom_bike_repair',
+        icon: '📍',
+        phrase: 'bicycle repair station',
+        color: '#ff0000',
+        tag: { key: 'service:bicycle:repair', value: 'yes' }
+      })
+    })
+
+    it('should default the phrase to the label for values like "yes"', () => {
+      const category = createCustomCategory({
+        label: 'Bike Repair',
+        osmKey: 'service:bicycle:repair',
+        osmValue: 'yes'
+      })
+
+      expect(category.phrase).toBe('bike repair')
+      expect(defaultPhrase('charging_station', 'EV charging')).toBe('charging station')
+      expect(defaultPhrase('designated', 'Bike paths')).toBe('bike paths')
+    })
+
+    it('should reject incomplete or malformed definitions', () => {
+      expect(() => createCustomCategory({ ...evCharging, label: ' ' })).toThrow('Please enter a name')
+      expect(() => createCustomCategory({ ...evCharging, osmKey: 'amenity key' })).toThrow('OSM key')
+      expect(() => createCustomCategory({ ...evCharging, osmValue: 'a;b' })).toThrow('single OSM value')
+    })
+
+    it('should reject tags and names already in use', () => {
+      expect(() => createCustomCategory({ ...evCharging, osmValue: 'cafe' }))
+        .toThrow('amenity=cafe is already searched by "Cafes"')
+      expect(() => createCustomCategory({ ...evCharging, label: 'cafes' }))
+        .toThrow('A category named "Cafes" already exists')
+
+      const existing = [createCustomCategory(evCharging)]
+      expect(() => createCustomCategory({ ...evCharging, label: 'Chargers' }, existing))
+        .toThrow('already searched by "EV charging"')
+    })
+
+    it('should keep the key when editing and make new keys unique', () => {
+      const existing = [createCustomCategory(evCharging)]
+
+      expect(createCustomCategory({ ...evCharging, key: 'custom_ev_charging', icon: '⚡' }, existing))
+        .toMatchObject({ key: 'custom_ev_charging', icon: '⚡' })
+      expect(createCustomCategory({ ...evCharging, label: 'EV-Charging!', osmValue: 'fuel_cell' }, existing).key)
+        .toBe('custom_ev_charging_2')
+    })
+  })
+
+  describe('merging into CATEGORIES', () => {
+    it('should add custom categories to the category list', () => {
+      saveCustomCategories([createCustomCategory(evCharging)])
+
+      expect(CATEGORIES.custom_ev_charging).toMatchObject({ label: 'EV charging', custom: true })
+      expect(getInitialCategories().map(cat => cat.key)).toContain('custom_ev_charging')
+      expect(getCategoryTag(CATEGORIES.custom_ev_charging))
+        .toEqual({ key: 'amenity', value: 'charging_station' })
+    })
+
+    it('should remove categories that were deleted', () => {
+      saveCustomCategories([createCustomCategory(evCharging)])
+      saveCustomCategories([])
+
+      expect(CATEGORIES.custom_ev_charging).toBeUndefined()
+      expect(CATEGORIES.cafe).toBeDefined()
+    })
+
+    it('should detect custom categories when normalizing places', () => {
+      saveCustomCategories([createCustomCategory(evCharging)])
+
+      const poi = normalizePOI({
+        place_id: 1,
+        display_name: 'Charger, Berlin',
+        lat: '52.5',
+        lon: '13.4',
+        class: 'amenity',
+        type: 'charging_station'
+      })
+
+      expect(poi).toMatchObject({ category: 'custom_ev_charging', icon: '🔌', color: DEFAULT_CUSTOM_COLOR })
+    })
+
+    it('should only detect a custom tag under its own key', () => {
+      saveCustomCategories([createCustomCategory({ label: 'Bike repair', osmKey: 'service:bicycle:repair', osmValue: 'yes' })])
+
+      const poi = normalizePOI({ place_id: 1, display_name: 'House', lat: '0', lon: '0', class: 'building', type: 'yes' })
+
+      expect(poi.category).toBeUndefined()
+    })
+
+    it('should use the custom tag in search URLs and Overpass queries', async () => {
+      saveCustomCategories([createCustomCategory(evCharging)])
+      global.fetch = vi.fn().mockResolvedValue({ ok: true, json: () => Promise.resolve([]) })
+
+      await createNominatimProvider().search('tesla', { category: 'custom_ev_charging' })
+
+      expect(global.fetch.mock.calls[0][0]).toContain('amenity=charging_station')
+      expect(buildOverpassQuery('custom_ev_charging', { south: 1, west: 2, north: 3, east: 4 }))
+        .toContain('node["amenity"="charging_station"](1,2,3,4);')
+    })
+  })
+
+  describe('persistence', () => {
+    it('should save to and load from localStorage', () => {
+      saveCustomCategories([createCustomCategory(evCharging)])
+      setCustomCategories([])
+
+      const loaded = loadCustomCategories()
+
+      expect(loaded.map(cat => cat.key)).toEqual(['custom_ev_charging'])
+      expect(CATEGORIES.custom_ev_charging).toBeDefined()
+    })
+
+    it('should skip invalid stored entries', () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {})
+      localStorage.setItem(STORAGE_KEY, JSON.stringify([
+        { key: 'cafe', label: 'Not custom', tag: { key: 'amenity', value: 'x' } },
+        { key: 'custom_broken', label: 'Broken', tag: { key: 'amenity' } },
+        { ...createCustomCategory(evCharging) }
+      ]))
+
+      expect(loadCustomCategories().map(cat => cat.key)).toEqual(['custom_ev_charging'])
+    })
+
+    it('should survive unreadable storage', () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {})
+      localStorage.setItem(STORAGE_KEY, '{not json')
+
+      expect(loadCustomCategories()).toEqual([])
+    })
+  })
+
+  describe('useCustomCategories', () => {
+    function mountComposable() {
+      let api
+      mount(defineComponent({
+        setup() {
+          api = useCustomCategories()
+          return () => h('div')
+        }
+      }))
+      return api
+    }
+
+    it('should add, update and remove categories', () => {
+      const api = mountComposable()
+
+      api.addCategory(evCharging)
+      expect(api.customCategories.value).toHaveLength(1)
+      expect(JSON.parse(localStorage.getItem(STORAGE_KEY))).toHaveLength(1)
+
+      api.updateCategory('custom_ev_charging', { ...evCharging, label: 'Chargers' })
+      expect(CATEGORIES.custom_ev_charging.label).toBe('Chargers')
+
+      api.removeCategory('custom_ev_charging')
+      expect(api.customCategories.value).toEqual([])
+      expect(localStorage.getItem(STORAGE_KEY)).toBeNull()
+    })
+
+    it('should report invalid input without saving', () => {
+      const api = mountComposable()
+
+      expect(api.addCategory({ ...evCharging, osmKey: '' })).toBeNull()
+      expect(api.error.value).toContain('OSM key')
+      expect(api.customCategories.value).toEqual([])
+    })
+
+    it('should load saved categories on creation', () => {
+      saveCustomCategories([createCustomCategory(evCharging)])
+      setCustomCategories([])
+
+      const api = mountComposable()
+
+      expect(api.customCategories.value.map(cat => cat.label)).toEqual(['EV charging'])
+      expect(CATEGORIES.custom_ev_charging).toBeDefined()
+    })
+  })
+})
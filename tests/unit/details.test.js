@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest'
+import { parseDetails, parseWebsite, parsePhones, hasDetails } from '../../src/services/details.js'
+import { normalizePOI } from '../../src/services/normalize.js'
+
+describe('POI details', () => {
+  describe('parseWebsite', () => {
+    it('should add https to values without scheme', () => {
+      expect(parseWebsite('www.example.com/menu/')).toEqual({
+        label: 'example.com/menu',
+        href: 'https://www.example.com/menu/'
+      })
+    })
+
+    it('should keep http links', () => {
+      expect(parseWebsite('http://example.com')).toEqual({
+        label: 'example.com',
+        href: 'http://example.com/'
+      })
+    })
+
+    it('should reject other schemes and invalid values', () => {
+      expect(parseWebsite('javascript:alert(1)')).toBe(null)
+      expect(parseWebsite('ftp://example.com')).toBe(null)
+      expect(parseWebsite('not a url')).toBe(null)
+      expect(parseWebsite('')).toBe(null)
+    })
+  })
+
+  describe('parsePhones', () => {
+    it('should split multiple numbers into tel links', () => {
+      expect(parsePhones('+49 30 1234567; (030) 765-4321')).toEqual([
+        { label: '+49 30 1234567', href: 'tel:+49301234567' },
+        { label: '(030) 765-4321', href: 'tel:0307654321' }
+      ])
+    })
+
+    it('should skip values without digits', () => {
+      expect(parsePhones('n/a')).toEqual([])
+    })
+  })
+
+  describe('parseDetails', () => {
+    it('should parse contact, hours and amenities', () => {
+      const details = parseDetails({
+        opening_hours: 'Mo-Fr 08:00-18:00',
+        'contact:phone': '+49 30 1234567',
+        'contact:website': 'https://cafe.example.com',
+        email: 'hello@cafe.example.com',
+        cuisine: 'coffee_shop;ice_cream',
+        wheelchair: 'limited',
+        internet_access: 'wlan',
+        'internet_access:fee': 'no',
+        outdoor_seating: 'yes',
+        takeaway: 'no',
+        'diet:vegan': 'only',
+        operator: 'Cafe GmbH',
+        brand: 'Cafe Co'
+      })
+
+      expect(details).toEqual({
+        openingHours: 'Mo-Fr 08:00-18:00',
+        phones: [{ label: '+49 30 1234567', href: 'tel:+49301234567' }],
+        website: { label: 'cafe.example.com', href: 'https://cafe.example.com/' },
+        email: { label: 'hello@cafe.example.com', href: 'mailto:hello@cafe.example.com' },
+        cuisine: ['Coffee shop', 'Ice cream'],
+        wheelchair: { value: 'limited', label: 'Limited wheelchair access' },
+        internetAccess: { value: 'wlan', label: 'Free Wi-Fi', fee: 'no' },
+        features: ['Outdoor seating', 'Vegan options'],
+        operator: 'Cafe GmbH',
+        brand: 'Cafe Co'
+      })
+    })
+
+    it('should prefer plain tags over contact:* tags', () => {
+      const details = parseDetails({ phone: '+1 555 0100', 'contact:phone': '+1 555 0199' })
+
+      expect(details.phones.map(phone => phone.label)).toEqual(['+1 555 0100'])
+    })
+
+    it('should label unknown values', () => {
+      const details = parseDetails({ wheelchair: 'bad', internet_access: 'public_hotspot' })
+
+      expect(details.wheelchair.label).toBe('Wheelchair: bad')
+      expect(details.internetAccess.label).toBe('Public hotspot')
+    })
+
+    it('should return empty details without tags', () => {
+      const details = parseDetails(undefined)
+
+      expect(details.phones).toEqual([])
+      expect(details.website).toBe(null)
+      expect(hasDetails(details)).toBe(false)
+      expect(hasDetails(parseDetails({ wheelchair: 'yes' }))).toBe(true)
+    })
+  })
+
+  describe('normalizePOI', () => {
+    it('should add parsed details', () => {
+      const poi = normalizePOI({
+        place_id: 1,
+        name: 'Cafe',
+        display_name: 'Cafe, Berlin',
+        lat: '52.5',
+        lon: '13.4',
+        type: 'cafe',
+        extratags: { website: 'example.com', wheelchair: 'yes' }
+      })
+
+      expect(poi.details.website.href).toBe('https://example.com/')
+      expect(poi.details.wheelchair.label).toBe('Wheelchair accessible')
+      expect(poi.raw.extratags.website).toBe('example.com')
+    })
+  })
+})
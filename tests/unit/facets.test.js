@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest'
+import {
+  buildFacets,
+  filterByFacets,
+  createFacetSelection,
+  getCity
+} from '../../src/services/facets.js'
+import { parseDetails } from '../../src/services/details.js'
+
+const poi = (id, category, city, tags = {}) => ({
+  id,
+  name: `Place ${id}`,
+  category,
+  categoryLabel: category === 'cafe' ? 'Cafes' : 'Restaurants',
+  details: parseDetails(tags),
+  raw: { address: city ? { city } : {}, extratags: tags }
+})
+
+const pois = [
+  poi(1, 'cafe', 'Berlin', { website: 'a.example.com', wheelchair: 'yes' }),
+  poi(2, 'cafe', 'Potsdam', { website: 'b.example.com' }),
+  poi(3, 'restaurant', 'Berlin', { wheelchair: 'no', phone: '+49 30 1' }),
+  poi(4, 'restaurant', null, { internet_access: 'wlan', wheelchair: 'designated' })
+]
+
+const select = (changes) => ({ ...createFacetSelection(), ...changes })
+const ids = list => list.map(item => item.id)
+const counts = entries => Object.fromEntries(entries.map(entry => [entry.value, entry.count]))
+
+describe('facets', () => {
+  describe('getCity', () => {
+    it('should read city, town or village', () => {
+      expect(getCity({ raw: { address: { town: 'Wismar' } } })).toBe('Wismar')
+      expect(getCity({ raw: { address: { village: 'Kloster' } } })).toBe('Kloster')
+      expect(getCity({ raw: {} })).toBeNull()
+    })
+  })
+
+  describe('filterByFacets', () => {
+    it('should keep everything without a selection', () => {
+      expect(ids(filterByFacets(pois, createFacetSelection()))).toEqual([1, 2, 3, 4])
+    })
+
+    it('should match any selected category or city', () => {
+      expect(ids(filterByFacets(pois, select({ city: ['Berlin', 'Potsdam'] })))).toEqual([1, 2, 3])
+    })
+
+    it('should require all selected features', () => {
+      expect(ids(filterByFacets(pois, select({ tag: ['wheelchair'] })))).toEqual([1, 4])
+      expect(ids(filterByFacets(pois, select({ tag: ['wheelchair', 'website'] })))).toEqual([1])
+    })
+
+    it('should combine groups', () => {
+      expect(ids(filterByFacets(pois, select({ category: ['restaurant'], city: ['Berlin'] })))).toEqual([3])
+    })
+
+    it('should read details from raw tags when missing', () => {
+      const saved = { ...pois[0], details: undefined }
+
+      expect(ids(filterByFacets([saved], select({ tag: ['website'] })))).toEqual([1])
+    })
+  })
+
+  describe('buildFacets', () => {
+    it('should count values, most common first', () => {
+      const facets = buildFacets(pois, createFacetSelection())
+
+      expect(facets.category.map(entry => entry.label)).toEqual(['Cafes', 'Restaurants'])
+      expect(counts(facets.city)).toEqual({ Berlin: 2, Potsdam: 1 })
+      expect(facets.city[0].value).toBe('Berlin')
+    })
+
+    it('should list features in a fixed order', () => {
+      const facets = buildFacets(pois, createFacetSelection())
+
+      expect(facets.tag.map(entry => entry.value))
+        .toEqual(['website', 'phone', 'wheelchair', 'internet_access'])
+      expect(counts(facets.tag)).toEqual({ website: 2, phone: 1, wheelchair: 2, internet_access: 1 })
+    })
+
+    it('should count a group against the other groups only', () => {
+      const facets = buildFacets(pois, select({ category: ['cafe'] }))
+
+      expect(counts(facets.category)).toEqual({ cafe: 2, restaurant: 2 })
+      expect(counts(facets.city)).toEqual({ Berlin: 1, Potsdam: 1 })
+      expect(facets.category.find(entry => entry.value === 'cafe').selected).toBe(true)
+    })
+
+    it('should count features against the current feature selection', () => {
+      const facets = buildFacets(pois, select({ tag: ['website'] }))
+
+      expect(counts(facets.tag)).toEqual({ website: 2, phone: 0, wheelchair: 1, internet_access: 0 })
+    })
+  })
+})
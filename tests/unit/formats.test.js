@@ -0,0 +1,289 @@
+import { describe, it, expect } from 'vitest'
+import {
+  poiToFeature,
+  toGeoJSON,
+  fromGeoJSON,
+  toGPX,
+  fromGPX,
+  toCSV,
+  toKML,
+  exportPOIs,
+  detectFormat
+} from '../../src/utils/formats.js'
+
+const cafe = {
+  id: 1,
+  name: 'Cafe "Central"',
+  address: 'Unter den Linden 1, Berlin',
+  lat: 52.517,
+  lon: 13.389,
+  type: 'cafe',
+  category: 'cafe',
+  categoryLabel: 'Cafes',
+  icon: '☕',
+  note: 'Meet Anna <10:00>'
+}
+
+const museum = {
+  id: 'node/2',
+  name: 'Pergamon Museum',
+  address: 'Bodestraße 1, Berlin',
+  lat: 52.521,
+  lon: 13.396,
+  type: 'museum',
+  category: 'museum',
+  categoryLabel: 'Museums',
+  icon: '🏛️',
+  raw: { extratags: { opening_hours: 'Tu-Su 10:00-18:00', wheelchair: 'yes' } }
+}
+
+describe('List formats', () => {
+  describe('GeoJSON', () => {
+    it('should convert a POI to a Point feature with lon/lat order', () => {
+      const feature = poiToFeature(cafe)
+
+      expect(feature.type).toBe('Feature')
+      expect(feature.geometry).toEqual({ type: 'Point', coordinates: [13.389, 52.517] })
+      expect(feature.properties).toMatchObject({
+        id: 1,
+        name: 'Cafe "Central"',
+        category: 'cafe',
+        note: 'Meet Anna <10:00>'
+      })
+    })
+
+    it('should leave out empty notes', () => {
+      expect(poiToFeature(museum).properties).not.toHaveProperty('note')
+    })
+
+    it('should export a named FeatureCollection', () => {
+      const data = JSON.parse(toGeoJSON([cafe, museum], { name: 'Berlin' }))
+
+      expect(data.type).toBe('FeatureCollection')
+      expect(data.name).toBe('Berlin')
+      expect(data.features).toHaveLength(2)
+    })
+
+    it('should round-trip POIs', () => {
+      const { name, pois } = fromGeoJSON(toGeoJSON([cafe, museum], { name: 'Berlin' }))
+
+      expect(name).toBe('Berlin')
+      expect(pois).toHaveLength(2)
+      expect(pois[0]).toMatchObject({
+        id: 1,
+        name: 'Cafe "Central"',
+        address: 'Unter den Linden 1, Berlin',
+        lat: 52.517,
+        lon: 13.389,
+        category: 'cafe',
+        icon: '☕',
+        note: 'Meet Anna <10:00>'
+      })
+      expect(pois[1]).toMatchObject({ id: 'node/2', category: 'museum', note: '' })
+    })
+
+    it('should import single features and skip non-point geometries', () => {
+      const { pois } = fromGeoJSON({
+        type: 'FeatureCollection',
+        features: [
+          { type: 'Feature', geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1]] }, properties: {} },
+          { type: 'Feature', geometry: { type: 'Point', coordinates: [13.4, 52.5] }, properties: { name: 'Spot' } }
+        ]
+      })
+
+      expect(pois).toHaveLength(1)
+      expect(pois[0].name).toBe('Spot')
+      expect(pois[0].id).toBe('import/0/52.5,13.4')
+
+      const single = fromGeoJSON({ type: 'Feature', geometry: { type: 'Point', coordinates: [1, 2] }, properties: {} })
+      expect(single.pois[0]).toMatchObject({ lat: 2, lon: 1 })
+    })
+
+    it('should detect the category from the type of foreign files', () => {
+      const { pois } = fromGeoJSON({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [13.4, 52.5] },
+        properties: { name: 'Corner Pharmacy', type: 'pharmacy' }
+      })
+
+      expect(pois[0].category).toBe('pharmacy')
+    })
+
+    it('should reject invalid input', () => {
+      expect(() => fromGeoJSON('not json')).toThrow('Invalid GeoJSON')
+      expect(() => fromGeoJSON({ type: 'Point', coordinates: [0, 0] })).toThrow('Invalid GeoJSON')
+    })
+
+    it('should skip features with out of range coordinates', () => {
+      const { pois } = fromGeoJSON({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [200, 95] },
+        properties: {}
+      })
+
+      expect(pois).toEqual([])
+    })
+  })
+
+  describe('GPX', () => {
+    it('should export waypoints with escaped text', () => {
+      const gpx = toGPX([cafe], { name: 'Berlin & more' })
+
+      expect(gpx).toContain('<gpx version="1.1"')
+      expect(gpx).toContain('<metadata><name>Berlin &amp; more</name></metadata>')
+      expect(gpx).toContain('<wpt lat="52.517" lon="13.389">')
+      expect(gpx).toContain('<name>Cafe &quot;Central&quot;</name>')
+      expect(gpx).toContain('<cmt>Meet Anna &lt;10:00&gt;</cmt>')
+      expect(gpx).toContain('<type>cafe</type>')
+    })
+
+    it('should round-trip POIs', () => {
+      const { name, pois } = fromGPX(toGPX([cafe, museum], { name: 'Berlin & more' }))
+
+      expect(name).toBe('Berlin & more')
+      expect(pois).toHaveLength(2)
+      expect(pois[0]).toMatchObject({
+        name: 'Cafe "Central"',
+        address: 'Unter den Linden 1, Berlin',
+        lat: 52.517,
+        lon: 13.389,
+        category: 'cafe',
+        note: 'Meet Anna <10:00>'
+      })
+      expect(pois[1]).toMatchObject({ name: 'Pergamon Museum', category: 'museum' })
+    })
+
+    it('should import waypoints without optional fields', () => {
+      const { name, pois } = fromGPX(
+        '<?xml version="1.0"?><gpx version="1.1"><wpt lat="48.1" lon="11.5"></wpt><trk><name>Track</name></trk></gpx>'
+      )
+
+      expect(name).toBe('')
+      expect(pois).toHaveLength(1)
+      expect(pois[0]).toMatchObject({ lat: 48.1, lon: 11.5, name: 'Unnamed place', address: '48.10000, 11.50000' })
+    })
+
+    it('should reject documents that are not GPX', () => {
+      expect(() => fromGPX('<kml></kml>')).toThrow('Invalid GPX')
+    })
+  })
+
+  describe('detectFormat', () => {
+    it('should use the file extension', () => {
+      expect(detectFormat('trip.gpx')).toBe('gpx')
+      expect(detectFormat('trip.GeoJSON')).toBe('geojson')
+      expect(detectFormat('trip.json')).toBe('geojson')
+    })
+
+    it('should fall back to the content', () => {
+      expect(detectFormat('trip', '  <?xml version="1.0"?>')).toBe('gpx')
+      expect(detectFormat('trip', '{"type":"FeatureCollection"}')).toBe('geojson')
+      expect(detectFormat('trip.txt', 'hello')).toBe(null)
+    })
+  })
+
+  describe('OSM tags', () => {
+    it('should only be exported when requested', () => {
+      expect(poiToFeature(museum).properties).not.toHaveProperty('tags')
+      expect(poiToFeature(museum, { includeTags: true }).properties.tags).toEqual({
+        opening_hours: 'Tu-Su 10:00-18:00',
+        wheelchair: 'yes'
+      })
+      expect(poiToFeature(cafe, { includeTags: true }).properties.tags).toEqual({})
+    })
+
+    it('should be added to GeoJSON features', () => {
+      const data = JSON.parse(toGeoJSON([museum], { includeTags: true }))
+
+      expect(data.features[0].properties.tags.wheelchair).toBe('yes')
+    })
+
+    it('should be added as GPX extensions', () => {
+      expect(toGPX([museum])).not.toContain('<extensions>')
+
+      const gpx = toGPX([museum], { includeTags: true })
+      expect(gpx).toContain('xmlns:osm=')
+      expect(gpx).toContain('<osm:tag k="opening_hours" v="Tu-Su 10:00-18:00"/>')
+
+      // Still importable
+      expect(fromGPX(gpx).pois[0].name).toBe('Pergamon Museum')
+    })
+  })
+
+  describe('CSV', () => {
+    it('should export a header and one row per POI', () => {
+      const lines = toCSV([museum]).trim().split('\r\n')
+
+      expect(lines[0]).toBe('id,name,address,lat,lon,category,categoryLabel,type')
+      expect(lines[1]).toBe('node/2,Pergamon Museum,"Bodestraße 1, Berlin",52.521,13.396,museum,Museums,museum')
+    })
+
+    it('should quote special characters', () => {
+      const lines = toCSV([cafe]).trim().split('\r\n')
+
+      expect(lines[0]).toContain(',note')
+      expect(lines[1]).toContain('"Cafe ""Central"""')
+      expect(lines[1]).toContain('Meet Anna <10:00>')
+    })
+
+    it('should guard against spreadsheet formulas', () => {
+      const csv = toCSV([{ ...museum, name: '=HYPERLINK("x")', lat: -33.9 }])
+
+      expect(csv).toContain(`"'=HYPERLINK(""x"")"`)
+      expect(csv).toContain(',-33.9,')
+    })
+
+    it('should add one column per tag', () => {
+      const lines = toCSV([cafe, museum], { includeTags: true }).trim().split('\r\n')
+
+      expect(lines[0]).toMatch(/,note,tag:opening_hours,tag:wheelchair$/)
+      expect(lines[1]).toMatch(/,,$/)
+      expect(lines[2]).toMatch(/,Tu-Su 10:00-18:00,yes$/)
+    })
+  })
+
+  describe('KML', () => {
+    it('should export placemarks with lon,lat coordinates', () => {
+      const kml = toKML([cafe, museum], { name: 'Berlin' })
+
+      expect(kml).toContain('<kml xmlns="http://www.opengis.net/kml/2.2">')
+      expect(kml).toContain('<name>Berlin</name>')
+      expect(kml).toContain('<name>Cafe &quot;Central&quot;</name>')
+      expect(kml).toContain('<Point><coordinates>13.389,52.517</coordinates></Point>')
+      expect(kml).toContain('<Data name="category"><value>museum</value></Data>')
+      expect(kml).toContain('<Data name="note"><value>Meet Anna &lt;10:00&gt;</value></Data>')
+      expect(kml).not.toContain('tag:')
+    })
+
+    it('should add tags to the extended data', () => {
+      const kml = toKML([museum], { includeTags: true })
+
+      expect(kml).toContain('<Data name="tag:wheelchair"><value>yes</value></Data>')
+    })
+
+    it('should produce well-formed XML', () => {
+      const doc = new DOMParser().parseFromString(toKML([cafe, museum], { includeTags: true }), 'application/xml')
+
+      expect(doc.getElementsByTagName('parsererror')).toHaveLength(0)
+      expect(doc.getElementsByTagName('Placemark')).toHaveLength(2)
+    })
+  })
+
+  describe('exportPOIs', () => {
+    it('should name the file after the list', () => {
+      const file = exportPOIs([cafe], 'kml', { name: 'Cafés in Köln!' })
+
+      expect(file.filename).toBe('cafés-in-köln.kml')
+      expect(file.mimeType).toBe('application/vnd.google-earth.kml+xml')
+      expect(file.content).toContain('<Placemark>')
+    })
+
+    it('should fall back to a default file name', () => {
+      expect(exportPOIs([cafe], 'csv').filename).toBe('places.csv')
+    })
+
+    it('should reject unknown formats', () => {
+      expect(() => exportPOIs([cafe], 'shp')).toThrow('Unknown export format: shp')
+    })
+  })
+})
@@ -0,0 +1,208 @@
+import { describe, it, expect } from 'vitest'
+import {
+  haversineDistance,
+  bearing,
+  compassDirection,
+  formatDistance,
+  sortByDistance,
+  uncoveredFraction,
+  centerBounds,
+  boundsAroundPoint,
+  filterByRadius,
+  polygonBounds,
+  pointInPolygon,
+  pointInGeometry,
+  boundsCenter
+} from '../../src/utils/geo.js'
+
+describe('geo utils', () => {
+  const berlin = { lat: 52.520008, lng: 13.404954 }
+  const munich = { lat: 48.137154, lon: 11.576124 }
+
+  describe('haversineDistance', () => {
+    it('should compute great-circle distances', () => {
+      expect(haversineDistance(berlin, munich) / 1000).toBeCloseTo(504.4, 0)
+    })
+
+    it('should accept lng and lon', () => {
+      expect(haversineDistance(berlin, { lat: berlin.lat, lon: berlin.lng })).toBe(0)
+    })
+
+    it('should be symmetric', () => {
+      expect(haversineDistance(munich, berlin)).toBeCloseTo(haversineDistance(berlin, munich), 6)
+    })
+
+    it('should accept coordinates as strings', () => {
+      expect(haversineDistance({ lat: '52.520008', lon: '13.404954' }, berlin)).toBe(0)
+    })
+  })
+
+  describe('bearing', () => {
+    const origin = { lat: 0, lng: 0 }
+
+    it('should measure clockwise from north', () => {
+      expect(bearing(origin, { lat: 1, lng: 0 })).toBeCloseTo(0)
+      expect(bearing(origin, { lat: 0, lng: 1 })).toBeCloseTo(90)
+      expect(bearing(origin, { lat: -1, lng: 0 })).toBeCloseTo(180)
+      expect(bearing(origin, { lat: 0, lng: -1 })).toBeCloseTo(270)
+    })
+
+    it('should point from Berlin south-southwest to Munich', () => {
+      expect(bearing(berlin, munich)).toBeCloseTo(195.6, 0)
+    })
+  })
+
+  describe('compassDirection', () => {
+    it('should round to eight points', () => {
+      expect(compassDirection(0)).toBe('N')
+      expect(compassDirection(22)).toBe('N')
+      expect(compassDirection(23)).toBe('NE')
+      expect(compassDirection(180)).toBe('S')
+      expect(compassDirection(200)).toBe('S')
+      expect(compassDirection(300)).toBe('NW')
+      expect(compassDirection(350)).toBe('N')
+    })
+  })
+
+  describe('formatDistance', () => {
+    it('should use meters below a kilometer', () => {
+      expect(formatDistance(4)).toBe('0 m')
+      expect(formatDistance(346)).toBe('350 m')
+    })
+
+    it('should use kilometers with one decimal below ten', () => {
+      expect(formatDistance(1234)).toBe('1.2 km')
+    })
+
+    it('should round longer distances', () => {
+      expect(formatDistance(24567)).toBe('25 km')
+    })
+
+    it('should pick the unit after rounding', () => {
+      expect(formatDistance(994)).toBe('990 m')
+      expect(formatDistance(995)).toBe('1.0 km')
+      expect(formatDistance(9960)).toBe('10 km')
+    })
+  })
+
+  describe('sortByDistance', () => {
+    it('should sort nearest first without changing the input', () => {
+      const points = [munich, { lat: 52.6, lon: 13.4 }, berlin]
+      const sorted = sortByDistance(points, berlin)
+
+      expect(sorted).toEqual([berlin, points[1], munich])
+      expect(points[0]).toBe(munich)
+    })
+  })
+
+  describe('uncoveredFraction', () => {
+    const searched = { south: 0, west: 0, north: 10, east: 10 }
+
+    it('should be 0 inside the covering box', () => {
+      expect(uncoveredFraction({ south: 2, west: 2, north: 8, east: 8 }, searched)).toBe(0)
+    })
+
+    it('should measure partial overlap', () => {
+      expect(uncoveredFraction({ south: 0, west: 5, north: 10, east: 15 }, searched)).toBeCloseTo(0.5)
+      expect(uncoveredFraction({ south: -10, west: -10, north: 20, east: 20 }, searched)).toBeCloseTo(8 / 9)
+    })
+
+    it('should be 1 for disjoint boxes', () => {
+      expect(uncoveredFraction({ south: 20, west: 20, north: 30, east: 30 }, searched)).toBe(1)
+    })
+  })
+
+  describe('centerBounds', () => {
+    it('should move a box onto a point keeping its size', () => {
+      expect(centerBounds({ south: 52.4, west: 13.3, north: 52.6, east: 13.5 }, { lat: 48, lon: 11 }))
+        .toEqual({ south: 47.9, west: 10.9, north: 48.1, east: 11.1 })
+    })
+
+    it('should stay within valid latitudes', () => {
+      const bounds = centerBounds({ south: 0, west: 0, north: 20, east: 20 }, { lat: 85, lng: 0 })
+
+      expect(bounds.north).toBe(90)
+      expect(bounds.south).toBe(75)
+    })
+  })
+
+  describe('boundsAroundPoint', () => {
+    it('should cover the circle around a point', () => {
+      const center = { lat: 52.5, lng: 13.4 }
+      const bounds = boundsAroundPoint(center, 1000)
+
+      expect(haversineDistance(center, { lat: bounds.north, lng: 13.4 })).toBeCloseTo(1000, 0)
+      expect(haversineDistance(center, { lat: 52.5, lng: bounds.east })).toBeCloseTo(1000, -1)
+      expect(bounds.south).toBeCloseTo(52.5 - (bounds.north - 52.5))
+      expect(bounds.west).toBeCloseTo(13.4 - (bounds.east - 13.4))
+    })
+
+    it('should stay within valid latitudes near the poles', () => {
+      const bounds = boundsAroundPoint({ lat: 89.99, lon: 0 }, 5000)
+
+      expect(bounds.north).toBe(90)
+      expect(bounds.east).toBeLessThanOrEqual(180)
+    })
+  })
+
+  describe('filterByRadius', () => {
+    it('should keep points inside the radius, nearest first', () => {
+      const center = { lat: 52.5, lng: 13.4 }
+      const points = [
+        { id: 'far', lat: 52.52, lon: 13.4 },
+        { id: 'near', lat: 52.501, lon: 13.4 },
+        { id: 'mid', lat: 52.505, lon: 13.4 }
+      ]
+
+      expect(filterByRadius(points, center, 1000).map(p => p.id)).toEqual(['near', 'mid'])
+      expect(filterByRadius(points, center, 50)).toEqual([])
+    })
+  })
+
+  describe('polygons', () => {
+    // L-shaped area, the notch is the north-east quarter
+    const polygon = [
+      { lat: 52.4, lng: 13.3 },
+      { lat: 52.6, lng: 13.3 },
+      { lat: 52.6, lng: 13.4 },
+      { lat: 52.5, lng: 13.4 },
+      { lat: 52.5, lng: 13.5 },
+      { lat: 52.4, lng: 13.5 }
+    ]
+
+    it('should compute the bounding box', () => {
+      expect(polygonBounds(polygon)).toEqual({ south: 52.4, west: 13.3, north: 52.6, east: 13.5 })
+    })
+
+    it('should tell points inside from points outside', () => {
+      expect(pointInPolygon({ lat: 52.55, lng: 13.35 }, polygon)).toBe(true)
+      expect(pointInPolygon({ lat: 52.45, lon: 13.45 }, polygon)).toBe(true)
+      expect(pointInPolygon({ lat: 52.55, lng: 13.45 }, polygon)).toBe(false)
+      expect(pointInPolygon({ lat: 52.7, lng: 13.35 }, polygon)).toBe(false)
+    })
+
+    it('should respect holes and all parts of GeoJSON geometries', () => {
+      const square = (west, south, size) => [
+        [west, south], [west + size, south], [west + size, south + size], [west, south + size], [west, south]
+      ]
+      const geometry = {
+        type: 'MultiPolygon',
+        coordinates: [
+          [square(13, 52, 1), square(13.4, 52.4, 0.2)],
+          [square(14, 52, 0.5)]
+        ]
+      }
+
+      expect(pointInGeometry({ lat: 52.2, lng: 13.2 }, geometry)).toBe(true)
+      expect(pointInGeometry({ lat: 52.5, lng: 13.5 }, geometry)).toBe(false)
+      expect(pointInGeometry({ lat: 52.2, lon: 14.2 }, geometry)).toBe(true)
+      expect(pointInGeometry({ lat: 52.2, lng: 13.2 }, { type: 'Polygon', coordinates: [square(13, 52, 1)] })).toBe(true)
+      expect(pointInGeometry({ lat: 52.2, lng: 13.2 }, { type: 'Point', coordinates: [13.2, 52.2] })).toBe(false)
+    })
+
+    it('should compute the center of a bounding box', () => {
+      expect(boundsCenter({ south: 52.4, west: 13.3, north: 52.6, east: 13.5 }))
+        .toEqual({ lat: 52.5, lng: 13.4 })
+    })
+  })
+})
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest'
+import { getEasterSunday, getHolidayCalendar } from '../../src/utils/holidays.js'
+
+describe('holidays', () => {
+  describe('getEasterSunday', () => {
+    it('should compute Easter Sunday', () => {
+      expect(getEasterSunday(2024)).toEqual(new Date(2024, 2, 31))
+      expect(getEasterSunday(2025)).toEqual(new Date(2025, 3, 20))
+      expect(getEasterSunday(2038)).toEqual(new Date(2038, 3, 25))
+    })
+  })
+
+  describe('getHolidayCalendar', () => {
+    it('should know fixed and movable holidays', () => {
+      const isHoliday = getHolidayCalendar('DE')
+
+      expect(isHoliday(new Date(2024, 9, 3, 12, 0))).toBe(true)
+      expect(isHoliday(new Date(2024, 2, 29))).toBe(true)
+      expect(isHoliday(new Date(2024, 4, 20, 23, 59))).toBe(true)
+      expect(isHoliday(new Date(2024, 9, 4))).toBe(false)
+    })
+
+    it('should know nth weekday holidays', () => {
+      const isHoliday = getHolidayCalendar('us')
+
+      // Thanksgiving, Memorial Day
+      expect(isHoliday(new Date(2024, 10, 28))).toBe(true)
+      expect(isHoliday(new Date(2024, 4, 27))).toBe(true)
+      expect(isHoliday(new Date(2024, 4, 20))).toBe(false)
+    })
+
+    it('should return null for countries without a calendar', () => {
+      expect(getHolidayCalendar('xx')).toBeNull()
+      expect(getHolidayCalendar(null)).toBeNull()
+    })
+  })
+})
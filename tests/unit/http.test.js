@@ -0,0 +1,99 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+
+let rateLimitedFetch, isAbortError
+
+describe('Rate-limited request queue', () => {
+  beforeEach(async () => {
+    vi.resetModules()
+    global.fetch = vi.fn()
+
+    // Fresh import to reset queue and rate limiting state
+    const module = await import('../../src/services/http.js')
+    rateLimitedFetch = module.rateLimitedFetch
+    isAbortError = module.isAbortError
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  function mockJson(data) {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: () => Promise.resolve(data)
+    })
+  }
+
+  it('should send queued requests one at a time, in order', async () => {
+    mockJson('a')
+    mockJson('b')
+
+    const first = rateLimitedFetch('https://example.com/search?q=a')
+    const second = rateLimitedFetch('https://example.com/search?q=b')
+
+    await expect(first).resolves.toBe('a')
+    await expect(second).resolves.toBe('b')
+    expect(global.fetch.mock.calls[0][0]).toContain('q=a')
+    expect(global.fetch.mock.calls[1][0]).toContain('q=b')
+  })
+
+  it('should keep at least one second between requests', async () => {
+    mockJson([])
+    mockJson([])
+
+    const first = rateLimitedFetch('https://example.com/search?q=a')
+    const second = rateLimitedFetch('https://example.com/search?q=b')
+    await first
+    const firstDone = Date.now()
+    await second
+
+    expect(Date.now() - firstDone).toBeGreaterThanOrEqual(900)
+  })
+
+  it('should remove aborted requests from the queue without fetching', async () => {
+    mockJson('a')
+    mockJson('c')
+
+    const controller = new AbortController()
+    const first = rateLimitedFetch('https://example.com/search?q=a')
+    const second = rateLimitedFetch('https://example.com/search?q=b', { signal: controller.signal })
+    const third = rateLimitedFetch('https://example.com/search?q=c')
+
+    controller.abort()
+
+    await expect(second).rejects.toSatisfy(isAbortError)
+    await expect(first).resolves.toBe('a')
+    await expect(third).resolves.toBe('c')
+    expect(global.fetch).toHaveBeenCalledTimes(2)
+    expect(global.fetch.mock.calls[1][0]).toContain('q=c')
+  })
+
+  it('should reject immediately when the signal is already aborted', async () => {
+    const controller = new AbortController()
+    controller.abort()
+
+    await expect(rateLimitedFetch('https://example.com/search?q=a', { signal: controller.signal }))
+      .rejects.toSatisfy(isAbortError)
+    expect(global.fetch).not.toHaveBeenCalled()
+  })
+
+  it('should pass the signal to fetch for in-flight cancellation', async () => {
+    mockJson([])
+
+    const controller = new AbortController()
+    await rateLimitedFetch('https://example.com/search?q=a', { signal: controller.signal })
+
+    expect(global.fetch.mock.calls[0][1].signal).toBe(controller.signal)
+  })
+
+  it('should keep processing the queue after a failed request', async () => {
+    global.fetch.mockRejectedValueOnce(new Error('Network error'))
+    mockJson('b')
+
+    const first = rateLimitedFetch('https://example.com/search?q=a')
+    const second = rateLimitedFetch('https://example.com/search?q=b')
+
+    await expect(first).rejects.toThrow('Network error')
+    await expect(second).resolves.toBe('b')
+  })
+})
@@ -1,7 +1,7 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
 
 // We need to import fresh for each test to reset rate limiting state
-let searchPOI, searchByCategory, CATEGORIES, getInitialCategories
+let searchPOI, searchByCategory, searchByCategories, CATEGORIES, getInitialCategories, setProvider, getProvider, setCategoryBackend, autocomplete, geocodeArea
 
 describe('Nominatim Service', () => {
   beforeEach(async () => {
@@ -12,8 +12,14 @@ describe('Nominatim Service', () => {
     const module = await import('../../src/services/nominatim.js')
     searchPOI = module.searchPOI
     searchByCategory = module.searchByCategory
+    searchByCategories = module.searchByCategories
     CATEGORIES = module.CATEGORIES
     getInitialCategories = module.getInitialCategories
+    setProvider = module.setProvider
+    getProvider = module.getProvider
+    setCategoryBackend = module.setCategoryBackend
+    autocomplete = module.autocomplete
+    geocodeArea = module.geocodeArea
   })
 
   afterEach(() => {
@@ -34,6 +40,14 @@ describe('Nominatim Service', () => {
       })
     })
 
+    it('should have a marker color for each category', () => {
+      const colors = Object.values(CATEGORIES).map(cat => cat.color)
+
+      colors.forEach(color => expect(color).toMatch(/^#[0-9A-F]{6}$/i))
+      // Every category is distinguishable on the map
+      expect(new Set(colors).size).toBe(colors.length)
+    })
+
     it('should have OSM tag for each category', () => {
       Object.values(CATEGORIES).forEach(cat => {
         const hasTag = cat.amenity || cat.tourism || cat.leisure || cat.shop
@@ -103,6 +117,19 @@ describe('Nominatim Service', () => {
       expect(callUrl).toContain('amenity=restaurant')
     })
 
+    it('should search each of several categories', async () => {
+      global.fetch
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(mockResponse) })
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve([]) })
+
+      const results = await searchPOI('berlin', { category: ['restaurant', 'cafe'] })
+
+      expect(global.fetch.mock.calls[0][0]).toContain('amenity=restaurant')
+      expect(global.fetch.mock.calls[1][0]).toContain('amenity=cafe')
+      expect(results).toHaveLength(1)
+      expect(results[0].sourceCategory).toBe('restaurant')
+    })
+
     it('should add viewbox parameter for location-bounded search', async () => {
       global.fetch.mockResolvedValueOnce({
         ok: true,
@@ -204,6 +231,20 @@ describe('Nominatim Service', () => {
       expect(results[0].name).toBe('New York City')
     })
 
+    it('should not fall back when the search is bounded', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve([])
+      })
+
+      const viewbox = { south: 49.9, west: 8.4, north: 50.2, east: 8.8 }
+      const results = await searchPOI('pizza', { viewbox, bounded: true, excludePlaceIds: [1, 2, 3] })
+
+      expect(global.fetch).toHaveBeenCalledTimes(1)
+      expect(global.fetch.mock.calls[0][0]).toContain('bounded=1')
+      expect(results).toEqual([])
+    })
+
     it('should normalize POI response correctly', async () => {
       global.fetch.mockResolvedValueOnce({
         ok: true,
@@ -222,6 +263,21 @@ describe('Nominatim Service', () => {
       })
     })
 
+    it('should add category icon and color to normalized POIs', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve([
+          ...mockResponse,
+          { place_id: 2, name: 'Somewhere', display_name: 'Somewhere', lat: '0', lon: '0', type: 'yes' }
+        ])
+      })
+
+      const results = await searchPOI('test')
+
+      expect(results[0]).toMatchObject({ icon: '🍽️', color: CATEGORIES.restaurant.color })
+      expect(results[1]).toMatchObject({ icon: '📍', color: '#64748B' })
+    })
+
     it('should throw error on API failure', async () => {
       global.fetch.mockResolvedValueOnce({
         ok: false,
@@ -299,5 +355,268 @@ describe('Nominatim Service', () => {
         category: 'cafe'
       })
     })
+
+    it('should query Overpass when the overpass backend is active', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({
+          elements: [
+            { type: 'node', id: 1, lat: 52.52, lon: 13.405, tags: { amenity: 'cafe', name: 'Overpass Cafe' } }
+          ]
+        })
+      })
+
+      setCategoryBackend('overpass')
+      const viewbox = { south: 52.4, west: 13.3, north: 52.6, east: 13.5 }
+      const results = await searchByCategory('cafe', viewbox, null)
+
+      const callUrl = global.fetch.mock.calls[0][0]
+      expect(callUrl).toContain('overpass-api.de/api/interpreter?data=')
+      expect(results).toHaveLength(1)
+      expect(results[0]).toMatchObject({ id: 'node/1', name: 'Overpass Cafe', category: 'cafe' })
+    })
+
+    it('should order results by distance from the center', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve([
+          { ...mockResponse[0], place_id: 1, name: 'Far Cafe', lat: '52.58', lon: '13.48' },
+          { ...mockResponse[0], place_id: 2, name: 'Near Cafe', lat: '52.501', lon: '13.401' }
+        ])
+      })
+
+      const viewbox = { south: 52.4, west: 13.3, north: 52.6, east: 13.5 }
+      const results = await searchByCategory('cafe', viewbox, { lat: 52.5, lng: 13.4 })
+
+      expect(results.map(poi => poi.name)).toEqual(['Near Cafe', 'Far Cafe'])
+    })
+
+    it('should reject unknown category backends', () => {
+      expect(() => setCategoryBackend('sparql')).toThrow('Unknown category backend: sparql')
+    })
+  })
+
+  describe('searchByCategories', () => {
+    const viewbox = { south: 52.4, west: 13.3, north: 52.6, east: 13.5 }
+
+    function respond(places) {
+      return {
+        ok: true,
+        json: () => Promise.resolve(places.map(([id, name, type, lat, lon]) => ({
+          place_id: id,
+          name,
+          display_name: `${name}, Berlin, Germany`,
+          lat,
+          lon,
+          type,
+          address: { city: 'Berlin' }
+        })))
+      }
+    }
+
+    it('should send one request per category and merge the results', async () => {
+      global.fetch
+        .mockResolvedValueOnce(respond([[1, 'Far Cafe', 'cafe', '52.58', '13.48']]))
+        .mockResolvedValueOnce(respond([[2, 'Near Supermarket', 'supermarket', '52.501', '13.401']]))
+
+      const results = await searchByCategories(['cafe', 'supermarket'], viewbox, { lat: 52.5, lng: 13.4 })
+
+      expect(global.fetch).toHaveBeenCalledTimes(2)
+      expect(global.fetch.mock.calls[0][0]).toContain('q=%5Bcafe%5D')
+      expect(global.fetch.mock.calls[1][0]).toContain('q=%5Bsupermarket%5D')
+      expect(results.map(poi => [poi.name, poi.sourceCategory])).toEqual([
+        ['Near Supermarket', 'supermarket'],
+        ['Far Cafe', 'cafe']
+      ])
+    })
+
+    it('should keep places found for several categories once', async () => {
+      global.fetch
+        .mockResolvedValueOnce(respond([[1, 'Cafe & Market', 'cafe', '52.5', '13.4']]))
+        .mockResolvedValueOnce(respond([
+          [1, 'Cafe & Market', 'supermarket', '52.5', '13.4'],
+          [2, 'Supermarket', 'supermarket', '52.51', '13.41']
+        ]))
+
+      const results = await searchByCategories(['cafe', 'supermarket'], viewbox, null)
+
+      expect(results.map(poi => [poi.id, poi.sourceCategory])).toEqual([[1, 'cafe'], [2, 'supermarket']])
+    })
+
+    it('should keep the categories that were found when another fails', async () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {})
+      global.fetch
+        .mockResolvedValueOnce({ ok: false, status: 500 })
+        .mockResolvedValueOnce(respond([[2, 'Supermarket', 'supermarket', '52.51', '13.41']]))
+
+      const results = await searchByCategories(['cafe', 'supermarket'], viewbox, null)
+
+      expect(results.map(poi => [poi.id, poi.sourceCategory])).toEqual([[2, 'supermarket']])
+      expect(console.warn).toHaveBeenCalledTimes(1)
+    })
+
+    it('should fail when every category fails', async () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {})
+      global.fetch
+        .mockResolvedValueOnce({ ok: false, status: 500 })
+        .mockResolvedValueOnce({ ok: false, status: 503 })
+
+      await expect(searchByCategories(['cafe', 'supermarket'], viewbox, null))
+        .rejects.toThrow('Nominatim API error: 500')
+    })
+
+    it('should reject an empty category list', async () => {
+      await expect(searchByCategories([], viewbox, null)).rejects.toThrow('Invalid category')
+    })
+  })
+
+  describe('provider selection', () => {
+    const photonResponse = {
+      type: 'FeatureCollection',
+      features: [
+        {
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [13.405, 52.52] },
+          properties: {
+            osm_id: 1,
+            osm_type: 'N',
+            osm_key: 'amenity',
+            osm_value: 'cafe',
+            name: 'Photon Cafe',
+            city: 'Berlin',
+            country: 'Germany'
+          }
+        }
+      ]
+    }
+
+    it('should use Nominatim by default', () => {
+      expect(getProvider().name).toBe('nominatim')
+    })
+
+    it('should send searches to a configured Nominatim mirror', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve([])
+      })
+
+      setProvider({ type: 'nominatim', baseUrl: 'https://nominatim.staging.example.com' })
+      await searchPOI('berlin')
+
+      const callUrl = global.fetch.mock.calls[0][0]
+      expect(callUrl).toContain('nominatim.staging.example.com/search')
+    })
+
+    it('should normalize Photon results into the same POI shape', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve(photonResponse)
+      })
+
+      setProvider({ type: 'photon' })
+      const results = await searchPOI('cafe')
+
+      expect(results).toHaveLength(1)
+      expect(results[0]).toMatchObject({
+        id: 'N1',
+        name: 'Photon Cafe',
+        lat: 52.52,
+        lon: 13.405,
+        category: 'cafe',
+        icon: '☕',
+        address: 'Berlin, Germany'
+      })
+    })
+
+    it('should accept a custom provider object', async () => {
+      const customProvider = {
+        name: 'custom',
+        search: vi.fn().mockResolvedValue([
+          { place_id: 7, name: 'Custom Place', display_name: 'Custom Place', lat: '1', lon: '2' }
+        ]),
+        searchCategory: vi.fn(),
+        reverse: vi.fn()
+      }
+
+      setProvider(customProvider)
+      const results = await searchPOI('anything')
+
+      expect(customProvider.search).toHaveBeenCalledWith('anything', { category: undefined, limit: 20 })
+      expect(results[0].name).toBe('Custom Place')
+    })
+  })
+
+  describe('autocomplete', () => {
+    const photonResponse = {
+      features: [
+        {
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [13.35, 52.5] },
+          properties: { osm_id: 5, osm_type: 'N', osm_key: 'amenity', osm_value: 'cafe', name: 'Café Einstein' }
+        }
+      ]
+    }
+
+    it('should use Photon for suggestions with the default Nominatim provider', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve(photonResponse)
+      })
+
+      const viewbox = { south: 52.4, west: 13.3, north: 52.6, east: 13.5 }
+      const results = await autocomplete('cafe ein', { viewbox })
+
+      const callUrl = global.fetch.mock.calls[0][0]
+      expect(callUrl).toContain('photon.komoot.io/api/')
+      expect(callUrl).toContain('q=cafe+ein')
+      expect(callUrl).toContain('limit=5')
+      expect(callUrl).not.toContain('nominatim')
+      expect(results[0]).toMatchObject({ name: 'Café Einstein', category: 'cafe', icon: '☕' })
+    })
+
+    it('should use the provider autocomplete endpoint when it has one', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ features: [] })
+      })
+
+      setProvider({ type: 'pelias', baseUrl: 'http://pelias.local:4000' })
+      await autocomplete('cafe')
+
+      expect(global.fetch.mock.calls[0][0]).toContain('pelias.local:4000/v1/autocomplete?text=cafe')
+    })
+  })
+
+  describe('geocodeArea', () => {
+    const geometry = { type: 'Polygon', coordinates: [[[13.36, 52.48], [13.45, 52.48], [13.45, 52.51], [13.36, 52.51], [13.36, 52.48]]] }
+
+    it('should return the outline and bounds of the area', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve([{
+          place_id: 1,
+          name: 'Kreuzberg',
+          display_name: 'Kreuzberg, Berlin, Germany',
+          class: 'boundary',
+          type: 'administrative',
+          boundingbox: ['52.48', '52.51', '13.36', '13.45'],
+          geojson: geometry
+        }])
+      })
+
+      expect(await geocodeArea('kreuzberg')).toEqual({
+        name: 'Kreuzberg',
+        displayName: 'Kreuzberg, Berlin, Germany',
+        geometry,
+        bounds: { south: 52.48, west: 13.36, north: 52.51, east: 13.45 }
+      })
+    })
+
+    it('should find nothing with providers that cannot look up areas', async () => {
+      setProvider({ type: 'photon' })
+
+      expect(await geocodeArea('Kreuzberg')).toBeNull()
+      expect(global.fetch).not.toHaveBeenCalled()
+    })
   })
 })
@@ -0,0 +1,184 @@
+import { describe, it, expect } from 'vitest'
+import { parseOpeningHours, getOpeningState, isOpenAt } from '../../src/utils/openingHours.js'
+
+// Local time; 2024-06-03 is a Monday
+const at = (day, time) => {
+  const [hours, minutes] = time.split(':').map(Number)
+  return new Date(2024, 5, day, hours, minutes)
+}
+const MONDAY = 3
+const FRIDAY = 7
+const SATURDAY = 8
+const SUNDAY = 9
+
+const status = (value, date, options) => getOpeningState(value, date, options).status
+
+describe('opening_hours', () => {
+  describe('parseOpeningHours', () => {
+    it('should parse weekday and time selectors', () => {
+      const [rule] = parseOpeningHours('Mo-Fr 08:00-12:00,13:00-18:00')
+
+      expect(rule.weekdays).toEqual([1, 2, 3, 4, 5])
+      expect(rule.times).toEqual([
+        { start: 480, end: 720, unknown: false },
+        { start: 780, end: 1080, unknown: false }
+      ])
+      expect(rule.modifier).toBe('open')
+      expect(rule.additional).toBe(false)
+      expect(rule.fallback).toBe(false)
+    })
+
+    it('should split normal and additional rules', () => {
+      const rules = parseOpeningHours('Mo-Fr 08:00-18:00, Sa 10:00-14:00; Su off')
+
+      expect(rules.map(rule => [rule.additional, rule.modifier])).toEqual([
+        [false, 'open'],
+        [true, 'open'],
+        [false, 'off']
+      ])
+    })
+
+    it('should parse wrapping weekday ranges and holidays', () => {
+      const [rule] = parseOpeningHours('Fr-Mo,PH 10:00-16:00')
+
+      expect(rule.weekdays).toEqual([5, 6, 0, 1])
+      expect(rule.holidays).toEqual(['PH'])
+    })
+
+    it('should keep semicolons inside comments', () => {
+      const rules = parseOpeningHours('Mo 10:00-12:00 "call first; ring twice"')
+
+      expect(rules).toHaveLength(1)
+      expect(rules[0].comment).toBe('call first; ring twice')
+    })
+
+    it('should reject unsupported syntax', () => {
+      expect(() => parseOpeningHours('sunrise-sunset')).toThrow('Unsupported')
+      expect(() => parseOpeningHours('Mo[1] 10:00-12:00')).toThrow('Unsupported')
+      expect(() => parseOpeningHours('')).toThrow('Empty')
+    })
+  })
+
+  describe('getOpeningState', () => {
+    it('should evaluate weekday ranges', () => {
+      const hours = 'Mo-Fr 08:00-18:00; Sa 10:00-14:00'
+
+      expect(status(hours, at(MONDAY, '09:00'))).toBe('open')
+      expect(status(hours, at(MONDAY, '07:59'))).toBe('closed')
+      expect(status(hours, at(MONDAY, '18:00'))).toBe('closed')
+      expect(status(hours, at(SATURDAY, '13:00'))).toBe('open')
+      expect(status(hours, at(SUNDAY, '12:00'))).toBe('closed')
+    })
+
+    it('should report closing soon with the closing time', () => {
+      const state = getOpeningState('Mo-Fr 08:00-18:00', at(MONDAY, '17:40'))
+
+      expect(state.status).toBe('closes-soon')
+      expect(state.closesAt).toEqual(at(MONDAY, '18:00'))
+      expect(status('Mo-Fr 08:00-18:00', at(MONDAY, '17:40'), { soonMinutes: 10 })).toBe('open')
+    })
+
+    it('should find the next opening time', () => {
+      const state = getOpeningState('Mo-Fr 08:00-18:00', at(FRIDAY, '19:00'))
+
+      expect(state.status).toBe('closed')
+      expect(state.opensAt).toEqual(at(10, '08:00'))
+    })
+
+    it('should handle 24/7', () => {
+      const state = getOpeningState('24/7', at(SUNDAY, '03:00'))
+
+      expect(state).toEqual({ status: 'open', opensAt: null, closesAt: null })
+    })
+
+    it('should handle spans past midnight', () => {
+      const hours = 'Fr,Sa 20:00-02:00'
+
+      expect(status(hours, at(SATURDAY, '01:00'))).toBe('open')
+      expect(status(hours, at(SUNDAY, '01:00'))).toBe('open')
+      expect(status(hours, at(SUNDAY, '02:00'))).toBe('closed')
+      expect(status(hours, at(FRIDAY, '01:00'))).toBe('closed')
+      expect(getOpeningState(hours, at(FRIDAY, '23:00')).closesAt).toEqual(at(SATURDAY, '02:00'))
+    })
+
+    it('should let later rules override earlier ones', () => {
+      const hours = 'Mo-Sa 09:00-20:00; Sa 10:00-14:00'
+
+      expect(status(hours, at(SATURDAY, '09:30'))).toBe('closed')
+      expect(status(hours, at(SATURDAY, '11:00'))).toBe('open')
+      expect(status(hours, at(FRIDAY, '09:30'))).toBe('open')
+    })
+
+    it('should close whole days with off rules', () => {
+      const hours = 'Mo-Su 10:00-18:00; We off'
+
+      expect(status(hours, at(5, '12:00'))).toBe('closed')
+      expect(status(hours, at(6, '12:00'))).toBe('open')
+    })
+
+    it('should combine additional rules', () => {
+      expect(status('Mo 08:00-10:00, Mo 14:00-16:00', at(MONDAY, '15:00'))).toBe('open')
+      expect(status('Mo 08:00-18:00, Mo 12:00-13:00 off', at(MONDAY, '12:30'))).toBe('closed')
+      expect(status('Mo 08:00-18:00, Mo 12:00-13:00 off', at(MONDAY, '13:30'))).toBe('open')
+    })
+
+    it('should apply public holiday rules when holidays are known', () => {
+      const hours = 'Mo-Fr 08:00-18:00; PH off'
+      const isHoliday = date => date.getDate() === MONDAY
+
+      expect(status(hours, at(MONDAY, '12:00'), { isHoliday: () => false })).toBe('open')
+      expect(status(hours, at(MONDAY, '12:00'), { isHoliday })).toBe('closed')
+      expect(status('PH 10:00-12:00', at(SUNDAY, '11:00'), { isHoliday: () => true })).toBe('open')
+    })
+
+    it('should not match public holiday rules when holidays are not known', () => {
+      expect(status('Mo-Fr 08:00-18:00; PH off', at(MONDAY, '12:00'))).toBe('open')
+      expect(status('PH 10:00-12:00', at(SUNDAY, '11:00'))).toBe('closed')
+    })
+
+    it('should evaluate month and date selectors', () => {
+      expect(status('Jun-Aug 10:00-22:00; Sep-May 10:00-18:00', at(MONDAY, '20:00'))).toBe('open')
+      expect(status('Sep-May 10:00-18:00', at(MONDAY, '12:00'))).toBe('closed')
+      expect(status('Mo-Fr 08:00-18:00; Jun 03 off', at(MONDAY, '12:00'))).toBe('closed')
+      expect(status('Dec 24-Jan 02 off', new Date(2025, 0, 1, 12, 0))).toBe('closed')
+      expect(status('Nov-Feb 10:00-16:00', new Date(2025, 0, 1, 12, 0))).toBe('open')
+    })
+
+    it('should report unknown states', () => {
+      expect(status('Mo-Fr 10:00-16:00 unknown', at(MONDAY, '12:00'))).toBe('unknown')
+      expect(status('"by appointment"', at(MONDAY, '12:00'))).toBe('unknown')
+      expect(status('Mo-Su 18:00+', at(MONDAY, '20:00'))).toBe('unknown')
+      expect(status('Mo-Su 18:00+', at(MONDAY, '12:00'))).toBe('closed')
+      expect(status('sunrise-sunset', at(MONDAY, '12:00'))).toBe('unknown')
+      expect(status(undefined, at(MONDAY, '12:00'))).toBe('unknown')
+    })
+
+    it('should only apply fallback rules to unmatched days', () => {
+      const hours = 'Mo-Fr 08:00-18:00 || "by appointment"'
+
+      expect(status(hours, at(MONDAY, '09:00'))).toBe('open')
+      expect(status(hours, at(MONDAY, '19:00'))).toBe('closed')
+      expect(status(hours, at(SUNDAY, '12:00'))).toBe('unknown')
+    })
+
+    it('should accept common variations', () => {
+      expect(status('mo-fr 8:00-18:00', at(MONDAY, '09:00'))).toBe('open')
+      expect(status('Mo-Fr: 08:00-18:00', at(MONDAY, '09:00'))).toBe('open')
+      expect(status('Mo-Fr 08:00-18:00; Sa closed', at(SATURDAY, '09:00'))).toBe('closed')
+    })
+
+    it('should accept parsed rules', () => {
+      const rules = parseOpeningHours('Mo-Fr 08:00-18:00')
+
+      expect(status(rules, at(MONDAY, '09:00'))).toBe('open')
+    })
+  })
+
+  describe('isOpenAt', () => {
+    it('should count closing soon as open', () => {
+      expect(isOpenAt('Mo 08:00-18:00', at(MONDAY, '17:50'))).toBe(true)
+      expect(isOpenAt('Mo 08:00-18:00', at(MONDAY, '18:10'))).toBe(false)
+      expect(isOpenAt('"ask"', at(MONDAY, '12:00'))).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,150 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest'
+import http from 'node:http'
+
+let searchOverpass, buildOverpassQuery
+
+// Local mock Overpass server answering /api/interpreter
+const elements = [
+  {
+    type: 'node',
+    id: 1,
+    lat: 52.52,
+    lon: 13.405,
+    tags: {
+      amenity: 'cafe',
+      name: 'Node Cafe',
+      'addr:street': 'Main Street',
+      'addr:housenumber': '1',
+      'addr:city': 'Berlin',
+      opening_hours: 'Mo-Fr 08:00-18:00'
+    }
+  },
+  {
+    type: 'way',
+    id: 2,
+    center: { lat: 52.51, lon: 13.39 },
+    tags: { amenity: 'cafe', name: 'Way Cafe' }
+  },
+  {
+    type: 'node',
+    id: 3,
+    lat: 52.5,
+    lon: 13.4,
+    tags: { shop: 'supermarket', name: 'Market' }
+  }
+]
+
+let server
+let baseUrl
+const requests = []
+
+describe('Overpass Service', () => {
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost')
+      requests.push(url)
+
+      if (url.pathname !== '/api/interpreter') {
+        res.writeHead(404)
+        res.end()
+        return
+      }
+
+      const query = url.searchParams.get('data')
+      const matching = elements.filter(element =>
+        Object.entries(element.tags).some(([key, value]) => query.includes(`["${key}"="${value}"]`))
+      )
+
+      res.writeHead(200, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify({ version: 0.6, elements: matching }))
+    })
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`
+  })
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve))
+  })
+
+  beforeEach(async () => {
+    vi.resetModules()
+    requests.length = 0
+
+    // Fresh import to reset rate limiting state
+    const module = await import('../../src/services/overpass.js')
+    searchOverpass = module.searchOverpass
+    buildOverpassQuery = module.buildOverpassQuery
+  })
+
+  const viewbox = { south: 52.4, west: 13.3, north: 52.6, east: 13.5 }
+
+  describe('buildOverpassQuery', () => {
+    it('should query nodes and ways with the category tag in the bbox', () => {
+      const query = buildOverpassQuery('cafe', viewbox)
+
+      expect(query).toContain('[out:json]')
+      expect(query).toContain('node["amenity"="cafe"](52.4,13.3,52.6,13.5);')
+      expect(query).toContain('way["amenity"="cafe"](52.4,13.3,52.6,13.5);')
+      expect(query).toContain('out center tags')
+    })
+
+    it('should use the OSM key of each category', () => {
+      const query = buildOverpassQuery(['supermarket', 'park', 'hotel'], viewbox)
+
+      expect(query).toContain('node["shop"="supermarket"]')
+      expect(query).toContain('node["leisure"="park"]')
+      expect(query).toContain('node["tourism"="hotel"]')
+    })
+  })
+
+  describe('searchOverpass', () => {
+    it('should return every matching node and way as normalized POIs', async () => {
+      const results = await searchOverpass('cafe', viewbox, { baseUrl })
+
+      expect(requests).toHaveLength(1)
+      expect(results).toHaveLength(2)
+      expect(results[0]).toMatchObject({
+        id: 'node/1',
+        name: 'Node Cafe',
+        lat: 52.52,
+        lon: 13.405,
+        category: 'cafe',
+        icon: '☕',
+        address: 'Main Street 1, Berlin'
+      })
+      expect(results[0].raw.extratags).toEqual({
+        amenity: 'cafe',
+        opening_hours: 'Mo-Fr 08:00-18:00'
+      })
+    })
+
+    it('should place ways at their center', async () => {
+      const results = await searchOverpass('cafe', viewbox, { baseUrl })
+
+      expect(results[1]).toMatchObject({
+        id: 'way/2',
+        name: 'Way Cafe',
+        lat: 52.51,
+        lon: 13.39
+      })
+    })
+
+    it('should tag each POI with the category it matched', async () => {
+      const results = await searchOverpass(['cafe', 'supermarket'], viewbox, { baseUrl })
+
+      expect(results.map(poi => poi.category)).toEqual(['cafe', 'cafe', 'supermarket'])
+    })
+
+    it('should require a viewbox', async () => {
+      await expect(searchOverpass('cafe', null, { baseUrl }))
+        .rejects.toThrow('Overpass search requires a viewbox')
+    })
+
+    it('should throw on API failure', async () => {
+      await expect(searchOverpass('cafe', viewbox, { baseUrl: `${baseUrl}/missing` }))
+        .rejects.toThrow('Overpass API error: 404')
+    })
+  })
+})
@@ -0,0 +1,263 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+
+let createProvider, createNominatimProvider, createPhotonProvider, createPeliasProvider
+let photonFeatureToPlace, peliasFeatureToPlace
+
+describe('Geocoding Providers', () => {
+  beforeEach(async () => {
+    vi.resetModules()
+    global.fetch = vi.fn()
+
+    // Fresh import to reset rate limiting state
+    const module = await import('../../src/services/providers/index.js')
+    createProvider = module.createProvider
+    createNominatimProvider = module.createNominatimProvider
+    createPhotonProvider = module.createPhotonProvider
+    createPeliasProvider = module.createPeliasProvider
+    photonFeatureToPlace = (await import('../../src/services/providers/photon.js')).photonFeatureToPlace
+    peliasFeatureToPlace = (await import('../../src/services/providers/pelias.js')).peliasFeatureToPlace
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  function mockJson(data) {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: () => Promise.resolve(data)
+    })
+  }
+
+  describe('createProvider', () => {
+    it('should create a Nominatim provider by default', () => {
+      expect(createProvider().name).toBe('nominatim')
+    })
+
+    it('should throw for unknown provider types', () => {
+      expect(() => createProvider({ type: 'bing' }))
+        .toThrow('Unknown geocoding provider: bing')
+    })
+
+    it('should require a baseUrl for Pelias', () => {
+      expect(() => createProvider({ type: 'pelias' }))
+        .toThrow('Pelias provider requires a baseUrl')
+    })
+  })
+
+  describe('Nominatim provider', () => {
+    it('should use a self-hosted instance URL', async () => {
+      mockJson([])
+
+      const provider = createNominatimProvider({ baseUrl: 'https://nominatim.staging.example.com/' })
+      await provider.search('cafe', { category: 'cafe' })
+
+      const callUrl = global.fetch.mock.calls[0][0]
+      expect(callUrl).toMatch(/^https:\/\/nominatim\.staging\.example\.com\/search\?/)
+      expect(callUrl).toContain('amenity=cafe')
+    })
+
+    it('should exclude already loaded places when paging', async () => {
+      mockJson([])
+      mockJson([])
+
+      const provider = createNominatimProvider()
+      await provider.search('pizza', { excludePlaceIds: [101, 102] })
+      await provider.searchCategory('cafe', { excludePlaceIds: [103] })
+
+      expect(global.fetch.mock.calls[0][0]).toContain('exclude_place_ids=101%2C102')
+      expect(global.fetch.mock.calls[1][0]).toContain('exclude_place_ids=103')
+    })
+
+    it('should not send exclude_place_ids for the first page', async () => {
+      mockJson([])
+
+      const provider = createNominatimProvider()
+      await provider.search('pizza', { excludePlaceIds: [] })
+
+      expect(global.fetch.mock.calls[0][0]).not.toContain('exclude_place_ids')
+    })
+
+    it('should use the reverse endpoint', async () => {
+      mockJson({ place_id: 1 })
+
+      const provider = createNominatimProvider()
+      await provider.reverse(52.5, 13.4)
+
+      const callUrl = global.fetch.mock.calls[0][0]
+      expect(callUrl).toContain('nominatim.openstreetmap.org/reverse')
+      expect(callUrl).toContain('lat=52.5')
+      expect(callUrl).toContain('lon=13.4')
+    })
+
+    it('should return null for points without an address', async () => {
+      mockJson({ error: 'Unable to geocode' })
+
+      const provider = createNominatimProvider()
+
+      expect(await provider.reverse(0, 0)).toBeNull()
+    })
+
+    it('should look up area outlines near the map view', async () => {
+      const outline = { type: 'Polygon', coordinates: [[[13.36, 52.48], [13.45, 52.48], [13.45, 52.51], [13.36, 52.48]]] }
+      mockJson([
+        { place_id: 1, name: 'Kreuzberg', geojson: { type: 'Point', coordinates: [13.4, 52.5] } },
+        { place_id: 2, name: 'Kreuzberg', class: 'boundary', type: 'administrative', geojson: outline }
+      ])
+
+      const provider = createNominatimProvider()
+      const place = await provider.geocodeArea('Kreuzberg', {
+        viewbox: { south: 52.4, west: 13.3, north: 52.6, east: 13.5 }
+      })
+
+      const callUrl = global.fetch.mock.calls[0][0]
+      expect(callUrl).toContain('q=Kreuzberg')
+      expect(callUrl).toContain('polygon_geojson=1')
+      expect(callUrl).toContain('viewbox=13.3%2C52.4%2C13.5%2C52.6')
+      expect(callUrl).toContain('bounded=0')
+      expect(place.place_id).toBe(2)
+    })
+
+    it('should find no area when no result has an outline', async () => {
+      mockJson([{ place_id: 1, geojson: { type: 'LineString', coordinates: [] } }])
+
+      expect(await createNominatimProvider().geocodeArea('Main Street')).toBeNull()
+    })
+
+    it('should only find administrative areas and settlements', async () => {
+      const outline = { type: 'Polygon', coordinates: [[[13.36, 52.48], [13.45, 52.48], [13.45, 52.51], [13.36, 52.48]]] }
+      mockJson([
+        { place_id: 1, class: 'building', type: 'yes', geojson: outline },
+        { place_id: 2, class: 'leisure', type: 'park', geojson: outline },
+        { place_id: 3, class: 'boundary', type: 'protected_area', geojson: outline },
+        { place_id: 4, class: 'place', type: 'suburb', geojson: outline }
+      ])
+
+      const place = await createNominatimProvider().geocodeArea('Viktoriapark')
+
+      expect(place.place_id).toBe(4)
+    })
+  })
+
+  describe('Photon provider', () => {
+    const photonFeature = {
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [13.405, 52.52] },
+      properties: {
+        osm_id: 123,
+        osm_type: 'N',
+        osm_key: 'amenity',
+        osm_value: 'cafe',
+        name: 'Test Cafe',
+        street: 'Main Street',
+        housenumber: '1',
+        city: 'Berlin',
+        country: 'Germany',
+        countrycode: 'DE',
+        extent: [13.4, 52.53, 13.41, 52.51]
+      }
+    }
+
+    it('should convert features to Nominatim-style place records', () => {
+      const place = photonFeatureToPlace(photonFeature)
+
+      expect(place).toMatchObject({
+        place_id: 'N123',
+        osm_type: 'node',
+        osm_id: 123,
+        name: 'Test Cafe',
+        lat: '52.52',
+        lon: '13.405',
+        class: 'amenity',
+        type: 'cafe',
+        address: {
+          road: 'Main Street',
+          house_number: '1',
+          city: 'Berlin',
+          country: 'Germany',
+          country_code: 'de'
+        },
+        boundingbox: ['52.51', '52.53', '13.4', '13.41']
+      })
+      expect(place.display_name).toBe('Test Cafe, Main Street 1, Berlin, Germany')
+    })
+
+    it('should filter by bbox and OSM tag for category searches', async () => {
+      mockJson({ type: 'FeatureCollection', features: [photonFeature] })
+
+      const provider = createPhotonProvider()
+      const viewbox = { south: 52.4, west: 13.3, north: 52.6, east: 13.5 }
+      const places = await provider.searchCategory('cafe', { viewbox })
+
+      const callUrl = global.fetch.mock.calls[0][0]
+      expect(callUrl).toContain('photon.komoot.io/api/')
+      expect(callUrl).toContain('bbox=13.3%2C52.4%2C13.5%2C52.6')
+      expect(callUrl).toContain('osm_tag=amenity%3Acafe')
+      expect(places).toHaveLength(1)
+    })
+
+    it('should bias instead of bound unbounded searches', async () => {
+      mockJson({ features: [] })
+
+      const provider = createPhotonProvider()
+      const viewbox = { south: 52.4, west: 13.3, north: 52.6, east: 13.5 }
+      await provider.search('berlin', { viewbox, bounded: false })
+
+      const callUrl = global.fetch.mock.calls[0][0]
+      expect(callUrl).not.toContain('bbox=')
+      expect(callUrl).toContain('lat=52.5')
+      expect(callUrl).toContain('lon=13.4')
+    })
+
+    it('should report Photon in API errors', async () => {
+      global.fetch.mockResolvedValueOnce({ ok: false, status: 503 })
+
+      const provider = createPhotonProvider()
+      await expect(provider.search('test')).rejects.toThrow('Photon API error: 503')
+    })
+  })
+
+  describe('Pelias provider', () => {
+    it('should convert features to Nominatim-style place records', () => {
+      const place = peliasFeatureToPlace({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [13.405, 52.52] },
+        bbox: [13.4, 52.51, 13.41, 52.53],
+        properties: {
+          gid: 'openstreetmap:venue:node/123',
+          layer: 'venue',
+          name: 'Test Cafe',
+          label: 'Test Cafe, Berlin, Germany',
+          street: 'Main Street',
+          housenumber: '1',
+          locality: 'Berlin',
+          country: 'Germany'
+        }
+      })
+
+      expect(place).toMatchObject({
+        place_id: 'openstreetmap:venue:node/123',
+        name: 'Test Cafe',
+        display_name: 'Test Cafe, Berlin, Germany',
+        lat: '52.52',
+        lon: '13.405',
+        address: { road: 'Main Street', house_number: '1', city: 'Berlin', country: 'Germany' },
+        boundingbox: ['52.51', '52.53', '13.4', '13.41']
+      })
+    })
+
+    it('should restrict category searches to the viewbox', async () => {
+      mockJson({ features: [] })
+
+      const provider = createPeliasProvider({ baseUrl: 'http://pelias.local:4000' })
+      const viewbox = { south: 52.4, west: 13.3, north: 52.6, east: 13.5 }
+      await provider.searchCategory('pharmacy', { viewbox })
+
+      const callUrl = global.fetch.mock.calls[0][0]
+      expect(callUrl).toContain('http://pelias.local:4000/v1/search?')
+      expect(callUrl).toContain('text=pharmacy')
+      expect(callUrl).toContain('boundary.rect.min_lon=13.3')
+      expect(callUrl).toContain('boundary.rect.max_lat=52.6')
+    })
+  })
+})
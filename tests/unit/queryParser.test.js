@@ -0,0 +1,143 @@
+import { describe, it, expect } from 'vitest'
+import {
+  parseQuery,
+  findCategory,
+  isInterpreted,
+  formatQuery,
+  withoutQueryPart
+} from '../../src/services/queryParser.js'
+
+describe('Query parser', () => {
+  describe('parseQuery', () => {
+    it('should read categories and a place to search near', () => {
+      expect(parseQuery('cheap cafes near Alexanderplatz')).toEqual({
+        text: '',
+        categories: ['cafe'],
+        location: { relation: 'near', name: 'Alexanderplatz' }
+      })
+    })
+
+    it('should read an area to search in', () => {
+      expect(parseQuery('pharmacies in Kreuzberg')).toEqual({
+        text: '',
+        categories: ['pharmacy'],
+        location: { relation: 'in', name: 'Kreuzberg' }
+      })
+      expect(parseQuery('  sushi within  Prenzlauer Berg ').location).toEqual({ relation: 'in', name: 'Prenzlauer Berg' })
+    })
+
+    it('should keep the place name whole', () => {
+      expect(parseQuery('hotels in Frankfurt am Main').location).toEqual({ relation: 'in', name: 'Frankfurt am Main' })
+      expect(parseQuery('parking close to Brandenburger Tor').location)
+        .toEqual({ relation: 'near', name: 'Brandenburger Tor' })
+    })
+
+    it('should read "near me" and "nearby" as the user\'s position', () => {
+      const nearMe = { relation: 'near', name: null }
+
+      expect(parseQuery('atms near me').location).toEqual(nearMe)
+      expect(parseQuery('supermarket nearby').location).toEqual(nearMe)
+      expect(parseQuery('coffee around here').location).toEqual(nearMe)
+    })
+
+    it('should read synonyms, plurals and several categories', () => {
+      expect(parseQuery('coffee').categories).toEqual(['cafe'])
+      expect(parseQuery('gas stations').categories).toEqual(['fuel'])
+      expect(parseQuery('banks and ATMs').categories).toEqual(['bank', 'atm'])
+    })
+
+    it('should search as text when more than categories is asked for', () => {
+      expect(parseQuery('hotel berlin')).toEqual({ text: 'hotel berlin', categories: [], location: null })
+      expect(parseQuery('sushi near Alexanderplatz')).toEqual({
+        text: 'sushi',
+        categories: [],
+        location: { relation: 'near', name: 'Alexanderplatz' }
+      })
+    })
+
+    it('should not read an area from "in me"', () => {
+      expect(parseQuery('cafes in me').location).toBeNull()
+    })
+
+    it('should search the given categories', () => {
+      const categories = { custom_charger: { label: 'EV chargers', phrase: 'charging station' } }
+
+      expect(parseQuery('charging stations nearby', categories).categories).toEqual(['custom_charger'])
+      expect(parseQuery('cafes', categories).categories).toEqual([])
+    })
+  })
+
+  describe('isInterpreted', () => {
+    it('should tell parsed queries from plain text', () => {
+      expect(isInterpreted(parseQuery('cafes'))).toBe(true)
+      expect(isInterpreted(parseQuery('sushi in Kreuzberg'))).toBe(true)
+      expect(isInterpreted(parseQuery('Pergamon'))).toBe(false)
+    })
+  })
+
+  describe('findCategory', () => {
+    it('should match labels and phrases in singular and plural', () => {
+      expect(findCategory('Pharmacies')).toBe('pharmacy')
+      expect(findCategory('pharmacy')).toBe('pharmacy')
+      expect(findCategory('gas  station')).toBe('fuel')
+      expect(findCategory('ATMs')).toBe('atm')
+      expect(findCategory('parking')).toBe('parking')
+    })
+
+    it('should match synonyms', () => {
+      expect(findCategory('Coffee shops')).toBe('cafe')
+      expect(findCategory('chemist')).toBe('pharmacy')
+      expect(findCategory('petrol')).toBe('fuel')
+    })
+
+    it('should return null for other words', () => {
+      expect(findCategory('sushi')).toBeNull()
+      expect(findCategory('')).toBeNull()
+    })
+
+    it('should search the given categories', () => {
+      const categories = { custom_charger: { label: 'EV chargers', phrase: 'charging station' } }
+
+      expect(findCategory('charging stations', categories)).toBe('custom_charger')
+      expect(findCategory('cafes', categories)).toBeNull()
+    })
+  })
+
+  describe('formatQuery', () => {
+    it('should write a parsed query back as text', () => {
+      expect(formatQuery(parseQuery('cheap cafes near Alexanderplatz'))).toBe('cafes near Alexanderplatz')
+      expect(formatQuery(parseQuery('sushi in Kreuzberg'))).toBe('sushi in Kreuzberg')
+      expect(formatQuery(parseQuery('atms nearby'))).toBe('atms near me')
+    })
+
+    it('should search the place itself when only the location is left', () => {
+      expect(formatQuery({ text: '', categories: [], location: { relation: 'near', name: 'Alexanderplatz' } }))
+        .toBe('Alexanderplatz')
+      expect(formatQuery({ text: '', categories: [], location: { relation: 'near', name: null } })).toBe('')
+    })
+  })
+
+  describe('withoutQueryPart', () => {
+    const parsed = parseQuery('banks and atms near Alexanderplatz')
+
+    it('should remove a category', () => {
+      expect(formatQuery(withoutQueryPart(parsed, { type: 'category', key: 'bank' }))).toBe('atms near Alexanderplatz')
+    })
+
+    it('should remove the location', () => {
+      expect(formatQuery(withoutQueryPart(parsed, { type: 'location' }))).toBe('banks atms')
+    })
+
+    it('should remove the text', () => {
+      const sushi = parseQuery('sushi in Kreuzberg')
+
+      expect(withoutQueryPart(sushi, { type: 'text' })).toEqual({ ...sushi, text: '' })
+    })
+
+    it('should not change the parsed query', () => {
+      withoutQueryPart(parsed, { type: 'location' })
+
+      expect(parsed.location).toEqual({ relation: 'near', name: 'Alexanderplatz' })
+    })
+  })
+})
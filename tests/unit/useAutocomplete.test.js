@@ -0,0 +1,81 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { useAutocomplete } from '../../src/composables/useAutocomplete.js'
+
+vi.mock('../../src/services/nominatim.js', () => ({
+  autocomplete: vi.fn(),
+  isAbortError: err => err?.name === 'AbortError'
+}))
+
+import { autocomplete } from '../../src/services/nominatim.js'
+
+describe('useAutocomplete Composable', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('should fetch suggestions with the map viewport', async () => {
+    const mockSuggestions = [{ id: 1, name: 'Café Einstein' }]
+    autocomplete.mockResolvedValueOnce(mockSuggestions)
+
+    const { fetchSuggestions, suggestions } = useAutocomplete()
+    const bounds = { south: 52.4, west: 13.3, north: 52.6, east: 13.5 }
+
+    await fetchSuggestions('cafe ', bounds)
+
+    expect(autocomplete).toHaveBeenCalledWith('cafe', {
+      viewbox: bounds,
+      signal: expect.any(AbortSignal)
+    })
+    expect(suggestions.value).toEqual(mockSuggestions)
+  })
+
+  it('should not request suggestions for short queries', async () => {
+    const { fetchSuggestions, suggestions } = useAutocomplete()
+
+    await fetchSuggestions('ca', null)
+
+    expect(autocomplete).not.toHaveBeenCalled()
+    expect(suggestions.value).toEqual([])
+  })
+
+  it('should abort the previous request and keep only the latest suggestions', async () => {
+    let resolveFirst
+    autocomplete.mockReturnValueOnce(new Promise(resolve => { resolveFirst = resolve }))
+    autocomplete.mockResolvedValueOnce([{ id: 2, name: 'Cafe B' }])
+
+    const { fetchSuggestions, suggestions } = useAutocomplete()
+
+    const first = fetchSuggestions('caf', null)
+    const firstSignal = autocomplete.mock.calls[0][1].signal
+    await fetchSuggestions('cafe', null)
+
+    resolveFirst([{ id: 1, name: 'Cafe A' }])
+    await first
+
+    expect(firstSignal.aborted).toBe(true)
+    expect(suggestions.value).toEqual([{ id: 2, name: 'Cafe B' }])
+  })
+
+  it('should fail quietly', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    autocomplete.mockRejectedValueOnce(new Error('Photon API error: 503'))
+
+    const { fetchSuggestions, suggestions, isSuggesting } = useAutocomplete()
+
+    await fetchSuggestions('cafe', null)
+
+    expect(suggestions.value).toEqual([])
+    expect(isSuggesting.value).toBe(false)
+  })
+
+  it('should clear suggestions', async () => {
+    autocomplete.mockResolvedValueOnce([{ id: 1 }])
+
+    const { fetchSuggestions, clearSuggestions, suggestions } = useAutocomplete()
+
+    await fetchSuggestions('cafe', null)
+    clearSuggestions()
+
+    expect(suggestions.value).toEqual([])
+  })
+})
@@ -0,0 +1,154 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { IDBFactory } from 'fake-indexeddb'
+
+let useCollections
+
+const poi = (id, name) => ({
+  id,
+  name,
+  address: 'Berlin',
+  lat: 52.5,
+  lon: 13.4,
+  category: 'cafe',
+  icon: '☕',
+  raw: {}
+})
+
+const cafe = poi(1, 'Cafe One')
+const bar = poi(2, 'Cafe Two')
+const bakery = poi('node/3', 'Cafe Three')
+
+describe('useCollections', () => {
+  beforeEach(async () => {
+    vi.resetModules()
+    // Fresh database for every test
+    globalThis.indexedDB = new IDBFactory()
+
+    const module = await import('../../src/composables/useCollections.js')
+    useCollections = module.useCollections
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    delete globalThis.indexedDB
+  })
+
+  it('should create visible collections', async () => {
+    const { collections, createCollection } = useCollections()
+
+    const collection = await createCollection('  Berlin client visits ', [cafe, cafe, bar])
+
+    expect(collection.name).toBe('Berlin client visits')
+    expect(collection.visible).toBe(true)
+    expect(collection.pois.map(item => item.id)).toEqual([1, 2])
+    expect(collection.pois[0].note).toBe('')
+    expect(collections.value).toHaveLength(1)
+  })
+
+  it('should add, annotate and remove POIs', async () => {
+    const { collections, createCollection, addToCollection, updateNote, removeFromCollection, hasPOI } = useCollections()
+    const { id } = await createCollection('Trip')
+
+    await addToCollection(id, cafe)
+    await addToCollection(id, cafe)
+    await addToCollection(id, bar, 'Lunch')
+    await updateNote(id, 1, 'Coffee first')
+
+    expect(collections.value[0].pois.map(item => [item.id, item.note])).toEqual([
+      [1, 'Coffee first'],
+      [2, 'Lunch']
+    ])
+    expect(hasPOI(id, bar)).toBe(true)
+
+    await removeFromCollection(id, 2)
+    expect(hasPOI(id, bar)).toBe(false)
+  })
+
+  it('should reorder POIs', async () => {
+    const { collections, createCollection, movePOI } = useCollections()
+    const { id } = await createCollection('Trip', [cafe, bar, bakery])
+
+    await movePOI(id, 2, 0)
+    expect(collections.value[0].pois.map(item => item.id)).toEqual(['node/3', 1, 2])
+
+    // Out of range moves are ignored
+    await movePOI(id, 0, -1)
+    expect(collections.value[0].pois.map(item => item.id)).toEqual(['node/3', 1, 2])
+  })
+
+  it('should toggle visibility', async () => {
+    const { collections, createCollection, toggleCollectionVisibility } = useCollections()
+    const { id } = await createCollection('Trip')
+
+    await toggleCollectionVisibility(id)
+
+    expect(collections.value[0].visible).toBe(false)
+  })
+
+  it('should persist collections across instances', async () => {
+    const first = useCollections()
+    const { id } = await first.createCollection('Trip', [cafe])
+    await first.addToCollection(id, bar, 'Dinner')
+    const other = await first.createCollection('Other')
+    await first.deleteCollection(other.id)
+
+    const second = useCollections()
+    await second.loadCollections()
+
+    expect(second.collections.value).toHaveLength(1)
+    expect(second.collections.value[0].name).toBe('Trip')
+    expect(second.collections.value[0].pois[1]).toMatchObject({ id: 2, note: 'Dinner' })
+  })
+
+  it('should export collections as GeoJSON and GPX', async () => {
+    const { createCollection, exportCollection } = useCollections()
+    const { id } = await createCollection('Berlin client visits', [cafe, bar])
+
+    const geojson = exportCollection(id, 'geojson')
+    expect(geojson.filename).toBe('berlin-client-visits.geojson')
+    expect(geojson.mimeType).toBe('application/geo+json')
+    expect(JSON.parse(geojson.content).features).toHaveLength(2)
+
+    const gpx = exportCollection(id, 'gpx')
+    expect(gpx.filename).toBe('berlin-client-visits.gpx')
+    expect(gpx.content).toContain('<wpt')
+
+    expect(exportCollection(id, 'shp')).toBe(null)
+  })
+
+  it('should import collections from exported files', async () => {
+    const { collections, createCollection, exportCollection, importCollection } = useCollections()
+    const { id } = await createCollection('Trip', [cafe, bar])
+    const { content } = exportCollection(id, 'gpx')
+
+    const imported = await importCollection(content, 'trip-copy.gpx')
+
+    expect(imported.name).toBe('Trip')
+    expect(imported.pois).toHaveLength(2)
+    expect(collections.value).toHaveLength(2)
+  })
+
+  it('should name imported collections after the file', async () => {
+    const { importCollection } = useCollections()
+    const text = JSON.stringify({
+      type: 'FeatureCollection',
+      features: [{ type: 'Feature', geometry: { type: 'Point', coordinates: [13.4, 52.5] }, properties: { name: 'Spot' } }]
+    })
+
+    const imported = await importCollection(text, 'weekend.geojson')
+
+    expect(imported.name).toBe('weekend')
+  })
+
+  it('should report import errors', async () => {
+    const { collections, error, importCollection } = useCollections()
+
+    expect(await importCollection('hello', 'notes.txt')).toBe(null)
+    expect(error.value).toContain('Unsupported file format')
+
+    expect(await importCollection('{"type":"FeatureCollection","features":[]}', 'empty.geojson')).toBe(null)
+    expect(error.value).toBe('No places found in file')
+
+    expect(collections.value).toEqual([])
+  })
+})
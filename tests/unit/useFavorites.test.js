@@ -0,0 +1,135 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { reactive } from 'vue'
+import { IDBFactory } from 'fake-indexeddb'
+
+let useFavorites
+
+const cafe = {
+  id: 1,
+  name: 'Cafe Central',
+  displayName: 'Cafe Central, Berlin',
+  address: 'Berlin',
+  lat: 52.52,
+  lon: 13.405,
+  category: 'cafe',
+  categoryLabel: 'Cafe',
+  icon: '☕',
+  raw: { place_id: 1, extratags: { wifi: 'yes' } }
+}
+
+const museum = {
+  id: 'node/2',
+  name: 'City Museum',
+  address: 'Berlin',
+  lat: 52.51,
+  lon: 13.39,
+  category: 'museum',
+  icon: '🏛️',
+  raw: {}
+}
+
+describe('useFavorites', () => {
+  beforeEach(async () => {
+    vi.resetModules()
+    // Fresh database for every test
+    globalThis.indexedDB = new IDBFactory()
+
+    const module = await import('../../src/composables/useFavorites.js')
+    useFavorites = module.useFavorites
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    delete globalThis.indexedDB
+  })
+
+  it('should start empty', async () => {
+    const { favorites, isLoaded, loadFavorites } = useFavorites()
+
+    await loadFavorites()
+
+    expect(favorites.value).toEqual([])
+    expect(isLoaded.value).toBe(true)
+  })
+
+  it('should add and remove favorites', async () => {
+    const { favorites, isFavorite, addFavorite, removeFavorite } = useFavorites()
+
+    await addFavorite(cafe)
+    expect(isFavorite(cafe)).toBe(true)
+    expect(favorites.value).toHaveLength(1)
+    expect(favorites.value[0].savedAt).toEqual(expect.any(Number))
+
+    await removeFavorite(cafe)
+    expect(isFavorite(cafe)).toBe(false)
+    expect(favorites.value).toEqual([])
+  })
+
+  it('should not add the same POI twice', async () => {
+    const { favorites, addFavorite } = useFavorites()
+
+    await addFavorite(cafe)
+    await addFavorite({ ...cafe })
+
+    expect(favorites.value).toHaveLength(1)
+  })
+
+  it('should toggle favorites', async () => {
+    const { isFavorite, toggleFavorite } = useFavorites()
+
+    await toggleFavorite(museum)
+    expect(isFavorite(museum)).toBe(true)
+
+    await toggleFavorite(museum)
+    expect(isFavorite(museum)).toBe(false)
+  })
+
+  it('should persist favorites across instances', async () => {
+    const first = useFavorites()
+    await first.addFavorite(cafe)
+    await first.addFavorite(museum)
+    await first.removeFavorite(cafe)
+
+    const second = useFavorites()
+    await second.loadFavorites()
+
+    expect(second.favorites.value.map(poi => poi.id)).toEqual(['node/2'])
+    expect(second.favorites.value[0].name).toBe('City Museum')
+  })
+
+  it('should keep favorites in the order they were saved', async () => {
+    const now = vi.spyOn(Date, 'now')
+    const first = useFavorites()
+
+    now.mockReturnValue(2000)
+    await first.addFavorite(museum)
+    now.mockReturnValue(1000)
+    await first.addFavorite(cafe)
+
+    const second = useFavorites()
+    await second.loadFavorites()
+
+    expect(second.favorites.value.map(poi => poi.id)).toEqual([1, 'node/2'])
+  })
+
+  it('should store reactive POIs as plain copies', async () => {
+    const first = useFavorites()
+    await first.addFavorite(reactive({ ...cafe }))
+
+    const second = useFavorites()
+    await second.loadFavorites()
+
+    expect(second.favorites.value[0].raw.extratags).toEqual({ wifi: 'yes' })
+  })
+
+  it('should work without IndexedDB', async () => {
+    delete globalThis.indexedDB
+    const { favorites, isLoaded, loadFavorites, toggleFavorite } = useFavorites()
+
+    await loadFavorites()
+    await toggleFavorite(cafe)
+
+    expect(isLoaded.value).toBe(true)
+    expect(favorites.value).toHaveLength(1)
+  })
+})
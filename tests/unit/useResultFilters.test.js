@@ -0,0 +1,171 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { mount } from '@vue/test-utils'
+import { defineComponent, ref, nextTick } from 'vue'
+import { useResultFilters } from '../../src/composables/useResultFilters.js'
+import { parseDetails } from '../../src/services/details.js'
+
+describe('useResultFilters', () => {
+  const results = ref([
+    { id: 1, name: 'Day cafe', details: parseDetails({ opening_hours: 'Mo-Su 08:00-18:00' }) },
+    { id: 2, name: 'Night bar', details: parseDetails({ opening_hours: 'Mo-Su 18:00-02:00' }) },
+    { id: 3, name: 'Old favorite', raw: { extratags: { opening_hours: '24/7' } } },
+    { id: 4, name: 'No hours' }
+  ])
+
+  function mountFilters() {
+    let filters
+    const wrapper = mount(defineComponent({
+      setup() {
+        filters = useResultFilters(results)
+        return () => null
+      }
+    }))
+    return { wrapper, filters }
+  }
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('should return all results when no filter is active', () => {
+    const { filters } = mountFilters()
+
+    expect(filters.filteredResults.value).toHaveLength(4)
+    expect(filters.hiddenCount.value).toBe(0)
+  })
+
+  it('should keep only places open now', () => {
+    vi.useFakeTimers()
+    vi.setSystemTime(new Date(2024, 5, 3, 12, 0))
+    const { filters } = mountFilters()
+
+    filters.openNow.value = true
+
+    expect(filters.filteredResults.value.map(poi => poi.id)).toEqual([1, 3])
+    expect(filters.hiddenCount.value).toBe(2)
+  })
+
+  it('should re-evaluate as time passes', async () => {
+    vi.useFakeTimers()
+    vi.setSystemTime(new Date(2024, 5, 3, 17, 59))
+    const { filters } = mountFilters()
+    filters.openNow.value = true
+
+    expect(filters.filteredResults.value.map(poi => poi.id)).toEqual([1, 3])
+
+    vi.advanceTimersByTime(60 * 1000)
+    await nextTick()
+
+    expect(filters.filteredResults.value.map(poi => poi.id)).toEqual([2, 3])
+  })
+
+  it('should keep the same list when a clock tick changes nothing', async () => {
+    vi.useFakeTimers()
+    vi.setSystemTime(new Date(2024, 5, 3, 12, 0))
+    const { filters } = mountFilters()
+    filters.openNow.value = true
+
+    const before = filters.filteredResults.value
+    vi.advanceTimersByTime(60 * 1000)
+    await nextTick()
+
+    expect(filters.filteredResults.value).toBe(before)
+  })
+
+  it('should close places on the public holidays of their country', async () => {
+    vi.useFakeTimers()
+    // German Unity Day, a Thursday
+    vi.setSystemTime(new Date(2024, 9, 3, 12, 0))
+    const { filters } = mountFilters()
+    const previous = results.value
+    const hours = parseDetails({ opening_hours: 'Mo-Fr 09:00-18:00; PH off' })
+
+    results.value = [
+      { id: 1, name: 'Berlin shop', details: hours, raw: { address: { country_code: 'de' } } },
+      { id: 2, name: 'Paris shop', details: hours, raw: { address: { country_code: 'fr' } } },
+      { id: 3, name: 'Unknown country', details: hours }
+    ]
+    await nextTick()
+    filters.openNow.value = true
+
+    expect(filters.filteredResults.value.map(poi => poi.id)).toEqual([2, 3])
+
+    vi.setSystemTime(new Date(2024, 9, 2, 12, 0))
+    vi.advanceTimersByTime(60 * 1000)
+    await nextTick()
+
+    expect(filters.filteredResults.value.map(poi => poi.id)).toEqual([1, 2, 3])
+    results.value = previous
+  })
+
+  it('should filter by facets', () => {
+    const { filters } = mountFilters()
+
+    filters.toggleFacet('tag', 'opening_hours')
+    expect(filters.filteredResults.value.map(poi => poi.id)).toEqual([1, 2, 3])
+    expect(filters.hiddenCount.value).toBe(1)
+    expect(filters.hasActiveFacets.value).toBe(true)
+
+    filters.toggleFacet('tag', 'opening_hours')
+    expect(filters.filteredResults.value).toHaveLength(4)
+    expect(filters.hasActiveFacets.value).toBe(false)
+  })
+
+  it('should count facets after the open now filter', () => {
+    vi.useFakeTimers()
+    vi.setSystemTime(new Date(2024, 5, 3, 12, 0))
+    const { filters } = mountFilters()
+
+    filters.openNow.value = true
+
+    const hours = filters.facets.value.tag.find(entry => entry.value === 'opening_hours')
+    expect(hours.count).toBe(2)
+  })
+
+  it('should clear facets when new results arrive', async () => {
+    const { filters } = mountFilters()
+    const previous = results.value
+
+    filters.toggleFacet('tag', 'opening_hours')
+    results.value = [...previous]
+    await nextTick()
+
+    expect(filters.hasActiveFacets.value).toBe(false)
+    results.value = previous
+  })
+
+  it('should keep facets when a page is appended', async () => {
+    const { filters } = mountFilters()
+    const previous = results.value
+
+    filters.toggleFacet('tag', 'opening_hours')
+    results.value = [...previous, { id: 5, name: 'Next page' }]
+    await nextTick()
+
+    expect(filters.hasActiveFacets.value).toBe(true)
+    results.value = previous
+  })
+
+  it('should keep facets when a loaded page is sorted in between', async () => {
+    const { filters } = mountFilters()
+    const previous = results.value
+    const nearest = { id: 5, name: 'Nearest cafe', details: parseDetails({ opening_hours: '24/7' }) }
+
+    filters.toggleFacet('tag', 'opening_hours')
+    results.value = [nearest, ...[...previous].reverse()]
+    await nextTick()
+
+    expect(filters.hasActiveFacets.value).toBe(true)
+    expect(filters.filteredResults.value.map(poi => poi.id)).toEqual([5, 3, 2, 1])
+    results.value = previous
+  })
+
+  it('should stop the clock when unmounted', () => {
+    vi.useFakeTimers()
+    const { wrapper } = mountFilters()
+
+    expect(vi.getTimerCount()).toBe(1)
+    wrapper.unmount()
+    expect(vi.getTimerCount()).toBe(0)
+  })
+})
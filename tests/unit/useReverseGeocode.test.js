@@ -0,0 +1,91 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { useReverseGeocode } from '../../src/composables/useReverseGeocode.js'
+
+vi.mock('../../src/services/nominatim.js', () => ({
+  reverseGeocode: vi.fn(),
+  normalizePOI: item => ({ id: item.place_id, displayName: item.display_name }),
+  isAbortError: err => err?.name === 'AbortError'
+}))
+
+import { reverseGeocode } from '../../src/services/nominatim.js'
+
+describe('useReverseGeocode Composable', () => {
+  const point = { lat: 52.52, lng: 13.405 }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('should drop a pin and look up its address', async () => {
+    reverseGeocode.mockResolvedValueOnce({ place_id: 7, display_name: 'Alexanderplatz 1, Berlin' })
+
+    const { lookupPoint, pin } = useReverseGeocode()
+    const lookup = lookupPoint(point)
+
+    expect(pin.value).toMatchObject({ ...point, isLoading: true, place: null })
+
+    await lookup
+
+    expect(reverseGeocode).toHaveBeenCalledWith(52.52, 13.405, { signal: expect.any(AbortSignal) })
+    expect(pin.value).toEqual({
+      ...point,
+      place: { id: 7, displayName: 'Alexanderplatz 1, Berlin' },
+      isLoading: false,
+      error: null
+    })
+  })
+
+  it('should report points without an address', async () => {
+    reverseGeocode.mockResolvedValueOnce(null)
+
+    const { lookupPoint, pin } = useReverseGeocode()
+    await lookupPoint(point)
+
+    expect(pin.value).toMatchObject({ place: null, isLoading: false, error: 'No address found here' })
+  })
+
+  it('should report failed lookups', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    reverseGeocode.mockRejectedValueOnce(new Error('Network error'))
+
+    const { lookupPoint, pin } = useReverseGeocode()
+    await lookupPoint(point)
+
+    expect(pin.value).toMatchObject({ isLoading: false, error: 'Looking up the address failed' })
+  })
+
+  it('should abort the previous lookup when another point is picked', async () => {
+    let firstSignal
+    reverseGeocode
+      .mockImplementationOnce((lat, lon, { signal }) => {
+        firstSignal = signal
+        return new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')))
+        })
+      })
+      .mockResolvedValueOnce({ place_id: 2, display_name: 'Second' })
+
+    const { lookupPoint, pin } = useReverseGeocode()
+    const first = lookupPoint(point)
+    await lookupPoint({ lat: 48.1, lng: 11.5 })
+    await first
+
+    expect(firstSignal.aborted).toBe(true)
+    expect(pin.value).toMatchObject({ lat: 48.1, lng: 11.5, place: { id: 2 }, isLoading: false })
+  })
+
+  it('should remove the pin and cancel the lookup', async () => {
+    let signal
+    reverseGeocode.mockImplementationOnce((lat, lon, options) => {
+      signal = options.signal
+      return new Promise(() => {})
+    })
+
+    const { lookupPoint, clearPin, pin } = useReverseGeocode()
+    lookupPoint(point)
+    clearPin()
+
+    expect(signal.aborted).toBe(true)
+    expect(pin.value).toBeNull()
+  })
+})
@@ -1,10 +1,18 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { mount } from '@vue/test-utils'
+import { defineComponent, nextTick } from 'vue'
 import { useSearch } from '../../src/composables/useSearch.js'
+import { useResultFilters } from '../../src/composables/useResultFilters.js'
 
 // Mock the nominatim service
 vi.mock('../../src/services/nominatim.js', () => ({
   searchPOI: vi.fn(),
   searchByCategory: vi.fn(),
+  searchByCategories: vi.fn(),
+  geocodeArea: vi.fn(),
+  isAbortError: err => err?.name === 'AbortError',
+  isCategorySearchComplete: vi.fn(() => false),
+  PAGE_SIZE: 3,
   getInitialCategories: () => [
     { key: 'restaurant', label: 'Restaurants', icon: '🍽️' },
     { key: 'hotel', label: 'Hotels', icon: '🏨' },
@@ -19,11 +27,18 @@ vi.mock('../../src/services/nominatim.js', () => ({
   }
 }))
 
-import { searchPOI, searchByCategory } from '../../src/services/nominatim.js'
+import {
+  searchPOI,
+  searchByCategory,
+  searchByCategories,
+  geocodeArea,
+  isCategorySearchComplete
+} from '../../src/services/nominatim.js'
 
 describe('useSearch Composable', () => {
   beforeEach(() => {
     vi.clearAllMocks()
+    localStorage.clear()
   })
 
   describe('initial state', () => {
@@ -69,6 +84,59 @@ describe('useSearch Composable', () => {
       expect(mapBounds.value).toEqual(bounds)
       expect(mapCenter.value).toEqual(center)
     })
+
+    it('should update map zoom', () => {
+      const { updateMapViewport, mapZoom } = useSearch()
+
+      updateMapViewport(null, null, 14)
+
+      expect(mapZoom.value).toBe(14)
+    })
+  })
+
+  describe('distanceOrigin', () => {
+    it('should be null without map center or user location', () => {
+      const { distanceOrigin } = useSearch()
+
+      expect(distanceOrigin.value).toBeNull()
+    })
+
+    it('should fall back to the map center', () => {
+      const { updateMapViewport, distanceOrigin } = useSearch()
+
+      updateMapViewport(null, { lat: 52.5, lng: 13.4 })
+
+      expect(distanceOrigin.value).toEqual({ lat: 52.5, lng: 13.4, source: 'map' })
+    })
+
+    it('should prefer the user location', () => {
+      const { updateMapViewport, setUserLocation, distanceOrigin } = useSearch()
+
+      updateMapViewport(null, { lat: 52.5, lng: 13.4 })
+      setUserLocation({ lat: 48.1, lng: 11.6 })
+
+      expect(distanceOrigin.value).toEqual({ lat: 48.1, lng: 11.6, source: 'user' })
+    })
+  })
+
+  describe('fitToResults', () => {
+    it('should fit the map to results by default', async () => {
+      searchPOI.mockResolvedValueOnce([{ id: 1 }])
+
+      const { search, fitToResults } = useSearch()
+      await search('test')
+
+      expect(fitToResults.value).toBe(true)
+    })
+
+    it('should keep the map view when restoring a search', async () => {
+      searchByCategory.mockResolvedValueOnce([{ id: 1 }])
+
+      const { searchCategory, fitToResults } = useSearch()
+      await searchCategory('cafe', { fitBounds: false })
+
+      expect(fitToResults.value).toBe(false)
+    })
   })
 
   describe('search', () => {
@@ -91,11 +159,12 @@ describe('useSearch Composable', () => {
       const bounds = { south: 52.4, west: 13.3, north: 52.6, east: 13.5 }
       updateMapViewport(bounds, null)
 
-      await search('coffee shop', 'cafe')
+      await search('espresso bar', 'cafe')
 
-      expect(searchPOI).toHaveBeenCalledWith('coffee shop', {
+      expect(searchPOI).toHaveBeenCalledWith('espresso bar', {
         category: 'cafe',
-        viewbox: bounds
+        viewbox: bounds,
+        signal: expect.any(AbortSignal)
       })
       expect(results.value).toEqual(mockResults)
     })
@@ -118,7 +187,8 @@ describe('useSearch Composable', () => {
       // Verify viewport is passed to search function
       expect(searchPOI).toHaveBeenCalledWith('airport', {
         category: '',
-        viewbox: frankfurtBounds
+        viewbox: frankfurtBounds,
+        signal: expect.any(AbortSignal)
       })
       expect(results.value).toEqual(mockFrankfurtAirport)
     })
@@ -174,7 +244,9 @@ describe('useSearch Composable', () => {
 
       await searchCategory('cafe')
 
-      expect(searchByCategory).toHaveBeenCalledWith('cafe', bounds, center)
+      expect(searchByCategory).toHaveBeenCalledWith('cafe', bounds, center, {
+        signal: expect.any(AbortSignal)
+      })
       expect(results.value).toEqual(mockResults)
     })
 
@@ -187,6 +259,61 @@ describe('useSearch Composable', () => {
       expect(searchByCategory).not.toHaveBeenCalled()
     })
 
+    it('should search several categories at once', async () => {
+      const mockResults = [{ id: 1, sourceCategory: 'cafe' }, { id: 2, sourceCategory: 'park' }]
+      searchByCategories.mockResolvedValueOnce(mockResults)
+
+      const { searchCategory, results, selectedCategories, updateMapViewport } = useSearch()
+
+      const bounds = { south: 52.4, west: 13.3, north: 52.6, east: 13.5 }
+      const center = { lat: 52.5, lng: 13.4 }
+      updateMapViewport(bounds, center)
+
+      await searchCategory(['cafe', 'park'])
+
+      expect(searchByCategories).toHaveBeenCalledWith(['cafe', 'park'], bounds, center, {
+        signal: expect.any(AbortSignal)
+      })
+      expect(searchByCategory).not.toHaveBeenCalled()
+      expect(results.value).toEqual(mockResults)
+      expect(selectedCategories.value).toEqual(['cafe', 'park'])
+    })
+
+    it('should search around a given point', async () => {
+      searchByCategory.mockResolvedValueOnce([{ id: 1 }])
+
+      const { searchCategory, updateMapViewport, lastSearch } = useSearch()
+      updateMapViewport({ south: 52.4, west: 13.3, north: 52.6, east: 13.5 }, { lat: 52.5, lng: 13.4 })
+
+      const point = { lat: 48, lng: 11 }
+      await searchCategory('cafe', { center: point })
+
+      const [, bounds, center] = searchByCategory.mock.calls[0]
+      expect(center).toEqual(point)
+      expect(bounds.south).toBeCloseTo(47.9)
+      expect(bounds.east).toBeCloseTo(11.1)
+      expect(lastSearch.value).toMatchObject({ center: point, bounds })
+    })
+
+    it('should reject lists with an unknown category', async () => {
+      const { searchCategory, error } = useSearch()
+
+      await searchCategory(['cafe', 'unknown'])
+
+      expect(error.value).toBe('Please select a category')
+      expect(searchByCategories).not.toHaveBeenCalled()
+    })
+
+    it('should name all categories when nothing is found', async () => {
+      searchByCategories.mockResolvedValueOnce([])
+
+      const { searchCategory, error } = useSearch()
+
+      await searchCategory(['cafe', 'hotel', 'park'])
+
+      expect(error.value).toBe('No cafes, hotels or parks found in this area. Try panning the map.')
+    })
+
     it('should show area-specific error when no results', async () => {
       searchByCategory.mockResolvedValueOnce([])
 
@@ -197,34 +324,48 @@ describe('useSearch Composable', () => {
       expect(error.value).toContain('No cafes found in this area')
     })
 
-    it('should maintain alphabetical order after category search', async () => {
+    it('should move the searched category to the top', async () => {
       searchByCategory.mockResolvedValueOnce([{ id: 1 }])
 
       const { searchCategory, categories } = useSearch()
 
       await searchCategory('park')
 
-      // Categories remain alphabetically sorted after search
-      // (cafe is first alphabetically in the mock data)
-      expect(categories.value[0].key).toBe('cafe')
+      expect(categories.value[0]).toMatchObject({ key: 'park', recent: true })
+      expect(categories.value.slice(1).map(c => c.key)).toEqual(['cafe', 'hotel', 'restaurant'])
     })
   })
 
-  describe('alphabetical category ordering', () => {
-    it('should maintain alphabetical order after search', async () => {
+  describe('category ordering', () => {
+    const DAY = 24 * 60 * 60 * 1000
+
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    it('should sort all categories by label alphabetically without history', () => {
+      const { categories } = useSearch()
+
+      // Verify the list is sorted alphabetically by label
+      for (let i = 1; i < categories.value.length; i++) {
+        const prev = categories.value[i - 1].label
+        const curr = categories.value[i].label
+        expect(prev.localeCompare(curr)).toBeLessThan(0)
+      }
+      expect(categories.value.some(c => c.recent)).toBe(false)
+    })
+
+    it('should put the categories of a text search first', async () => {
       searchPOI.mockResolvedValue([{ id: 1 }])
 
       const { search, categories } = useSearch()
-      const initialOrder = categories.value.map(c => c.key)
 
-      // Search with any category
-      await search('test', 'cafe')
+      await search('test', ['restaurant', 'park'])
 
-      // Order should remain alphabetical (unchanged)
-      expect(categories.value.map(c => c.key)).toEqual(initialOrder)
+      expect(categories.value.filter(c => c.recent).map(c => c.key)).toEqual(['park', 'restaurant'])
     })
 
-    it('should maintain alphabetical order for searches without category', async () => {
+    it('should keep the order for searches without category', async () => {
       searchPOI.mockResolvedValue([{ id: 1 }])
 
       const { search, categories } = useSearch()
@@ -235,15 +376,158 @@ describe('useSearch Composable', () => {
       expect(categories.value.map(c => c.key)).toEqual(initialOrder)
     })
 
-    it('should sort all categories by label alphabetically', () => {
+    it('should rank frequent categories above a single recent one', async () => {
+      searchByCategory.mockResolvedValue([{ id: 1 }])
+      vi.useFakeTimers({ toFake: ['Date'] })
+      vi.setSystemTime(new Date(2024, 5, 1))
+
+      const { searchCategory, categories } = useSearch()
+
+      await searchCategory('hotel')
+      await searchCategory('hotel')
+      await searchCategory('hotel')
+      vi.setSystemTime(new Date(2024, 5, 2))
+      await searchCategory('cafe')
+
+      expect(categories.value.slice(0, 2).map(c => c.key)).toEqual(['hotel', 'cafe'])
+    })
+
+    it('should let old usage decay', async () => {
+      searchByCategory.mockResolvedValue([{ id: 1 }])
+      vi.useFakeTimers({ toFake: ['Date'] })
+      vi.setSystemTime(new Date(2024, 5, 1))
+
+      await useSearch().searchCategory('hotel')
+
+      vi.setSystemTime(new Date(2024, 5, 1).getTime() + 60 * DAY)
       const { categories } = useSearch()
 
-      // Verify the list is sorted alphabetically by label
-      for (let i = 1; i < categories.value.length; i++) {
-        const prev = categories.value[i - 1].label
-        const curr = categories.value[i].label
-        expect(prev.localeCompare(curr)).toBeLessThan(0)
-      }
+      expect(categories.value[0].key).toBe('cafe')
+      expect(categories.value.some(c => c.recent)).toBe(false)
+    })
+
+    it('should persist usage across instances', async () => {
+      searchByCategory.mockResolvedValue([{ id: 1 }])
+
+      await useSearch().searchCategory('restaurant')
+
+      expect(useSearch().categories.value[0].key).toBe('restaurant')
+    })
+
+    it('should not count repeated or restored searches', async () => {
+      searchByCategory.mockResolvedValue([{ id: 1 }])
+      vi.useFakeTimers({ toFake: ['Date'] })
+      vi.setSystemTime(new Date(2024, 5, 1))
+
+      const { searchCategory, searchArea, categories } = useSearch()
+
+      await searchCategory('park', { recordUse: false })
+      expect(categories.value[0].key).toBe('cafe')
+
+      await searchCategory('hotel')
+      await searchArea()
+      await searchArea()
+      await searchCategory('restaurant')
+
+      // One use each: ties are ordered by label
+      expect(categories.value.slice(0, 2).map(c => c.key)).toEqual(['hotel', 'restaurant'])
+    })
+
+    it('should count categories picked in one go once', () => {
+      const { recordCategoryUse, categories } = useSearch()
+
+      recordCategoryUse(['park', 'hotel'])
+
+      expect(categories.value.filter(c => c.recent).map(c => c.key)).toEqual(['hotel', 'park'])
+    })
+
+    it('should clear the history', async () => {
+      searchByCategory.mockResolvedValue([{ id: 1 }])
+
+      const { searchCategory, clearCategoryHistory, categories } = useSearch()
+
+      await searchCategory('park')
+      clearCategoryHistory()
+
+      expect(categories.value[0].key).toBe('cafe')
+      expect(useSearch().categories.value[0].key).toBe('cafe')
+    })
+  })
+
+  describe('superseded searches', () => {
+    function deferred() {
+      let resolve
+      const promise = new Promise(r => { resolve = r })
+      return { promise, resolve }
+    }
+
+    it('should drop results of a search superseded by a category search', async () => {
+      const textSearch = deferred()
+      searchPOI.mockReturnValueOnce(textSearch.promise)
+      searchByCategory.mockResolvedValueOnce([{ id: 2, name: 'Cafe' }])
+
+      const { search, searchCategory, results, isLoading } = useSearch()
+
+      const first = search('Pergamon')
+      const second = searchCategory('cafe')
+      await second
+
+      // The older search finishes last but must not overwrite results
+      textSearch.resolve([{ id: 1, name: 'Museum' }])
+      await first
+
+      expect(results.value).toEqual([{ id: 2, name: 'Cafe' }])
+      expect(isLoading.value).toBe(false)
+    })
+
+    it('should abort the previous request when a new search starts', async () => {
+      searchPOI.mockReturnValueOnce(new Promise(() => {}))
+      searchPOI.mockResolvedValueOnce([])
+
+      const { search } = useSearch()
+
+      search('first')
+      const firstSignal = searchPOI.mock.calls[0][1].signal
+      await search('second')
+
+      expect(firstSignal.aborted).toBe(true)
+      expect(searchPOI.mock.calls[1][1].signal.aborted).toBe(false)
+    })
+
+    it('should keep loading state while the newer search runs', async () => {
+      const textSearch = deferred()
+      const categorySearch = deferred()
+      searchPOI.mockReturnValueOnce(textSearch.promise)
+      searchByCategory.mockReturnValueOnce(categorySearch.promise)
+
+      const { search, searchCategory, isLoading } = useSearch()
+
+      const first = search('Pergamon')
+      const second = searchCategory('cafe')
+
+      textSearch.resolve([])
+      await first
+      expect(isLoading.value).toBe(true)
+
+      categorySearch.resolve([])
+      await second
+      expect(isLoading.value).toBe(false)
+    })
+
+    it('should not report aborted searches as errors', async () => {
+      const abortError = new DOMException('The request was aborted', 'AbortError')
+      searchPOI.mockImplementationOnce((query, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(abortError))
+      }))
+
+      const { search, cancelSearch, error, isLoading } = useSearch()
+
+      const pending = search('test')
+      cancelSearch()
+      await pending
+
+      expect(error.value).toBeNull()
+      expect(isLoading.value).toBe(false)
     })
   })
 
@@ -261,6 +545,662 @@ describe('useSearch Composable', () => {
     })
   })
 
+  describe('showPOI', () => {
+    it('should show a single POI as selected result', async () => {
+      const poi = { id: 1, name: 'Café Einstein' }
+      const { showPOI, results, selectedPOI, searchQuery } = useSearch()
+
+      showPOI(poi)
+
+      expect(results.value).toEqual([poi])
+      expect(selectedPOI.value).toEqual(poi)
+      expect(searchQuery.value).toBe('Café Einstein')
+    })
+
+    it('should cancel the search in progress', async () => {
+      let resolveSearch
+      searchPOI.mockReturnValueOnce(new Promise(resolve => { resolveSearch = resolve }))
+
+      const poi = { id: 1, name: 'Café Einstein' }
+      const { search, showPOI, results, isLoading } = useSearch()
+
+      const pending = search('Einstein')
+      showPOI(poi)
+      resolveSearch([{ id: 2 }])
+      await pending
+
+      expect(results.value).toEqual([poi])
+      expect(isLoading.value).toBe(false)
+    })
+  })
+
+  describe('search this area', () => {
+    const bounds = { south: 52.4, west: 13.3, north: 52.6, east: 13.5 }
+    const center = { lat: 52.5, lng: 13.4 }
+
+    it('should remember the last search with its bounds', async () => {
+      searchByCategory.mockResolvedValueOnce([{ id: 1 }])
+      const { searchCategory, updateMapViewport, lastSearch } = useSearch()
+
+      updateMapViewport(bounds, center)
+      await searchCategory('cafe')
+
+      expect(lastSearch.value).toEqual({ query: '', categories: ['cafe'], bounds, center })
+    })
+
+    it('should only report a change when the map left the searched area', async () => {
+      searchPOI.mockResolvedValueOnce([{ id: 1 }])
+      const { search, updateMapViewport, isAreaChanged } = useSearch()
+
+      updateMapViewport(bounds, center)
+      await search('pizza')
+      expect(isAreaChanged.value).toBe(false)
+
+      // Zooming into the searched area
+      updateMapViewport({ south: 52.45, west: 13.35, north: 52.55, east: 13.45 }, center)
+      expect(isAreaChanged.value).toBe(false)
+
+      // Panning half a viewport east
+      updateMapViewport({ south: 52.4, west: 13.4, north: 52.6, east: 13.6 }, { lat: 52.5, lng: 13.5 })
+      expect(isAreaChanged.value).toBe(true)
+    })
+
+    it('should repeat the last search in the current area without fitting', async () => {
+      searchPOI.mockResolvedValue([{ id: 1 }])
+      const { search, searchArea, updateMapViewport, fitToResults, lastSearch } = useSearch()
+      const moved = { south: 48.1, west: 11.5, north: 48.2, east: 11.6 }
+
+      updateMapViewport(bounds, center)
+      await search('pizza', 'restaurant')
+      updateMapViewport(moved, { lat: 48.15, lng: 11.55 })
+      await searchArea()
+
+      expect(searchPOI).toHaveBeenLastCalledWith('pizza', {
+        category: 'restaurant',
+        viewbox: moved,
+        signal: expect.any(AbortSignal)
+      })
+      expect(fitToResults.value).toBe(false)
+      expect(lastSearch.value.bounds).toEqual(moved)
+    })
+
+    it('should fan out a text search over several categories', async () => {
+      searchPOI.mockResolvedValueOnce([{ id: 1 }])
+      const { search, selectedCategories } = useSearch()
+
+      await search('vegan', ['cafe', 'restaurant'])
+
+      expect(searchPOI).toHaveBeenCalledWith('vegan', expect.objectContaining({
+        category: ['cafe', 'restaurant']
+      }))
+      expect(selectedCategories.value).toEqual(['cafe', 'restaurant'])
+    })
+
+    it('should repeat category searches', async () => {
+      searchByCategory.mockResolvedValue([{ id: 1 }])
+      const { searchCategory, searchArea } = useSearch()
+
+      await searchCategory('park')
+      await searchArea()
+
+      expect(searchByCategory).toHaveBeenCalledTimes(2)
+      expect(searchByCategory.mock.calls[1][0]).toBe('park')
+    })
+
+    it('should forget the search when cleared or showing a single place', async () => {
+      searchPOI.mockResolvedValueOnce([{ id: 1 }])
+      const { search, clearSearch, showPOI, lastSearch } = useSearch()
+
+      await search('pizza')
+      clearSearch()
+      expect(lastSearch.value).toBeNull()
+
+      await search('pizza')
+      showPOI({ id: 2, name: 'Pizzeria' })
+      expect(lastSearch.value).toBeNull()
+    })
+  })
+
+  describe('loadMore', () => {
+    const bounds = { south: 52.4, west: 13.3, north: 52.6, east: 13.5 }
+    const center = { lat: 52.5, lng: 13.4 }
+    const page = (...ids) => ids.map(id => ({ id, name: `Place ${id}` }))
+
+    it('should offer more results after a full page', async () => {
+      searchPOI.mockResolvedValueOnce(page(1, 2, 3))
+      const { search, hasMore } = useSearch()
+
+      await search('pizza')
+
+      expect(hasMore.value).toBe(true)
+    })
+
+    it('should not offer more results after a partial page', async () => {
+      searchPOI.mockResolvedValueOnce(page(1, 2))
+      const { search, hasMore } = useSearch()
+
+      await search('pizza')
+
+      expect(hasMore.value).toBe(false)
+    })
+
+    it('should not page complete category searches', async () => {
+      searchByCategory.mockResolvedValueOnce(page(1, 2, 3))
+      isCategorySearchComplete.mockReturnValueOnce(true)
+      const { searchCategory, hasMore } = useSearch()
+
+      await searchCategory('cafe')
+
+      expect(hasMore.value).toBe(false)
+    })
+
+    it('should append the next page of the searched area', async () => {
+      searchPOI
+        .mockResolvedValueOnce(page(1, 2, 3))
+        .mockResolvedValueOnce(page(4, 5, 6))
+      const { search, loadMore, updateMapViewport, results, fitToResults, hasMore } = useSearch()
+
+      updateMapViewport(bounds, center)
+      await search('pizza', 'restaurant')
+      // Panning does not change the area being paged
+      updateMapViewport({ south: 48.1, west: 11.5, north: 48.2, east: 11.6 }, center)
+      await loadMore()
+
+      expect(searchPOI).toHaveBeenLastCalledWith('pizza', {
+        category: 'restaurant',
+        viewbox: bounds,
+        bounded: true,
+        excludePlaceIds: [1, 2, 3],
+        signal: expect.any(AbortSignal)
+      })
+      expect(results.value.map(poi => poi.id)).toEqual([1, 2, 3, 4, 5, 6])
+      expect(fitToResults.value).toBe(false)
+      expect(hasMore.value).toBe(true)
+    })
+
+    it('should page category searches from the original center', async () => {
+      searchByCategory
+        .mockResolvedValueOnce(page(1, 2, 3))
+        .mockResolvedValueOnce(page(4))
+      const { searchCategory, loadMore, updateMapViewport, results, hasMore } = useSearch()
+
+      updateMapViewport(bounds, center)
+      await searchCategory('cafe')
+      await loadMore()
+
+      expect(searchByCategory).toHaveBeenLastCalledWith('cafe', bounds, center, {
+        excludePlaceIds: [1, 2, 3],
+        signal: expect.any(AbortSignal)
+      })
+      expect(results.value).toHaveLength(4)
+      expect(hasMore.value).toBe(false)
+    })
+
+    it('should drop duplicates and stop when nothing new arrives', async () => {
+      searchPOI
+        .mockResolvedValueOnce(page(1, 2, 3))
+        .mockResolvedValueOnce(page(1, 2, 3))
+      const { search, loadMore, results, hasMore } = useSearch()
+
+      await search('pizza')
+      await loadMore()
+
+      expect(results.value.map(poi => poi.id)).toEqual([1, 2, 3])
+      expect(hasMore.value).toBe(false)
+    })
+
+    it('should keep the results when loading more fails', async () => {
+      searchPOI
+        .mockResolvedValueOnce(page(1, 2, 3))
+        .mockRejectedValueOnce(new Error('Network error'))
+      const { search, loadMore, results, hasMore, isLoadingMore, loadMoreError, error } = useSearch()
+      vi.spyOn(console, 'error').mockImplementation(() => {})
+
+      await search('pizza')
+      await loadMore()
+
+      expect(results.value).toHaveLength(3)
+      expect(error.value).toBeNull()
+      expect(loadMoreError.value).toContain('Loading more results failed')
+      expect(hasMore.value).toBe(true)
+      expect(isLoadingMore.value).toBe(false)
+      console.error.mockRestore()
+    })
+
+    it('should be cancelled by a new search', async () => {
+      let resolvePage
+      searchPOI
+        .mockResolvedValueOnce(page(1, 2, 3))
+        .mockReturnValueOnce(new Promise(resolve => { resolvePage = resolve }))
+        .mockResolvedValueOnce(page(7))
+      const { search, loadMore, results, isLoadingMore } = useSearch()
+
+      await search('pizza')
+      const pending = loadMore()
+      expect(isLoadingMore.value).toBe(true)
+
+      await search('sushi')
+      resolvePage(page(4, 5, 6))
+      await pending
+
+      expect(results.value.map(poi => poi.id)).toEqual([7])
+      expect(isLoadingMore.value).toBe(false)
+    })
+  })
+
+  describe('radius mode', () => {
+    const bounds = { south: 52.4, west: 13.3, north: 52.6, east: 13.5 }
+    const center = { lat: 52.5, lng: 13.4 }
+    const far = { id: 1, lat: 52.52, lng: 13.4 }
+    const near = { id: 2, lat: 52.502, lng: 13.4 }
+    const mid = { id: 3, lat: 52.505, lng: 13.4 }
+
+    it('should offer a new search only when a circle around the map center moves', async () => {
+      searchPOI.mockResolvedValueOnce([]).mockResolvedValueOnce([])
+      const { search, updateMapViewport, setUserLocation, radiusMode, isAreaChanged } = useSearch()
+
+      updateMapViewport(bounds, center)
+      radiusMode.value = true
+      await search('pizza')
+      expect(isAreaChanged.value).toBe(false)
+
+      updateMapViewport(bounds, { lat: 52.502, lng: 13.4 })
+      expect(isAreaChanged.value).toBe(false)
+      updateMapViewport(bounds, { lat: 52.51, lng: 13.4 })
+      expect(isAreaChanged.value).toBe(true)
+
+      // A circle around the user stays put
+      setUserLocation(center)
+      await search('pizza')
+      updateMapViewport(bounds, { lat: 48.1, lng: 11.5 })
+      expect(isAreaChanged.value).toBe(false)
+    })
+
+    it('should search the circle bbox and keep results inside, nearest first', async () => {
+      searchPOI.mockResolvedValueOnce([far, near, mid])
+      const { search, updateMapViewport, radiusMode, radius, results, lastSearch, hasMore } = useSearch()
+
+      updateMapViewport(bounds, center)
+      radiusMode.value = true
+      radius.value = 1000
+      await search('pizza')
+
+      const { viewbox } = searchPOI.mock.calls[0][1]
+      expect(viewbox.north - viewbox.south).toBeCloseTo(0.018, 3)
+      expect(viewbox.east - viewbox.west).toBeGreaterThan(0.029)
+      expect(results.value).toEqual([near, mid])
+      expect(lastSearch.value).toMatchObject({ center, radius: 1000, bounds: viewbox })
+      // Paging goes by the provider's page, not the filtered results
+      expect(hasMore.value).toBe(true)
+    })
+
+    it('should center on the user, then on a picked point', async () => {
+      searchByCategory.mockResolvedValue([])
+      const { searchCategory, updateMapViewport, setUserLocation, setRadiusPoint, radiusMode, radiusCenter } = useSearch()
+
+      updateMapViewport(bounds, center)
+      radiusMode.value = true
+      expect(radiusCenter.value.source).toBe('map')
+
+      setUserLocation({ lat: 48.1, lng: 11.6 })
+      await searchCategory('cafe')
+      expect(searchByCategory.mock.calls[0][2]).toEqual({ lat: 48.1, lng: 11.6 })
+
+      setRadiusPoint({ lat: 50, lng: 8 })
+      await searchCategory('cafe')
+      expect(searchByCategory.mock.calls[1][2]).toEqual({ lat: 50, lng: 8 })
+      expect(radiusCenter.value.source).toBe('point')
+
+      setRadiusPoint(null)
+      expect(radiusCenter.value.source).toBe('user')
+    })
+
+    it('should search the radius around a given point', async () => {
+      searchByCategory.mockResolvedValueOnce([])
+      const { searchCategory, updateMapViewport, radiusMode, radius } = useSearch()
+
+      updateMapViewport(bounds, center)
+      radiusMode.value = true
+      radius.value = 500
+      const point = { lat: 48, lng: 11 }
+      await searchCategory('cafe', { center: point })
+
+      const [, searched, searchCenter] = searchByCategory.mock.calls[0]
+      expect(searchCenter).toEqual(point)
+      expect(searched.north - searched.south).toBeCloseTo(0.009, 3)
+    })
+
+    it('should suggest a larger radius when nothing is inside', async () => {
+      searchByCategory.mockResolvedValueOnce([far])
+      const { searchCategory, updateMapViewport, radiusMode, results, error } = useSearch()
+
+      updateMapViewport(bounds, center)
+      radiusMode.value = true
+      await searchCategory('cafe')
+
+      expect(results.value).toEqual([])
+      expect(error.value).toBe('No cafes found within 1.0 km. Try a larger radius.')
+    })
+
+    it('should filter and re-sort further pages', async () => {
+      searchPOI
+        .mockResolvedValueOnce([mid, far, { id: 4, lat: 52.53, lng: 13.4 }])
+        .mockResolvedValueOnce([near, { id: 5, lat: 52.54, lng: 13.4 }])
+      const { search, loadMore, updateMapViewport, radiusMode, results } = useSearch()
+
+      updateMapViewport(bounds, center)
+      radiusMode.value = true
+      await search('pizza')
+      await loadMore()
+
+      expect(results.value).toEqual([near, mid])
+    })
+
+    it('should keep the selected facets when further pages are re-sorted', async () => {
+      const cafe = poi => ({ ...poi, category: 'cafe' })
+      searchPOI
+        .mockResolvedValueOnce([cafe(mid), cafe(far), cafe({ id: 4, lat: 52.53, lng: 13.4 })])
+        .mockResolvedValueOnce([cafe(near), { id: 5, lat: 52.501, lng: 13.4, category: 'bar' }])
+      let state
+      mount(defineComponent({
+        setup() {
+          const searchState = useSearch()
+          state = { ...searchState, ...useResultFilters(searchState.results) }
+          return () => null
+        }
+      }))
+
+      state.updateMapViewport(bounds, center)
+      state.radiusMode.value = true
+      await state.search('pizza')
+      await nextTick()
+      state.toggleFacet('category', 'cafe')
+      await state.loadMore()
+      await nextTick()
+
+      expect(state.results.value.map(poi => poi.id)).toEqual([5, 2, 3])
+      expect(state.facetSelection.value.category).toEqual(['cafe'])
+      expect(state.filteredResults.value.map(poi => poi.id)).toEqual([2, 3])
+    })
+
+    it('should not limit searches outside radius mode', async () => {
+      searchPOI.mockResolvedValueOnce([far, near])
+      const { search, updateMapViewport, results, lastSearch } = useSearch()
+
+      updateMapViewport(bounds, center)
+      await search('pizza')
+
+      expect(results.value).toEqual([far, near])
+      expect(lastSearch.value.radius).toBeUndefined()
+    })
+  })
+
+  describe('drawn area', () => {
+    const bounds = { south: 52.4, west: 13.3, north: 52.6, east: 13.5 }
+    const center = { lat: 52.5, lng: 13.4 }
+    // Triangle with its corner in the north
+    const polygon = [
+      { lat: 48.1, lng: 11.5 },
+      { lat: 48.3, lng: 11.6 },
+      { lat: 48.1, lng: 11.7 }
+    ]
+    const inside = { id: 1, lat: 48.15, lng: 11.6 }
+    const outside = { id: 2, lat: 48.25, lng: 11.52 }
+
+    it('should search the area bbox and keep results inside it', async () => {
+      searchByCategory.mockResolvedValueOnce([outside, inside])
+      const { searchCategory, updateMapViewport, setSearchPolygon, results, lastSearch } = useSearch()
+
+      updateMapViewport(bounds, center)
+      setSearchPolygon(polygon)
+      await searchCategory('cafe')
+
+      const [, searched, searchCenter] = searchByCategory.mock.calls[0]
+      expect(searched).toEqual({ south: 48.1, west: 11.5, north: 48.3, east: 11.7 })
+      expect(searchCenter.lat).toBeCloseTo(48.2)
+      expect(searchCenter.lng).toBeCloseTo(11.6)
+      expect(results.value).toEqual([inside])
+      expect(lastSearch.value.polygon).toEqual(polygon)
+    })
+
+    it('should filter text searches and explain empty results', async () => {
+      searchPOI.mockResolvedValueOnce([outside])
+      const { search, setSearchPolygon, error } = useSearch()
+
+      setSearchPolygon(polygon)
+      await search('pizza')
+
+      expect(searchPOI.mock.calls[0][1].viewbox).toEqual({ south: 48.1, west: 11.5, north: 48.3, east: 11.7 })
+      expect(error.value).toBe('No results found in the drawn area. Try drawing a larger area.')
+    })
+
+    it('should take precedence over the radius, but not over a given point', async () => {
+      searchByCategory.mockResolvedValue([])
+      const { searchCategory, updateMapViewport, setSearchPolygon, radiusMode } = useSearch()
+
+      updateMapViewport(bounds, center)
+      radiusMode.value = true
+      setSearchPolygon(polygon)
+      await searchCategory('cafe')
+      await searchCategory('cafe', { center })
+
+      expect(searchByCategory.mock.calls[0][1].north).toBe(48.3)
+      expect(searchByCategory.mock.calls[1][2]).toEqual(center)
+    })
+
+    it('should not offer to search the map area while an area is drawn', async () => {
+      searchByCategory.mockResolvedValueOnce([inside])
+      const { searchCategory, updateMapViewport, setSearchPolygon, isAreaChanged } = useSearch()
+
+      updateMapViewport(bounds, center)
+      setSearchPolygon(polygon)
+      await searchCategory('cafe')
+
+      expect(isAreaChanged.value).toBe(false)
+    })
+
+    it('should ignore shapes with fewer than three corners', () => {
+      const { setSearchPolygon, searchPolygon } = useSearch()
+
+      setSearchPolygon(polygon.slice(0, 2))
+
+      expect(searchPolygon.value).toBeNull()
+    })
+  })
+
+  describe('named area', () => {
+    const bounds = { south: 52.4, west: 13.3, north: 52.6, east: 13.5 }
+    const center = { lat: 52.5, lng: 13.4 }
+    const kreuzberg = {
+      name: 'Kreuzberg',
+      displayName: 'Kreuzberg, Berlin, Germany',
+      // North-west corner cut off, so the bbox holds places outside the outline
+      geometry: { type: 'Polygon', coordinates: [[[13.36, 52.48], [13.45, 52.48], [13.45, 52.51], [13.36, 52.49], [13.36, 52.48]]] },
+      bounds: { south: 52.48, west: 13.36, north: 52.51, east: 13.45 }
+    }
+    const inside = { id: 1, lat: 52.49, lng: 13.43 }
+    const outside = { id: 2, lat: 52.505, lng: 13.37, name: 'Outside the outline' }
+
+    it('should search a named category inside the area outline', async () => {
+      geocodeArea.mockResolvedValueOnce(kreuzberg)
+      searchByCategory.mockResolvedValueOnce([outside, inside])
+      const { search, updateMapViewport, results, searchBoundary, searchQuery, selectedCategories } = useSearch()
+
+      updateMapViewport(bounds, center)
+      await search('Cafes in Kreuzberg')
+
+      expect(geocodeArea).toHaveBeenCalledWith('Kreuzberg', { viewbox: bounds, signal: expect.any(AbortSignal) })
+      expect(searchPOI).not.toHaveBeenCalled()
+      const [category, searched, searchCenter] = searchByCategory.mock.calls[0]
+      expect(category).toBe('cafe')
+      expect(searched).toEqual(kreuzberg.bounds)
+      expect(searchCenter.lat).toBeCloseTo(52.495)
+      expect(results.value).toEqual([inside])
+      expect(searchBoundary.value).toEqual(kreuzberg)
+      expect(searchQuery.value).toBe('Cafes in Kreuzberg')
+      expect(selectedCategories.value).toEqual([])
+    })
+
+    it('should search other text inside the area', async () => {
+      geocodeArea.mockResolvedValueOnce(kreuzberg)
+      searchPOI.mockResolvedValueOnce([outside])
+      const { search, results, error } = useSearch()
+
+      await search('sushi in Kreuzberg', 'restaurant')
+
+      expect(searchPOI).toHaveBeenCalledWith('sushi', {
+        category: 'restaurant',
+        viewbox: kreuzberg.bounds,
+        signal: expect.any(AbortSignal)
+      })
+      expect(results.value).toEqual([])
+      expect(error.value).toBe('No results found in Kreuzberg.')
+    })
+
+    it('should search the whole text when no area is found', async () => {
+      geocodeArea.mockResolvedValueOnce(null)
+      searchPOI.mockResolvedValueOnce([outside])
+      const { search, updateMapViewport, results, searchBoundary } = useSearch()
+
+      updateMapViewport(bounds, center)
+      await search('Bed and breakfast in the old mill')
+
+      expect(searchPOI.mock.calls[0][0]).toBe('Bed and breakfast in the old mill')
+      expect(searchPOI.mock.calls[0][1].viewbox).toEqual(bounds)
+      expect(results.value).toEqual([outside])
+      expect(searchBoundary.value).toBeNull()
+    })
+
+    it('should search the whole text when the area lookup fails', async () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {})
+      geocodeArea.mockRejectedValueOnce(new Error('Nominatim error: 503'))
+      searchPOI.mockResolvedValueOnce([inside])
+      const { search, results } = useSearch()
+
+      await search('cafes in Kreuzberg')
+
+      expect(searchPOI.mock.calls[0][0]).toBe('cafes in Kreuzberg')
+      expect(results.value).toEqual([inside])
+    })
+
+    it('should page inside the area and keep it when the map moves', async () => {
+      geocodeArea.mockResolvedValueOnce(kreuzberg)
+      searchByCategory
+        .mockResolvedValueOnce([inside, { id: 3, lat: 52.49, lng: 13.4 }, { id: 4, lat: 52.5, lng: 13.44 }])
+        .mockResolvedValueOnce([outside, { id: 5, lat: 52.495, lng: 13.42 }])
+      const { search, loadMore, updateMapViewport, results, isAreaChanged } = useSearch()
+
+      updateMapViewport(bounds, center)
+      await search('cafes in Kreuzberg')
+      updateMapViewport({ south: 48.1, west: 11.5, north: 48.2, east: 11.6 }, center)
+      await loadMore()
+
+      expect(searchByCategory).toHaveBeenLastCalledWith('cafe', kreuzberg.bounds, expect.any(Object), {
+        excludePlaceIds: [1, 3, 4],
+        signal: expect.any(AbortSignal)
+      })
+      expect(results.value.map(poi => poi.id)).toEqual([1, 3, 4, 5])
+      expect(isAreaChanged.value).toBe(false)
+    })
+  })
+
+  describe('query interpretation', () => {
+    const bounds = { south: 52.4, west: 13.3, north: 52.6, east: 13.5 }
+    const center = { lat: 52.5, lng: 13.4 }
+    // Shaped like the normalized POIs searchPOI returns
+    const alexanderplatz = { id: 10, name: 'Alexanderplatz', lat: 52.52, lon: 13.41 }
+
+    it('should search categories named in the query', async () => {
+      searchByCategory.mockResolvedValueOnce([{ id: 1 }])
+      const { search, updateMapViewport, interpretation, searchQuery } = useSearch()
+
+      updateMapViewport(bounds, center)
+      await search('cheap cafes')
+
+      expect(searchPOI).not.toHaveBeenCalled()
+      expect(searchByCategory).toHaveBeenCalledWith('cafe', bounds, center, { signal: expect.any(AbortSignal) })
+      expect(interpretation.value).toEqual({ text: '', categories: ['cafe'], location: null })
+      expect(searchQuery.value).toBe('cheap cafes')
+    })
+
+    it('should search around a place named in the query', async () => {
+      searchPOI.mockResolvedValueOnce([alexanderplatz])
+      searchByCategory.mockResolvedValueOnce([{ id: 1, lat: 52.521, lon: 13.41 }])
+      const { search, updateMapViewport, searchAnchor, isAreaChanged } = useSearch()
+
+      updateMapViewport(bounds, center)
+      await search('cheap cafes near Alexanderplatz')
+
+      expect(searchPOI).toHaveBeenCalledWith('Alexanderplatz', { limit: 1, viewbox: bounds, signal: expect.any(AbortSignal) })
+      const [category, searched, searchCenter] = searchByCategory.mock.calls[0]
+      expect(category).toBe('cafe')
+      expect(searched.south).toBeCloseTo(52.42)
+      expect(searched.north).toBeCloseTo(52.62)
+      expect(searched.west).toBeCloseTo(13.31)
+      expect(searched.east).toBeCloseTo(13.51)
+      expect(searchCenter).toEqual({ lat: 52.52, lng: 13.41, name: 'Alexanderplatz', source: 'place' })
+      expect(searchAnchor.value.name).toBe('Alexanderplatz')
+
+      updateMapViewport({ south: 48.1, west: 11.5, north: 48.2, east: 11.6 }, center)
+      expect(isAreaChanged.value).toBe(false)
+    })
+
+    it('should search text in a circle around a named place in radius mode', async () => {
+      searchPOI.mockResolvedValueOnce([alexanderplatz]).mockResolvedValueOnce([])
+      const { search, updateMapViewport, radiusMode } = useSearch()
+
+      updateMapViewport(bounds, center)
+      radiusMode.value = true
+      await search('sushi near Alexanderplatz')
+
+      const { viewbox } = searchPOI.mock.calls[1][1]
+      expect(searchPOI.mock.calls[1][0]).toBe('sushi')
+      expect((viewbox.south + viewbox.north) / 2).toBeCloseTo(52.52)
+      expect((viewbox.west + viewbox.east) / 2).toBeCloseTo(13.41)
+      expect(Object.values(viewbox).every(Number.isFinite)).toBe(true)
+    })
+
+    it('should search around the user for "near me"', async () => {
+      searchPOI.mockResolvedValueOnce([])
+      const { search, updateMapViewport, setUserLocation, searchAnchor, error } = useSearch()
+
+      updateMapViewport(bounds, center)
+      setUserLocation({ lat: 52.45, lng: 13.35 })
+      await search('sushi near me')
+
+      expect(searchPOI).toHaveBeenCalledTimes(1)
+      expect(searchPOI.mock.calls[0][0]).toBe('sushi')
+      expect(searchPOI.mock.calls[0][1].viewbox.south).toBeCloseTo(52.35)
+      expect(searchAnchor.value).toMatchObject({ lat: 52.45, lng: 13.35, source: 'user' })
+      expect(error.value).toBe('No results found nearby.')
+    })
+
+    it('should search the whole text when the place is not found', async () => {
+      searchPOI.mockResolvedValueOnce([]).mockResolvedValueOnce([{ id: 1 }])
+      const { search, updateMapViewport, interpretation, searchAnchor } = useSearch()
+
+      updateMapViewport(bounds, center)
+      await search('cafes near the old mill')
+
+      expect(searchPOI.mock.calls[1][0]).toBe('cafes near the old mill')
+      expect(searchPOI.mock.calls[1][1].viewbox).toEqual(bounds)
+      expect(searchByCategory).not.toHaveBeenCalled()
+      expect(interpretation.value).toBeNull()
+      expect(searchAnchor.value).toBeNull()
+    })
+
+    it('should forget the interpretation on other searches', async () => {
+      searchByCategory.mockResolvedValueOnce([]).mockResolvedValueOnce([])
+      const { search, searchCategory, interpretation } = useSearch()
+
+      await search('parks')
+      expect(interpretation.value).not.toBeNull()
+
+      await searchCategory('cafe')
+      expect(interpretation.value).toBeNull()
+    })
+  })
+
   describe('clearSearch', () => {
     it('should reset all state', async () => {
       searchPOI.mockResolvedValueOnce([{ id: 1 }])
@@ -0,0 +1,168 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { mount } from '@vue/test-utils'
+import { defineComponent, h } from 'vue'
+import { parseUrlState, serializeUrlState, useUrlState } from '../../src/composables/useUrlState.js'
+
+describe('URL state', () => {
+  const state = {
+    query: 'coffee shop',
+    categories: ['cafe', 'bakery'],
+    center: { lat: 52.520008, lng: 13.404954 },
+    zoom: 14,
+    layer: 'satellite',
+    poi: 12345
+  }
+
+  describe('serializeUrlState', () => {
+    it('should encode query, categories, map view, layer and selected POI', () => {
+      expect(serializeUrlState(state))
+        .toBe('?q=coffee+shop&cat=cafe,bakery&map=14/52.52001/13.40495&layer=satellite&poi=12345')
+    })
+
+    it('should encode a drawn area as a list of vertices', () => {
+      const area = [{ lat: 52.5, lng: 13.4 }, { lat: 52.6, lng: 13.4 }, { lat: 52.55, lng: 13.512349 }]
+
+      expect(serializeUrlState({ area }))
+        .toBe('?area=52.50000,13.40000;52.60000,13.40000;52.55000,13.51235')
+    })
+
+    it('should omit defaults and empty values', () => {
+      expect(serializeUrlState({ query: '', categories: [], layer: 'street', poi: null })).toBe('')
+    })
+  })
+
+  describe('parseUrlState', () => {
+    it('should restore a serialized state', () => {
+      expect(parseUrlState(serializeUrlState(state))).toEqual({
+        query: 'coffee shop',
+        categories: ['cafe', 'bakery'],
+        center: { lat: 52.52001, lng: 13.40495 },
+        zoom: 14,
+        layer: 'satellite',
+        poi: '12345',
+        area: null
+      })
+    })
+
+    it('should fall back to defaults for an empty URL', () => {
+      expect(parseUrlState('')).toEqual({
+        query: '',
+        categories: [],
+        center: null,
+        zoom: null,
+        layer: 'street',
+        poi: null,
+        area: null
+      })
+    })
+
+    it('should ignore invalid map views and layers', () => {
+      const parsed = parseUrlState('?map=14/abc/13.4&layer=terrain')
+
+      expect(parsed.center).toBeNull()
+      expect(parsed.zoom).toBeNull()
+      expect(parsed.layer).toBe('street')
+    })
+
+    it('should skip empty category entries', () => {
+      expect(parseUrlState('?cat=cafe,,bank,').categories).toEqual(['cafe', 'bank'])
+    })
+
+    it('should reject out of range coordinates', () => {
+      expect(parseUrlState('?map=10/95/13.4').center).toBeNull()
+    })
+
+    it('should restore a drawn area', () => {
+      expect(parseUrlState('?area=52.5,13.4;52.6,13.4;52.55,13.5').area).toEqual([
+        { lat: 52.5, lng: 13.4 },
+        { lat: 52.6, lng: 13.4 },
+        { lat: 52.55, lng: 13.5 }
+      ])
+    })
+
+    it('should ignore areas that are not a valid polygon', () => {
+      expect(parseUrlState('?area=52.5,13.4;52.6,13.4').area).toBeNull()
+      expect(parseUrlState('?area=52.5,13.4;52.6,abc;52.55,13.5').area).toBeNull()
+      expect(parseUrlState('?area=52.5,13.4;95,13.4;52.55,13.5').area).toBeNull()
+    })
+  })
+
+  describe('useUrlState', () => {
+    function mountWithUrlState(onNavigate) {
+      let api
+      const wrapper = mount(defineComponent({
+        setup() {
+          api = useUrlState(onNavigate)
+          return () => h('div')
+        }
+      }))
+      return { wrapper, api }
+    }
+
+    beforeEach(() => {
+      window.history.replaceState(null, '', '/poi_search/')
+    })
+
+    it('should read the initial state from the URL', () => {
+      window.history.replaceState(null, '', '/poi_search/?cat=pharmacy&map=12/50.1/8.6')
+
+      const { api } = mountWithUrlState(vi.fn())
+
+      expect(api.initialState).toMatchObject({
+        categories: ['pharmacy'],
+        center: { lat: 50.1, lng: 8.6 },
+        zoom: 12
+      })
+    })
+
+    it('should push a history entry for new searches', () => {
+      const { api } = mountWithUrlState(vi.fn())
+      const length = window.history.length
+
+      api.pushUrlState({ query: 'museum' })
+
+      expect(window.location.search).toBe('?q=museum')
+      expect(window.history.length).toBe(length + 1)
+    })
+
+    it('should not push duplicate entries', () => {
+      const { api } = mountWithUrlState(vi.fn())
+
+      api.pushUrlState({ query: 'museum' })
+      const length = window.history.length
+      api.pushUrlState({ query: 'museum' })
+
+      expect(window.history.length).toBe(length)
+    })
+
+    it('should replace the current entry for map moves', () => {
+      const { api } = mountWithUrlState(vi.fn())
+      const length = window.history.length
+
+      api.replaceUrlState({ query: 'museum', center: { lat: 1, lng: 2 }, zoom: 5 })
+
+      expect(window.location.search).toBe('?q=museum&map=5/1.00000/2.00000')
+      expect(window.history.length).toBe(length)
+    })
+
+    it('should report back/forward navigation', () => {
+      const onNavigate = vi.fn()
+      mountWithUrlState(onNavigate)
+
+      window.history.replaceState(null, '', '/poi_search/?q=museum')
+      window.dispatchEvent(new PopStateEvent('popstate'))
+
+      expect(onNavigate).toHaveBeenCalledWith(expect.objectContaining({ query: 'museum' }))
+    })
+
+    it('should stop listening when unmounted', () => {
+      const onNavigate = vi.fn()
+      const { wrapper } = mountWithUrlState(onNavigate)
+
+      wrapper.unmount()
+      window.dispatchEvent(new PopStateEvent('popstate'))
+
+      expect(onNavigate).not.toHaveBeenCalled()
+    })
+  })
+})